@@ -1,8 +1,101 @@
 let availableScenarios = [];
 let selectedScenario = null;
 let currentAnalysisResult = null;
+let aiAnalysisResult = null;
+let currentCaseId = null;
+let analysisSchemas = {};
+let currentSchemaId = null;
+let currentGrounding = null;
+let currentReview = null;
+let currentLanguage = null;
+let intentTaxonomy = null;
+let routingRules = null;
+
+// Matches the express.json body limit in server.js
+const MAX_TRANSCRIPT_BYTES = 100 * 1024;
+const REVIEW_QUEUE_POLL_MS = 20000;
+
+const ANALYSIS_STAGE_LABELS = {
+    normalizing: 'Reading transcript...',
+    analyzing: 'Analyzing...',
+    saving: 'Saving case...'
+};
+
+// Cards in the order the model writes the fields
+const ANALYSIS_CARDS = [
+    {
+        field: 'sentiment',
+        title: 'Sentiment Analysis',
+        extraFields: ['confidenceScore', 'evidence'],
+        render: analysis => `
+            <div class="sentiment-${escapeHtml(analysis.sentiment)}">
+                <strong>${escapeHtml(formatSentiment(analysis.sentiment))}</strong>
+                ${createConfidenceMarkup(analysis.confidenceScore)}
+            </div>
+            ${createEvidenceMarkup('sentiment', analysis.evidence?.sentiment)}`
+    },
+    {
+        field: 'escalationRisk',
+        title: 'Escalation Risk',
+        extraFields: ['evidence'],
+        render: analysis => `
+            <div class="risk-${escapeHtml(analysis.escalationRisk)}">
+                <strong>${escapeHtml(formatRiskLevel(analysis.escalationRisk))}</strong>
+            </div>
+            ${createEvidenceMarkup('escalationRisk', analysis.evidence?.escalationRisk)}`
+    },
+    {
+        field: 'primaryIntent',
+        title: 'Primary Intent',
+        extraFields: ['evidence'],
+        render: analysis => `
+            <div><strong>${escapeHtml(formatIntent(analysis.primaryIntent))}</strong></div>
+            ${createEvidenceMarkup('primaryIntent', analysis.evidence?.primaryIntent)}`
+    },
+    {
+        field: 'keyInformation',
+        title: 'Key Information',
+        extraFields: ['evidence'],
+        render: analysis => `<div class="key-info-grid">${createKeyInformationMarkup(analysis.keyInformation, analysis.evidence?.keyInformation)}</div>`
+    },
+    {
+        field: 'suggestedActions',
+        title: 'Suggested Actions',
+        extraFields: ['customerLanguage'],
+        render: analysis => `
+            <div class="actions-list">${createActionTags(analysis.suggestedActions)}</div>
+            ${createTranslationMarkup(analysis, translation => `<div class="actions-list">${createActionTags(translation.suggestedActions)}</div>`)}`
+    },
+    {
+        field: 'commitments',
+        title: 'Commitments Made',
+        extraFields: ['evidence'],
+        render: analysis => `<div class="actions-list">${createCommitmentTags(analysis.commitments, analysis.evidence?.commitments)}</div>`
+    },
+    {
+        field: 'summary',
+        title: 'Summary',
+        extraFields: ['customerLanguage'],
+        render: analysis => `
+            <p>${escapeHtml(analysis.summary)}</p>
+            ${createTranslationMarkup(analysis, translation => `<p>${escapeHtml(translation.summary)}</p>`)}`
+    }
+];
+
+// Call languages the server detects (services/language.js)
+const LANGUAGE_NAMES = {
+    en: 'English',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German'
+};
 
 document.addEventListener('DOMContentLoaded', loadAndDisplayScenarios);
+document.addEventListener('DOMContentLoaded', loadAnalysisSchemas);
+document.addEventListener('DOMContentLoaded', loadRoutingConfiguration);
+document.addEventListener('DOMContentLoaded', initializeCaseHistory);
+document.addEventListener('DOMContentLoaded', initializeCustomTranscriptInput);
+document.addEventListener('DOMContentLoaded', initializeReviewQueue);
 
 async function loadAndDisplayScenarios() {
     console.log('Loading scenarios...');
@@ -19,6 +112,51 @@ async function loadAndDisplayScenarios() {
     }
 }
 
+// Schema definitions (config/schemas) drive the edit form, key information
+// labels and the CRM payload preview for each line of business
+async function loadAnalysisSchemas() {
+    try {
+        const response = await fetch('/api/schemas');
+        const schemas = await response.json();
+        analysisSchemas = Object.fromEntries(schemas.map(schema => [schema.id, schema]));
+        
+        const schemaSelect = document.getElementById('analysisSchema');
+        if (schemaSelect) {
+            schemaSelect.innerHTML = schemas
+                .map(schema => `<option value="${escapeHtml(schema.id)}">${escapeHtml(schema.name)}</option>`)
+                .join('');
+        }
+    } catch (error) {
+        console.error('Failed to load analysis schemas:', error);
+    }
+}
+
+// The intent taxonomy labels and groups intents in the review form; the
+// routing rules list the customer tiers a reviewer can pick
+async function loadRoutingConfiguration() {
+    try {
+        const [taxonomyResponse, rulesResponse] = await Promise.all([
+            fetch('/api/intent-taxonomy'),
+            fetch('/api/routing/rules')
+        ]);
+        intentTaxonomy = (await taxonomyResponse.json()).taxonomy;
+        routingRules = (await rulesResponse.json()).rules;
+        
+        const tierSelect = document.getElementById('customerTier');
+        if (tierSelect) {
+            tierSelect.innerHTML = routingRules.customerTiers
+                .map(tier => `<option value="${escapeHtml(tier)}" ${isSelected(routingRules.defaultCustomerTier, tier)}>${escapeHtml(capitalize(tier))}</option>`)
+                .join('');
+        }
+    } catch (error) {
+        console.error('Failed to load intent taxonomy and routing rules:', error);
+    }
+}
+
+function getCurrentSchema() {
+    return analysisSchemas[currentSchemaId] || null;
+}
+
 function renderScenarioButtons() {
     const buttonContainer = document.getElementById('scenarioButtons');
     
@@ -52,26 +190,159 @@ function selectScenario(scenario) {
     console.log('Selected scenario:', scenario.title);
     selectedScenario = scenario;
     currentAnalysisResult = null;
+    aiAnalysisResult = null;
+    currentCaseId = null;
+    currentSchemaId = scenario.schemaId || null;
     
     showMainDemo();
-    displayConversationTranscript(scenario.transcription);
+    displayConversationTranscript(scenario.transcription, scenario.turns);
     enableAnalysisButton();
     clearPreviousAnalysis();
     scrollToDemo();
 }
 
+function initializeCustomTranscriptInput() {
+    const loadButton = document.getElementById('loadTranscriptBtn');
+    if (!loadButton) return;
+    
+    loadButton.onclick = loadCustomTranscript;
+    document.getElementById('transcriptFile').onchange = readTranscriptFile;
+    document.getElementById('transcribeBtn').onclick = transcribeRecording;
+}
+
+function readTranscriptFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    showCustomTranscriptError('');
+    if (file.size > MAX_TRANSCRIPT_BYTES) {
+        showCustomTranscriptError(`${file.name} is ${Math.ceil(file.size / 1024)}kb; transcripts must be under ${MAX_TRANSCRIPT_BYTES / 1024}kb.`);
+        event.target.value = '';
+        return;
+    }
+    
+    const extension = file.name.split('.').pop().toLowerCase();
+    const formatByExtension = { txt: 'text', vtt: 'vtt', srt: 'srt', json: 'json' };
+    document.getElementById('transcriptFormat').value = formatByExtension[extension] || 'auto';
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('customTranscript').value = reader.result;
+    };
+    reader.onerror = () => showCustomTranscriptError(`Could not read ${file.name}`);
+    reader.readAsText(file);
+}
+
+async function loadCustomTranscript() {
+    const content = document.getElementById('customTranscript').value;
+    const format = document.getElementById('transcriptFormat').value;
+    const fileInput = document.getElementById('transcriptFile');
+    
+    showCustomTranscriptError('');
+    if (!content.trim()) {
+        showCustomTranscriptError('Paste a transcript or choose a file first.');
+        return;
+    }
+    if (new Blob([content]).size > MAX_TRANSCRIPT_BYTES) {
+        showCustomTranscriptError(`Transcript is larger than ${MAX_TRANSCRIPT_BYTES / 1024}kb. Trim it or split the call into parts.`);
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/transcripts/normalize', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content, format })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        selectScenario({
+            id: null,
+            title: fileInput.files[0]?.name || 'Custom transcript',
+            description: `${result.turnCount} turns (${result.format})`,
+            schemaId: document.getElementById('analysisSchema').value,
+            transcription: result.transcription,
+            turns: result.turns
+        });
+    } catch (error) {
+        console.error('Failed to load transcript:', error);
+        showCustomTranscriptError(error.message);
+    }
+}
+
+async function transcribeRecording() {
+    const audioFile = document.getElementById('audioFile').files[0];
+    const transcribeButton = document.getElementById('transcribeBtn');
+    
+    showCustomTranscriptError('');
+    if (!audioFile) {
+        showCustomTranscriptError('Choose a WAV or MP3 recording first.');
+        return;
+    }
+    
+    setButtonLoadingState(transcribeButton, 'Transcribing...');
+    try {
+        const schemaId = document.getElementById('analysisSchema').value;
+        const response = await fetch(`/api/transcribe?fileName=${encodeURIComponent(audioFile.name)}&schemaId=${encodeURIComponent(schemaId)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': audioFile.type || 'application/octet-stream' },
+            body: audioFile
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        selectScenario({
+            id: null,
+            title: audioFile.name,
+            description: `Transcribed with ${result.speech.backend}`,
+            schemaId: result.schemaId,
+            transcription: result.transcription,
+            turns: result.turns
+        });
+        currentCaseId = result.caseId;
+        currentAnalysisResult = result.analysis;
+        aiAnalysisResult = result.analysis;
+        currentGrounding = result.grounding;
+        currentReview = result.review;
+        currentLanguage = result.language;
+        displayAnalysisResults(result.analysis);
+        displayStructuredDataSchema(result.schema, result.analysis);
+        updateProviderBadge(result.provider);
+        updateRedactionNotice(result.redaction);
+        updateLanguageNotice(result.language);
+        displaySentimentTimeline(result.sentimentTimeline);
+        displayScorecard(result.scorecard);
+        showHumanReviewOptions();
+    } catch (error) {
+        console.error('Transcription failed:', error);
+        showCustomTranscriptError('Transcription failed: ' + error.message);
+    } finally {
+        resetButtonState(transcribeButton, 'Transcribe & Analyze');
+    }
+}
+
+function showCustomTranscriptError(message) {
+    const errorContainer = document.getElementById('customTranscriptError');
+    if (errorContainer) {
+        errorContainer.textContent = message;
+    }
+}
+
 function showMainDemo() {
     document.getElementById('mainDemo').style.display = 'block';
 }
 
-function displayConversationTranscript(transcription) {
+function displayConversationTranscript(transcription, turns) {
     const chatContainer = document.getElementById('chatContainer');
     chatContainer.innerHTML = '';
     
     const conversationLines = parseTranscription(transcription);
     
-    conversationLines.forEach(line => {
-        const messageElement = createChatMessage(line);
+    conversationLines.forEach((line, index) => {
+        // Timed turns (recordings, caption files) line up one-to-one with the parsed lines
+        const start = turns?.[index]?.start;
+        const messageElement = createChatMessage({ ...line, start });
         chatContainer.appendChild(messageElement);
     });
 }
@@ -105,8 +376,11 @@ function createChatMessage(messageData) {
     const messageElement = document.createElement('div');
     messageElement.className = `chat-message ${messageData.type}`;
     // Use escaped content to avoid XSS from transcripts
+    const timestamp = typeof messageData.start === 'number'
+        ? `<span class="timestamp">${formatTimestamp(messageData.start)}</span>`
+        : '';
     messageElement.innerHTML = `
-        <div class="speaker">${capitalize(messageData.type)}</div>
+        <div class="speaker">${capitalize(messageData.type)}${timestamp}</div>
         <div class="content">${escapeHtml(messageData.content)}</div>
     `;
     return messageElement;
@@ -127,15 +401,42 @@ async function analyzeConversation() {
     setButtonLoadingState(analyzeButton, 'Analyzing...');
     
     try {
-        const analysisResponse = await requestAnalysis();
+        // Cards start as placeholders and fill in as the model streams each field
+        const partialAnalysis = {};
+        currentGrounding = null;
+        currentReview = null;
+        currentLanguage = null;
+        displayAnalysisResults(partialAnalysis);
+        
+        const analysisResponse = await requestStreamingAnalysis(({ event, data }) => {
+            if (event === 'progress') {
+                analyzeButton.textContent = ANALYSIS_STAGE_LABELS[data.stage] || 'Analyzing...';
+            } else if (event === 'field') {
+                partialAnalysis[data.name] = data.value;
+                renderAnalysisField(partialAnalysis, data.name);
+            }
+        });
         currentAnalysisResult = analysisResponse.analysis;
+        aiAnalysisResult = analysisResponse.analysis;
+        currentCaseId = analysisResponse.caseId;
+        currentSchemaId = analysisResponse.schemaId;
+        currentGrounding = analysisResponse.grounding;
+        currentReview = analysisResponse.review;
+        currentLanguage = analysisResponse.language;
         
         displayAnalysisResults(analysisResponse.analysis);
         displayStructuredDataSchema(analysisResponse.schema, analysisResponse.analysis);
+        updateProviderBadge(analysisResponse.provider);
+        updateRedactionNotice(analysisResponse.redaction);
+        updateLanguageNotice(analysisResponse.language);
+        displaySentimentTimeline(analysisResponse.sentimentTimeline);
+        displayScorecard(analysisResponse.scorecard);
+        loadRelatedCases(analysisResponse.caseId);
         showHumanReviewOptions();
         
     } catch (error) {
         console.error('Analysis failed:', error);
+        clearPreviousAnalysis();
         showError('Analysis failed: ' + error.message);
     } finally {
         resetButtonState(analyzeButton, 'Analyze with AI');
@@ -158,64 +459,386 @@ async function requestAnalysis() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
             transcription: selectedScenario.transcription,
-            scenarioId: selectedScenario.id
+            scenarioId: selectedScenario.id,
+            schemaId: selectedScenario.schemaId
         })
     });
     
     if (!response.ok) {
-        throw new Error(`Analysis request failed: HTTP ${response.status}`);
+        const errorBody = await response.json().catch(() => null);
+        throw new Error(errorBody?.error || `Analysis request failed: HTTP ${response.status}`);
     }
     
     return await response.json();
 }
 
+// Reads the Server-Sent Events stream from /api/analyze/stream. EventSource
+// only supports GET, so the POST response body is parsed by hand.
+async function requestStreamingAnalysis(onEvent) {
+    const response = await fetch('/api/analyze/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify({
+            transcription: selectedScenario.transcription,
+            scenarioId: selectedScenario.id,
+            schemaId: selectedScenario.schemaId
+        })
+    });
+    
+    if (!response.ok || !response.body) {
+        return requestAnalysis();
+    }
+    
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const message = parseServerSentEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (!message) continue;
+            
+            if (message.event === 'complete') return message.data;
+            if (message.event === 'error') throw new Error(message.data.error);
+            onEvent(message);
+        }
+    }
+    
+    throw new Error('Analysis stream ended before the analysis was complete');
+}
+
+function parseServerSentEvent(block) {
+    let event = 'message';
+    const dataLines = [];
+    block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+    });
+    if (!dataLines.length) return null;
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+}
+
+function updateProviderBadge(provider) {
+    const badge = document.querySelector('.ai-badge');
+    if (!badge || !provider) return;
+    
+    const providerLabels = { 
+        azure: 'Azure OpenAI', 
+        openai: 'OpenAI-compatible', 
+        mock: 'Offline Mock' 
+    };
+    badge.textContent = providerLabels[provider.name] || provider.name;
+    badge.title = provider.model || '';
+}
+
+function updateRedactionNotice(redaction) {
+    const notice = document.getElementById('redactionNotice');
+    if (!notice) return;
+    
+    if (!redaction || !redaction.totalRedactions) {
+        notice.style.display = 'none';
+        return;
+    }
+    
+    const entityCounts = Object.entries(redaction.counts)
+        .map(([type, count]) => `${count} ${formatAction(type)}`)
+        .join(', ');
+    notice.textContent = redaction.policy === 'all'
+        ? `Personal data redacted before analysis and storage: ${entityCounts}`
+        : `Personal data hidden from the model: ${entityCounts}`;
+    notice.style.display = 'block';
+}
+
+function updateLanguageNotice(language) {
+    const notice = document.getElementById('languageNotice');
+    if (!notice) return;
+    
+    if (!language || language.code === language.deskLanguage) {
+        notice.style.display = 'none';
+        return;
+    }
+    
+    notice.textContent = `Call held in ${language.name}. Summary and suggested actions are shown in ${getLanguageName(language.deskLanguage)} and ${language.name}.`;
+    notice.style.display = 'block';
+}
+
+function getLanguageName(code) {
+    return LANGUAGE_NAMES[code] || code;
+}
+
+// The analysis carries the summary and actions a second time in the call's
+// language; nothing is shown when that is the agent-desk language already
+function getCustomerTranslation(analysis) {
+    const translation = analysis.customerLanguage;
+    const deskLanguage = currentLanguage?.deskLanguage || 'en';
+    return translation && translation.language !== deskLanguage ? translation : null;
+}
+
+function createTranslationMarkup(analysis, render) {
+    const translation = getCustomerTranslation(analysis);
+    if (!translation) return '';
+    return `
+        <div class="translation" lang="${escapeHtml(translation.language)}">
+            <div class="translation-label">${escapeHtml(getLanguageName(translation.language))}</div>
+            ${render(translation)}
+        </div>`;
+}
+
+// One bar per customer turn above the transcript: up for positive, down for
+// negative. Clicking a bar scrolls to that turn.
+function displaySentimentTimeline(sentimentTimeline) {
+    const container = document.getElementById('sentimentTimeline');
+    if (!container) return;
+    
+    if (!sentimentTimeline?.turns?.length) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+    
+    const { trajectory } = sentimentTimeline;
+    container.innerHTML = `
+        <div class="timeline-header">
+            <strong>Customer sentiment</strong>
+            <span class="timeline-trend timeline-trend-${trajectory.trend}">${capitalize(trajectory.trend)}</span>
+        </div>
+        <div class="timeline-track">
+            ${sentimentTimeline.turns.map(createTimelinePointMarkup).join('')}
+        </div>
+        <div class="timeline-summary">${escapeHtml(trajectory.summary)}</div>
+    `;
+    container.style.display = 'block';
+}
+
+function createTimelinePointMarkup(point) {
+    const height = Math.max(3, Math.round(Math.abs(point.score) * 22));
+    const direction = point.score < 0 ? 'negative' : 'positive';
+    return `
+        <button type="button" class="timeline-point sentiment-point-${point.sentiment}" title="Turn ${point.turnIndex + 1}: ${formatSentiment(point.sentiment)} (${escapeHtml(point.emotion)})" onclick="scrollToTurn(${point.turnIndex})">
+            <span class="timeline-bar timeline-bar-${direction}" style="height: ${height}px"></span>
+        </button>`;
+}
+
+function scrollToTurn(turnIndex) {
+    const messageElement = document.querySelectorAll('#chatContainer .chat-message')[turnIndex];
+    if (!messageElement) return;
+    
+    messageElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageElement.classList.add('chat-message-focus');
+    setTimeout(() => messageElement.classList.remove('chat-message-focus'), 1500);
+}
+
+// QA results for the agent side of the call; evidence quotes link to the turn
+function displayScorecard(scorecard) {
+    const scorecardSection = document.getElementById('scorecardSection');
+    if (!scorecardSection) return;
+    
+    if (!scorecard) {
+        scorecardSection.style.display = 'none';
+        return;
+    }
+    
+    document.getElementById('scorecardScore').textContent = `${scorecard.score}%`;
+    document.getElementById('scorecardContent').innerHTML = `
+        <p>
+            <strong>${escapeHtml(scorecard.agentName || 'Unknown agent')}</strong>,
+            ${escapeHtml(scorecard.rubricName)}: ${scorecard.passedCount} passed, ${scorecard.failedCount} failed
+        </p>
+        <ul class="scorecard-criteria">
+            ${scorecard.criteria.map(createScorecardCriterionMarkup).join('')}
+        </ul>
+    `;
+    scorecardSection.style.display = 'block';
+    loadAgentScores();
+}
+
+function createScorecardCriterionMarkup(criterion) {
+    const evidence = criterion.evidence
+        ? `<a href="#" class="scorecard-evidence" onclick="scrollToTurn(${Number(criterion.evidence.turnIndex)}); return false;">"${escapeHtml(criterion.evidence.quote)}"</a>`
+        : '';
+    return `
+        <li class="scorecard-criterion ${criterion.passed ? 'criterion-passed' : 'criterion-failed'}">
+            <span class="criterion-status">${criterion.passed ? 'Pass' : 'Fail'}</span>
+            <span class="criterion-label">${escapeHtml(criterion.label)}</span>
+            ${evidence}
+        </li>`;
+}
+
+async function loadAgentScores() {
+    const container = document.getElementById('agentScores');
+    if (!container) return;
+    
+    try {
+        const response = await fetch('/api/scorecards/agents');
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        container.innerHTML = result.agents.length ? `
+            <h4>Agent averages</h4>
+            <table class="agent-scores-table">
+                <thead><tr><th>Agent</th><th>Calls</th><th>Average score</th></tr></thead>
+                <tbody>
+                    ${result.agents.map(agent => `
+                    <tr>
+                        <td>${escapeHtml(agent.agentName)}</td>
+                        <td>${agent.calls}</td>
+                        <td>${agent.averageScore}%</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        ` : '';
+    } catch (error) {
+        console.error('Failed to load agent scores:', error);
+        container.innerHTML = '';
+    }
+}
+
+// Earlier cases of the same customer, matched on email, phone or order number
+// by the server (services/relatedCases.js). They are linked to the CRM case
+// when it is created.
+async function loadRelatedCases(caseId) {
+    const container = document.getElementById('relatedCases');
+    if (!container || !caseId) return;
+    
+    try {
+        const response = await fetch(`/api/cases/${encodeURIComponent(caseId)}/related`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        if (caseId !== currentCaseId) return;
+        
+        container.innerHTML = createRelatedCasesMarkup(result);
+        container.style.display = 'block';
+    } catch (error) {
+        console.error('Failed to load related cases:', error);
+        container.style.display = 'none';
+    }
+}
+
+function createRelatedCasesMarkup(related) {
+    const header = `<h4>Prior Contacts${related.cases.length ? ` (${related.priorContacts})` : ''}</h4>`;
+    if (!related.identifiers.length) {
+        return `${header}<p class="related-cases-empty">No email, phone or order number to match earlier cases on</p>`;
+    }
+    
+    const alert = related.repeatCaller ? `
+        <p class="related-cases-alert">
+            Repeat caller: ${related.priorContacts} earlier cases in the last ${related.lookbackDays} days.
+            ${related.escalation ? `Escalation risk goes from ${escapeHtml(formatRiskLevel(related.escalation.from))} to ${escapeHtml(formatRiskLevel(related.escalation.to))} in the CRM.` : ''}
+        </p>` : '';
+    const lookupError = related.lookupError
+        ? `<p class="related-cases-empty">CRM lookup failed, showing local cases only: ${escapeHtml(related.lookupError)}</p>`
+        : '';
+    
+    return `
+        ${header}
+        ${alert}
+        ${lookupError}
+        ${related.cases.length ? `
+        <ul class="related-case-list">
+            ${related.cases.map(createRelatedCaseMarkup).join('')}
+        </ul>` : `<p class="related-cases-empty">No earlier cases for ${escapeHtml(related.identifiers.map(identifier => identifier.value).join(', '))}</p>`}
+    `;
+}
+
+function createRelatedCaseMarkup(relatedCase) {
+    const title = relatedCase.title || (relatedCase.intent ? formatIntent(relatedCase.intent) : 'Case');
+    const crmReference = relatedCase.crmCaseId
+        ? relatedCase.url
+            ? `<a href="${escapeHtml(relatedCase.url)}" target="_blank" class="case-history-crm" onclick="event.stopPropagation()">${escapeHtml(relatedCase.crmCaseId)}</a>`
+            : `<span class="case-history-crm">${escapeHtml(relatedCase.crmCaseId)}</span>`
+        : '';
+    return `
+        <li class="related-case"${relatedCase.caseId ? ` onclick="reopenCase('${escapeHtml(relatedCase.caseId)}')"` : ''}>
+            <div class="case-history-meta">
+                <span>${relatedCase.createdAt ? escapeHtml(new Date(relatedCase.createdAt).toLocaleString()) : 'Unknown date'}</span>
+                ${relatedCase.status ? `<span class="case-status case-status-${escapeHtml(relatedCase.status)}">${escapeHtml(capitalize(relatedCase.status.replace(/_/g, ' ')))}</span>` : ''}
+            </div>
+            <div>
+                <strong>${escapeHtml(title)}</strong>
+                ${crmReference}
+            </div>
+            <div class="related-case-match">Matched on ${escapeHtml(relatedCase.matchedOn.map(getKeyInformationLabel).join(', '))}</div>
+        </li>`;
+}
+
 function displayAnalysisResults(analysisData) {
     const analysisContainer = document.getElementById('analysisContent');
     analysisContainer.innerHTML = createAnalysisMarkup(analysisData);
 }
 
 function createAnalysisMarkup(analysis) {
+    return ANALYSIS_CARDS.map(card => createAnalysisCardMarkup(card, analysis)).join('');
+}
+
+function createAnalysisCardMarkup(card, analysis) {
+    if (analysis[card.field] === undefined) {
+        return `
+        <div class="analysis-card analysis-card-pending" data-card="${card.field}">
+            <h4>${card.title}</h4>
+            <div class="analysis-pending">Waiting for model...</div>
+        </div>`;
+    }
+    
+    const flagged = hasLowConfidence(card.field);
     return `
-        <div class="analysis-card">
-            <h4>Sentiment Analysis</h4>
-            <div class="sentiment-${analysis.sentiment}">
-                <strong>${formatSentiment(analysis.sentiment)}</strong>
-                <span class="confidence-score">${Math.round(analysis.confidenceScore * 100)}% confidence</span>
-            </div>
-        </div>
+        <div class="analysis-card ${flagged ? 'analysis-card-low-confidence' : ''}" data-card="${card.field}">
+            <h4>${card.title}</h4>
+            ${card.render(analysis)}
+        </div>`;
+}
 
-        <div class="analysis-card">
-            <h4>Escalation Risk</h4>
-            <div class="risk-${analysis.escalationRisk}">
-                <strong>${formatRiskLevel(analysis.escalationRisk)}</strong>
-            </div>
-        </div>
+// Re-renders whichever card displays the field that just arrived
+function renderAnalysisField(analysis, fieldName) {
+    ANALYSIS_CARDS
+        .filter(card => card.field === fieldName || card.extraFields?.includes(fieldName))
+        .forEach(card => {
+            const cardElement = document.querySelector(`#analysisContent [data-card="${card.field}"]`);
+            if (cardElement) cardElement.outerHTML = createAnalysisCardMarkup(card, analysis);
+        });
+}
 
-        <div class="analysis-card">
-            <h4>Primary Intent</h4>
-            <div><strong>${formatIntent(analysis.primaryIntent)}</strong></div>
-        </div>
+function createConfidenceMarkup(confidenceScore) {
+    if (typeof confidenceScore !== 'number') return '';
+    return `<span class="confidence-score">${Math.round(confidenceScore * 100)}% confidence</span>`;
+}
 
-        <div class="analysis-card">
-            <h4>Key Information</h4>
-            <div class="key-info-grid">${createKeyInformationMarkup(analysis.keyInformation)}</div>
-        </div>
+// Low-confidence flags come from the server's review assessment, which applies
+// the per-field thresholds in config/review-thresholds.json
+function getLowConfidence(fieldPath) {
+    return currentReview?.lowConfidence?.find(entry => entry.field === fieldPath) || null;
+}
 
-        <div class="analysis-card">
-            <h4>Suggested Actions</h4>
-            <div class="actions-list">${createActionTags(analysis.suggestedActions)}</div>
-        </div>
+// A card is flagged when the field itself or anything under it is
+function hasLowConfidence(field) {
+    return Boolean(currentReview?.lowConfidence?.some(entry => entry.field === field || entry.field.startsWith(`${field}.`)));
+}
 
-        <div class="analysis-card">
-            <h4>Commitments Made</h4>
-            <div class="actions-list">${createActionTags(analysis.commitments)}</div>
-        </div>
+function createLowConfidenceBadge(fieldPath) {
+    const flag = getLowConfidence(fieldPath);
+    if (!flag) return '';
+    const confidence = typeof flag.confidence === 'number' ? `${Math.round(flag.confidence * 100)}%` : 'no';
+    const title = flag.reason ? `${flag.reason}. Review threshold ${Math.round(flag.threshold * 100)}%` : `Review threshold ${Math.round(flag.threshold * 100)}%`;
+    return ` <span class="low-confidence-badge" title="${escapeHtml(title)}">${confidence} confidence, please check</span>`;
+}
 
-        <div class="analysis-card">
-            <h4>Summary</h4>
-            <p>${analysis.summary}</p>
-        </div>
-    `;
+function createEvidenceMarkup(fieldPath, evidence) {
+    if (!evidence) return '';
+    return `
+        <div class="evidence">
+            ${evidence.quote ? `<q class="evidence-quote">${escapeHtml(evidence.quote)}</q>` : ''}
+            ${getLowConfidence(fieldPath) ? createLowConfidenceBadge(fieldPath) : createConfidenceMarkup(evidence.confidence)}
+        </div>`;
+}
+
+function createEvidenceTitle(evidence) {
+    if (!evidence) return '';
+    const quote = evidence.quote ? `"${evidence.quote}" ` : '';
+    return `title="${escapeHtml(`${quote}(${Math.round(evidence.confidence * 100)}% confidence)`)}"`;
 }
 
 function displayStructuredDataSchema(schema, analysisData) {
@@ -238,17 +861,23 @@ function displayStructuredDataSchema(schema, analysisData) {
     schemaSection.style.display = 'block';
 }
 
+// Field order and keyInformation fields follow the selected schema
 function buildCrmPayload(analysis) {
-    return {
-        sentiment: analysis.sentiment,
-        escalationRisk: analysis.escalationRisk,
-        primaryIntent: analysis.primaryIntent,
-        keyInformation: analysis.keyInformation,
-        suggestedActions: analysis.suggestedActions,
-        commitments: analysis.commitments,
-        confidenceScore: analysis.confidenceScore,
-        summary: analysis.summary
-    };
+    const schema = getCurrentSchema();
+    if (!schema) return analysis;
+    
+    const payload = {};
+    // Evidence is for reviewers; the CRM gets the values only
+    Object.keys(schema.jsonSchema.properties)
+        .filter(fieldName => fieldName !== 'evidence')
+        .forEach(fieldName => {
+            payload[fieldName] = analysis[fieldName];
+        });
+    payload.keyInformation = {};
+    schema.keyInformation.forEach(field => {
+        payload.keyInformation[field.name] = analysis.keyInformation?.[field.name] ?? '';
+    });
+    return payload;
 }
 
 function addJsonSyntaxHighlighting(jsonString) {
@@ -262,13 +891,32 @@ function showHumanReviewOptions() {
     const reviewSection = document.getElementById('reviewSection');
     if (reviewSection) {
         reviewSection.style.display = 'block';
+        updateReviewFocus();
+        updateReviewChanges();
         attachReviewEventListeners();
     }
 }
 
+function updateReviewFocus() {
+    const focus = document.getElementById('reviewFocus');
+    if (!focus) return;
+    
+    const flaggedCount = currentReview?.lowConfidence?.length || 0;
+    focus.textContent = flaggedCount
+        ? `${flaggedCount} value${flaggedCount === 1 ? '' : 's'} below the review threshold ${flaggedCount === 1 ? 'is' : 'are'} highlighted. Check ${flaggedCount === 1 ? 'it' : 'them'} first.`
+        : '';
+    focus.style.display = flaggedCount ? 'block' : 'none';
+}
+
 function attachReviewEventListeners() {
     document.getElementById('editBtn').onclick = openAnalysisEditor;
     document.getElementById('approveBtn').onclick = approveAndFinalize;
+    
+    const reviewerInput = document.getElementById('reviewerName');
+    if (!reviewerInput.value) {
+        reviewerInput.value = localStorage.getItem('reviewerName') || '';
+    }
+    reviewerInput.oninput = () => reviewerInput.classList.remove('input-error');
 }
 
 function openAnalysisEditor() {
@@ -283,44 +931,129 @@ function openAnalysisEditor() {
     attachModalEventListeners();
 }
 
+// Intents are picked from the taxonomy, grouped by category; without it
+// (the request failed) the reviewer can still type one
+function createIntentInputMarkup(currentIntent) {
+    if (!intentTaxonomy) {
+        return `<input type="text" id="editIntent" value="${escapeHtml(currentIntent)}">`;
+    }
+    
+    const groups = new Map();
+    intentTaxonomy.intents.forEach(intent => {
+        const category = intent.categories.map(entry => entry.label).join(' / ');
+        if (!groups.has(category)) groups.set(category, []);
+        groups.get(category).push(intent);
+    });
+    const known = intentTaxonomy.intents.some(intent => intent.id === currentIntent);
+    return `
+        <select id="editIntent">
+            ${known ? '' : `<option value="" selected disabled>${escapeHtml(currentIntent || 'Choose an intent')}</option>`}
+            ${[...groups.entries()].map(([category, intents]) => `
+                <optgroup label="${escapeHtml(category)}">
+                    ${intents.map(intent => `<option value="${escapeHtml(intent.id)}" ${isSelected(currentIntent, intent.id)}>${escapeHtml(intent.label)}</option>`).join('')}
+                </optgroup>`).join('')}
+        </select>`;
+}
+
+// Every reviewer-facing schema field is editable; confidenceScore and
+// evidence describe the model's output and stay as they were
 function createEditFormMarkup(analysis) {
+    const schema = getCurrentSchema();
+    const sentiments = schema?.sentiments || ['positive', 'neutral', 'negative', 'frustrated'];
+    const riskLevels = schema?.jsonSchema.properties.escalationRisk.enum || ['low', 'medium', 'high'];
+    const keyInformationFields = schema?.keyInformation ||
+        Object.keys(analysis.keyInformation || {}).map(name => ({ name, label: formatFieldName(name) }));
+    
     return `
-        <div class="form-group">
-            <label for="editSentiment">Sentiment:</label>
+        <div class="form-errors" id="editFormErrors" style="display: none;"></div>
+        
+        <div class="form-group ${getLowConfidence('sentiment') ? 'low-confidence-input' : ''}">
+            <label for="editSentiment">Sentiment:${createLowConfidenceBadge('sentiment')}</label>
             <select id="editSentiment">
-                <option value="positive" ${isSelected(analysis.sentiment, 'positive')}>Positive</option>
-                <option value="neutral" ${isSelected(analysis.sentiment, 'neutral')}>Neutral</option>
-                <option value="negative" ${isSelected(analysis.sentiment, 'negative')}>Negative</option>
-                <option value="frustrated" ${isSelected(analysis.sentiment, 'frustrated')}>Frustrated</option>
+                ${sentiments.map(sentiment => `<option value="${sentiment}" ${isSelected(analysis.sentiment, sentiment)}>${formatSentiment(sentiment)}</option>`).join('')}
             </select>
         </div>
         
-        <div class="form-group">
-            <label for="editRisk">Escalation Risk:</label>
+        <div class="form-group ${getLowConfidence('escalationRisk') ? 'low-confidence-input' : ''}">
+            <label for="editRisk">Escalation Risk:${createLowConfidenceBadge('escalationRisk')}</label>
             <select id="editRisk">
-                <option value="low" ${isSelected(analysis.escalationRisk, 'low')}>Low</option>
-                <option value="medium" ${isSelected(analysis.escalationRisk, 'medium')}>Medium</option>
-                <option value="high" ${isSelected(analysis.escalationRisk, 'high')}>High</option>
+                ${riskLevels.map(level => `<option value="${level}" ${isSelected(analysis.escalationRisk, level)}>${capitalize(level)}</option>`).join('')}
             </select>
         </div>
         
-        <div class="form-group">
-            <label for="editIntent">Primary Intent:</label>
-            <input type="text" id="editIntent" value="${analysis.primaryIntent}">
+        <div class="form-group ${getLowConfidence('primaryIntent') ? 'low-confidence-input' : ''}">
+            <label for="editIntent">Primary Intent:${createLowConfidenceBadge('primaryIntent')}</label>
+            ${createIntentInputMarkup(analysis.primaryIntent)}
         </div>
         
+        <fieldset class="form-fieldset">
+            <legend>Key Information</legend>
+            ${keyInformationFields.map(field => `
+            <div class="form-group ${getLowConfidence(`keyInformation.${field.name}`) ? 'low-confidence-input' : ''}">
+                <label for="editKeyInfo-${field.name}">${escapeHtml(field.label)}:${createLowConfidenceBadge(`keyInformation.${field.name}`)}</label>
+                <div class="list-editor-item">
+                    <input type="text" id="editKeyInfo-${field.name}" data-key-information="${field.name}" value="${escapeHtml(analysis.keyInformation?.[field.name] || '')}" placeholder="Not stated in the call">
+                    <button type="button" class="remove-item-btn" title="Clear" onclick="this.previousElementSibling.value = ''">&times;</button>
+                </div>
+            </div>`).join('')}
+        </fieldset>
+        
+        ${createListEditorMarkup('commitments', 'Commitments Made', analysis.commitments, 'Add commitment')}
+        
+        ${createListEditorMarkup('suggestedActions', 'Suggested Actions', analysis.suggestedActions, 'Add action')}
+        
         <div class="form-group">
             <label for="editSummary">Summary:</label>
-            <textarea id="editSummary">${analysis.summary}</textarea>
+            <textarea id="editSummary">${escapeHtml(analysis.summary)}</textarea>
         </div>
         
-        <div class="form-group">
-            <label for="editActions">Suggested Actions (comma-separated):</label>
-            <textarea id="editActions">${analysis.suggestedActions.join(', ')}</textarea>
-        </div>
+        ${createTranslationEditorMarkup(analysis)}
     `;
 }
 
+// Reviewers correct the customer-language copy alongside the original, since
+// it is what the customer's follow-up email is written from
+function createTranslationEditorMarkup(analysis) {
+    const translation = getCustomerTranslation(analysis);
+    if (!translation) return '';
+    const languageName = escapeHtml(getLanguageName(translation.language));
+    return `
+        <fieldset class="form-fieldset">
+            <legend>In ${languageName} (customer's language)</legend>
+            <div class="form-group">
+                <label for="editCustomerSummary">Summary:</label>
+                <textarea id="editCustomerSummary">${escapeHtml(translation.summary)}</textarea>
+            </div>
+            ${createListEditorMarkup('customerSuggestedActions', 'Suggested Actions', translation.suggestedActions, 'Add action')}
+        </fieldset>`;
+}
+
+function createListEditorMarkup(field, label, items, addLabel) {
+    return `
+        <fieldset class="form-fieldset">
+            <legend>${label}</legend>
+            <div class="list-editor" id="edit-${field}">
+                ${(items || []).map((item, index) => createListEditorItemMarkup(field, item, index)).join('')}
+            </div>
+            <button type="button" class="add-item-btn" onclick="addListEditorItem('${field}')">+ ${addLabel}</button>
+        </fieldset>`;
+}
+
+function createListEditorItemMarkup(field, value, index) {
+    const flagged = field === 'commitments' && getLowConfidence(`commitments.${index}`);
+    return `
+        <div class="list-editor-item ${flagged ? 'low-confidence-input' : ''}">
+            <input type="text" data-list-item="${field}" value="${escapeHtml(value)}">
+            <button type="button" class="remove-item-btn" title="Remove" onclick="this.parentElement.remove()">&times;</button>
+        </div>`;
+}
+
+function addListEditorItem(field) {
+    const list = document.getElementById(`edit-${field}`);
+    list.insertAdjacentHTML('beforeend', createListEditorItemMarkup(field, '', -1));
+    list.lastElementChild.querySelector('input').focus();
+}
+
 function attachModalEventListeners() {
     document.getElementById('closeModal').onclick = closeAnalysisEditor;
     document.getElementById('cancelEdit').onclick = closeAnalysisEditor;
@@ -331,57 +1064,209 @@ function closeAnalysisEditor() {
     document.getElementById('editModal').style.display = 'none';
 }
 
+// The editor keeps the model's original in aiAnalysisResult, so every save is
+// checked against the schema and the differences stay visible until approval
 function saveAnalysisEdits() {
-    currentAnalysisResult = {
+    const editedAnalysis = {
         ...currentAnalysisResult,
         sentiment: document.getElementById('editSentiment').value,
         escalationRisk: document.getElementById('editRisk').value,
-        primaryIntent: document.getElementById('editIntent').value,
-        summary: document.getElementById('editSummary').value,
-        suggestedActions: parseCommaSeparatedValues(document.getElementById('editActions').value)
+        primaryIntent: document.getElementById('editIntent').value.trim(),
+        keyInformation: readKeyInformationEdits(),
+        commitments: readListEdits('commitments'),
+        suggestedActions: readListEdits('suggestedActions'),
+        summary: document.getElementById('editSummary').value.trim(),
+        customerLanguage: readTranslationEdits()
     };
     
+    const errors = validateAnalysisEdits(editedAnalysis);
+    if (errors.length) {
+        showEditFormErrors(errors);
+        return;
+    }
+    
+    currentAnalysisResult = editedAnalysis;
     displayAnalysisResults(currentAnalysisResult);
-
     displayStructuredDataSchema(null, currentAnalysisResult);
+    updateReviewChanges();
     
     closeAnalysisEditor();
     console.log('Analysis updated by human review');
 }
 
+function readKeyInformationEdits() {
+    const keyInformation = { ...currentAnalysisResult.keyInformation };
+    document.querySelectorAll('#editForm [data-key-information]').forEach(input => {
+        // Cleared fields go back to null, as the model reports a missing value
+        keyInformation[input.dataset.keyInformation] = input.value.trim() || null;
+    });
+    return keyInformation;
+}
+
+function readTranslationEdits() {
+    const translation = currentAnalysisResult.customerLanguage;
+    const summaryInput = document.getElementById('editCustomerSummary');
+    if (!summaryInput) return translation;
+    return {
+        ...translation,
+        summary: summaryInput.value.trim(),
+        suggestedActions: readListEdits('customerSuggestedActions')
+    };
+}
+
+function readListEdits(field) {
+    return [...document.querySelectorAll(`#editForm [data-list-item="${field}"]`)]
+        .map(input => input.value.trim())
+        .filter(Boolean);
+}
+
+// Mirrors the schema's constraints for the fields a reviewer can touch
+function validateAnalysisEdits(analysis) {
+    const schema = getCurrentSchema();
+    const properties = schema?.jsonSchema.properties;
+    const errors = [];
+    
+    if (properties) {
+        if (!properties.sentiment.enum.includes(analysis.sentiment)) errors.push(`Sentiment must be one of: ${properties.sentiment.enum.join(', ')}`);
+        if (!properties.escalationRisk.enum.includes(analysis.escalationRisk)) errors.push(`Escalation risk must be one of: ${properties.escalationRisk.enum.join(', ')}`);
+        if (analysis.primaryIntent && properties.primaryIntent.enum && !properties.primaryIntent.enum.includes(analysis.primaryIntent)) errors.push('Primary intent must be one of the taxonomy intents');
+        const unknownFields = Object.keys(analysis.keyInformation).filter(name => !(name in properties.keyInformation.properties));
+        if (unknownFields.length) errors.push(`Unknown key information fields: ${unknownFields.join(', ')}`);
+    }
+    if (!analysis.primaryIntent) errors.push('Primary intent is required');
+    if (!analysis.summary) errors.push('Summary is required');
+    return errors;
+}
+
+function showEditFormErrors(errors) {
+    const container = document.getElementById('editFormErrors');
+    container.innerHTML = `<ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`;
+    container.style.display = 'block';
+    container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Lists the fields the reviewer changed from the model's analysis; the server
+// records the authoritative diff when the case is finalized
+function getEditedFieldLabels() {
+    if (!aiAnalysisResult || !currentAnalysisResult) return [];
+    
+    const labels = [];
+    [['sentiment', 'Sentiment'], ['escalationRisk', 'Escalation Risk'], ['primaryIntent', 'Primary Intent'], ['summary', 'Summary']]
+        .forEach(([field, label]) => {
+            if (aiAnalysisResult[field] !== currentAnalysisResult[field]) labels.push(label);
+        });
+    Object.keys(currentAnalysisResult.keyInformation || {}).forEach(name => {
+        if ((aiAnalysisResult.keyInformation?.[name] || null) !== (currentAnalysisResult.keyInformation[name] || null)) {
+            labels.push(getKeyInformationLabel(name));
+        }
+    });
+    [['commitments', 'Commitments'], ['suggestedActions', 'Suggested Actions']].forEach(([field, label]) => {
+        if (JSON.stringify(aiAnalysisResult[field] || []) !== JSON.stringify(currentAnalysisResult[field] || [])) labels.push(label);
+    });
+    return labels;
+}
+
+function updateReviewChanges() {
+    const container = document.getElementById('reviewChanges');
+    if (!container) return;
+    
+    const editedLabels = getEditedFieldLabels();
+    container.innerHTML = editedLabels.length
+        ? `Edited: ${editedLabels.map(escapeHtml).join(', ')} <button type="button" class="revert-btn" onclick="revertToAiAnalysis()">Revert to AI analysis</button>`
+        : '';
+    container.style.display = editedLabels.length ? 'block' : 'none';
+}
+
+function revertToAiAnalysis() {
+    if (!aiAnalysisResult) return;
+    currentAnalysisResult = aiAnalysisResult;
+    displayAnalysisResults(currentAnalysisResult);
+    displayStructuredDataSchema(null, currentAnalysisResult);
+    updateReviewChanges();
+}
+
+function getReviewerName() {
+    const input = document.getElementById('reviewerName');
+    const reviewer = input ? input.value.trim() : '';
+    if (reviewer) localStorage.setItem('reviewerName', reviewer);
+    return reviewer;
+}
+
 async function approveAndFinalize() {
     if (!currentAnalysisResult) return;
     
+    if (!getReviewerName()) {
+        const reviewerInput = document.getElementById('reviewerName');
+        reviewerInput.classList.add('input-error');
+        reviewerInput.focus();
+        return;
+    }
+    
     showCrmIntegrationProgress();
     
     try {
         const finalizationResponse = await submitFinalAnalysis();
-        showCrmIntegrationSuccess();
-        displayCrmRecord(finalizationResponse.crmRecord);
-        generateCustomerEmail(finalizationResponse.crmRecord);
+        showCrmIntegrationSuccess(finalizationResponse.crmRecord);
+        displayCrmRecord(finalizationResponse.crmRecord, finalizationResponse.caseId);
+        generateCustomerEmail(finalizationResponse.caseId, finalizationResponse.crmRecord);
+        refreshCaseHistory();
+        loadReviewQueue();
         
     } catch (error) {
         console.error('Finalization failed:', error);
-        showCrmIntegrationError();
+        showCrmIntegrationError(error);
         showError('Failed to create CRM record: ' + error.message);
     }
 }
 
+// CRM creation runs as a background job so slow or flaky CRMs are retried
+// server-side; the browser just follows the job's status stream.
 async function submitFinalAnalysis() {
-    const response = await fetch('/api/finalize', {
+    const response = await fetch('/api/finalize?async=true', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
             analysis: currentAnalysisResult,
-            scenarioId: selectedScenario.id
+            scenarioId: selectedScenario.id,
+            schemaId: currentSchemaId,
+            caseId: currentCaseId,
+            reviewer: getReviewerName(),
+            customerTier: document.getElementById('customerTier')?.value || undefined
         })
     });
     
     if (!response.ok) {
-        throw new Error(`Finalization failed: HTTP ${response.status}`);
+        const errorBody = await response.json().catch(() => null);
+        const error = new Error(errorBody?.error || `Finalization failed: HTTP ${response.status}`);
+        error.connector = errorBody?.connector;
+        throw error;
     }
     
-    return await response.json();
+    const { jobId } = await response.json();
+    const job = await waitForJob(jobId, showCrmIntegrationRetry);
+    return job.result;
+}
+
+function waitForJob(jobId, onUpdate) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`/api/jobs/${encodeURIComponent(jobId)}/events`);
+        source.addEventListener('status', event => {
+            const job = JSON.parse(event.data);
+            if (onUpdate) onUpdate(job);
+            
+            if (job.status === 'succeeded') {
+                source.close();
+                resolve(job);
+            } else if (job.status === 'dead') {
+                source.close();
+                reject(new Error(job.lastError?.message || 'Job failed'));
+            }
+        });
+        source.onerror = () => {
+            source.close();
+            reject(new Error('Lost connection while waiting for the job to finish'));
+        };
+    });
 }
 
 function showCrmIntegrationProgress() {
@@ -396,53 +1281,66 @@ function showCrmIntegrationProgress() {
         <div class="integration-status" id="integrationStatus">
             <div class="integration-progress">
                 <div class="spinner-small"></div>
-                <span>Sending to Dynamics 365...</span>
+                <span>Sending to CRM...</span>
             </div>
         </div>
     `;
 }
 
-function showCrmIntegrationSuccess() {
+function showCrmIntegrationRetry(job) {
+    if (job.status !== 'retrying') return;
+    
+    const progressLabel = document.querySelector('#integrationStatus .integration-progress span');
+    if (progressLabel) {
+        progressLabel.textContent = `CRM unavailable, retrying (attempt ${job.attempts + 1} of ${job.maxAttempts})...`;
+    }
+}
+
+function showCrmIntegrationSuccess(crmRecord) {
     const integrationStatus = document.getElementById('integrationStatus');
     if (!integrationStatus) return;
     
     integrationStatus.innerHTML = `
         <div class="integration-success">
             <span class="success-icon">✓</span>
-            <span>Successfully created case in Dynamics 365</span>
+            <span>Successfully created case in ${escapeHtml(crmRecord.connectorLabel)}</span>
             <div class="integration-details">
-                <small>Case assigned to Customer Service Team • SLA: 4 hours • Workflow triggered</small>
+                <small>Case assigned to ${escapeHtml(crmRecord.assignedTo)} • Resolve by ${escapeHtml(formatSlaTime(crmRecord.estimatedResolution, crmRecord.sla))} • Workflow triggered</small>
             </div>
         </div>
     `;
 }
 
-function showCrmIntegrationError() {
+function showCrmIntegrationError(error) {
     const integrationStatus = document.getElementById('integrationStatus');
     if (!integrationStatus) return;
     
     integrationStatus.innerHTML = `
         <div class="integration-error">
             <span class="error-icon">⚠</span>
-            <span>Failed to connect to Dynamics 365</span>
+            <span>Failed to connect to ${escapeHtml(error?.connector || 'CRM')}</span>
+            <div class="integration-details">
+                <small>${escapeHtml(error?.message)}</small>
+            </div>
         </div>
     `;
 }
 
-function displayCrmRecord(crmData) {
+function displayCrmRecord(crmData, caseId) {
     const crmSection = document.getElementById('crmSection');
     const crmContainer = document.getElementById('crmContent');
     
     crmContainer.innerHTML = createEnhancedCrmRecordMarkup(crmData);
     crmSection.style.display = 'block';
+    loadTrackedCommitments(caseId);
     
     // Add visual connection to the integration
     setTimeout(() => {
         const crmHeader = crmSection.querySelector('.panel-header h3');
         if (crmHeader) {
             crmHeader.innerHTML = `
-                Dynamics 365 Case Created 
-                <a href="#" class="case-link" onclick="openMockCrmRecord('${crmData.caseId}')">${crmData.caseId}</a>
+                ${escapeHtml(crmData.connectorLabel)} Case Created 
+                <a href="#" class="case-link" onclick="return openCrmRecord('${escapeHtml(crmData.caseId)}', '${escapeHtml(crmData.recordUrl || '')}')">${escapeHtml(crmData.caseId)}</a>
             `;
         }
         crmSection.scrollIntoView({ behavior: 'smooth' });
@@ -453,7 +1351,7 @@ function createEnhancedCrmRecordMarkup(crmRecord) {
     return `
         <div class="crm-integration-header">
             <div class="dynamics-logo">
-                <strong>Microsoft Dynamics 365 Customer Service</strong>
+                <strong>${escapeHtml(crmRecord.connector === 'webhook' ? crmRecord.connectorLabel : 'Microsoft Dynamics 365 Customer Service')}</strong>
             </div>
             <div class="integration-timestamp">
                 Synchronized ${escapeHtml(new Date().toLocaleTimeString())}
@@ -474,7 +1372,7 @@ function createEnhancedCrmRecordMarkup(crmRecord) {
                 <strong>Priority</strong>
                 <div class="field-value">
                     <span class="priority-${escapeHtml(crmRecord.priority.toLowerCase())}">${escapeHtml(crmRecord.priority)}</span>
-                    <div class="field-note">Based on escalation risk analysis</div>
+                    <div class="field-note">${crmRecord.routingRule ? `Set by routing rule ${escapeHtml(crmRecord.routingRule)}` : 'Based on escalation risk analysis'}</div>
                 </div>
             </div>
             <div class="crm-field">
@@ -483,17 +1381,17 @@ function createEnhancedCrmRecordMarkup(crmRecord) {
             </div>
             <div class="crm-field">
                 <strong>Assigned To</strong>
-                <div class="field-value">${escapeHtml(crmRecord.assignedTo)}</div>
-                <div class="field-note">Auto-routed based on category</div>
+                <div class="field-value">${escapeHtml(crmRecord.assignedTo)}${crmRecord.queue ? ` <span class="routing-queue">${escapeHtml(crmRecord.queue)} queue</span>` : ''}</div>
+                <div class="field-note">${escapeHtml(crmRecord.routingReason || 'Auto-routed based on category')}</div>
             </div>
             <div class="crm-field">
                 <strong>Category</strong>
-                <div class="field-value">${escapeHtml(crmRecord.category)}</div>
+                <div class="field-value">${escapeHtml(crmRecord.category)}${crmRecord.subcategory ? ` › ${escapeHtml(crmRecord.subcategory)}` : ''}</div>
             </div>
             <div class="crm-field">
                 <strong>SLA Target</strong>
-                <div class="field-value">${escapeHtml(new Date(crmRecord.estimatedResolution).toLocaleString())}</div>
-                <div class="field-note">Calculated from priority level</div>
+                <div class="field-value">${escapeHtml(formatSlaTime(crmRecord.estimatedResolution, crmRecord.sla))}</div>
+                <div class="field-note">${escapeHtml(describeSla(crmRecord))}</div>
             </div>
             <div class="crm-field">
                 <strong>Created</strong>
@@ -508,104 +1406,398 @@ function createEnhancedCrmRecordMarkup(crmRecord) {
             </div>
         </div>
         
+        ${createSlaEscalationsMarkup(crmRecord.escalationCheckpoints, crmRecord.sla)}
+        
+        <div class="tracked-commitments" id="trackedCommitments"></div>
+        
         <div class="automated-actions">
             <strong>Automated Actions Triggered</strong>
             <ul class="action-list">
                 <li>Customer notification email queued</li>
-                <li>Escalation reminder set for ${escapeHtml(getEscalationTime(crmRecord.priority))}</li>
-                <li>Related cases cross-referenced</li>
+                <li id="commitmentReminders">Scheduling commitment reminders...</li>
+                <li>${escapeHtml(describeRelatedCaseLinks(crmRecord))}</li>
                 <li>Agent performance metrics updated</li>
             </ul>
         </div>
     `;
 }
 
-function getEscalationTime(priority) {
-    const escalationHours = priority === 'High' ? 2 : priority === 'Medium' ? 8 : 24;
-    const escalationTime = new Date(Date.now() + escalationHours * 60 * 60 * 1000);
-    return escalationTime.toLocaleString();
+function describeRelatedCaseLinks(crmRecord) {
+    const linked = crmRecord.relatedCases?.length || 0;
+    if (!linked) return 'No prior cases found for this customer';
+    const escalation = crmRecord.repeatContactEscalation;
+    return `Linked to ${linked} prior case${linked === 1 ? '' : 's'}${escalation ? `; ${escalation.reason}` : ''}`;
+}
+
+// SLA deadlines are computed by the server (services/sla.js) in the business
+// hours of the routed team's calendar, so they are shown in its time zone
+function formatSlaTime(value, sla) {
+    return new Date(value).toLocaleString(undefined, {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+        timeZone: sla?.timeZone,
+        timeZoneName: sla?.timeZone ? 'short' : undefined
+    });
+}
+
+function describeSla(crmRecord) {
+    const sla = crmRecord.sla;
+    if (!sla || typeof sla !== 'object') return 'Calculated from priority level';
+    return [
+        `First response by ${formatSlaTime(crmRecord.firstResponseDue, sla)}`,
+        sla.businessHours ? `${sla.calendarLabel} business hours` : 'Around the clock',
+        crmRecord.customerTier ? `${capitalize(crmRecord.customerTier)} customer` : ''
+    ].filter(Boolean).join(' • ');
+}
+
+function createSlaEscalationsMarkup(checkpoints, sla) {
+    if (!checkpoints?.length) return '';
+    return `
+        <div class="sla-escalations">
+            <strong>SLA Escalations</strong>
+            <ul class="sla-escalation-list">
+                ${checkpoints.map(checkpoint => `
+                <li>
+                    <span class="sla-escalation-percent">${escapeHtml(checkpoint.percent)}%</span>
+                    <span>${escapeHtml(checkpoint.action)}</span>
+                    <span class="sla-escalation-due">${escapeHtml(formatSlaTime(checkpoint.dueAt, sla))}</span>
+                </li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+// Commitments are parsed and scheduled by the server when the case is
+// finalized (services/commitments.js); reminders and overdue flags come from there
+async function loadTrackedCommitments(caseId) {
+    const reminderLine = document.getElementById('commitmentReminders');
+    const container = document.getElementById('trackedCommitments');
+    if (!caseId || !container) return;
+    
+    try {
+        const response = await fetch(`/api/cases/${encodeURIComponent(caseId)}/commitments`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        const scheduled = result.commitments
+            .filter(commitment => commitment.reminder?.status === 'scheduled')
+            .sort((a, b) => a.reminder.remindAt.localeCompare(b.reminder.remindAt));
+        reminderLine.textContent = scheduled.length
+            ? `${scheduled.length} commitment reminder${scheduled.length === 1 ? '' : 's'} scheduled, next at ${new Date(scheduled[0].reminder.remindAt).toLocaleString()}`
+            : 'No commitment reminders pending';
+        container.innerHTML = result.commitments.length ? createTrackedCommitmentsMarkup(result.commitments) : '';
+    } catch (error) {
+        console.error('Failed to load commitments:', error);
+        reminderLine.textContent = 'Commitment reminders unavailable';
+    }
+}
+
+function createTrackedCommitmentsMarkup(commitments) {
+    return `
+        <strong>Tracked Commitments</strong>
+        <ul class="commitment-list">
+            ${commitments.map(commitment => `
+            <li class="commitment-item commitment-${escapeHtml(commitment.status)}">
+                <div class="commitment-text">${escapeHtml(commitment.text)}</div>
+                <div class="commitment-meta">
+                    <span class="commitment-type">${escapeHtml(commitment.type)}</span>
+                    <span>Owner: ${escapeHtml(commitment.owner)}</span>
+                    ${commitment.amount ? `<span>${escapeHtml(formatCommitmentAmount(commitment.amount))}</span>` : ''}
+                    <span>${escapeHtml(formatCommitmentDue(commitment))}</span>
+                    <span class="commitment-status">${escapeHtml(commitment.status)}</span>
+                </div>
+            </li>`).join('')}
+        </ul>
+    `;
+}
+
+function formatCommitmentAmount(amount) {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: amount.currency }).format(amount.value);
 }
 
-function openMockCrmRecord(caseId) {
+function formatCommitmentDue(commitment) {
+    if (!commitment.due) return 'No due date';
+    const end = new Date(commitment.due.end).toLocaleString();
+    return commitment.due.start ? `Due ${new Date(commitment.due.start).toLocaleString()} - ${end}` : `Due by ${end}`;
+}
+
+function openCrmRecord(caseId, recordUrl) {
+    if (recordUrl) {
+        window.open(recordUrl, '_blank');
+        return false;
+    }
     alert(`In a real implementation, this would open ${caseId} directly in Dynamics 365.\n\nURL would be something like:\nhttps://yourorg.dynamics.com/main.aspx?etc=112&id=${caseId}`);
     return false;
 }
 
-function generateCustomerEmail(crmRecord) {
-    const customerName = extractCustomerNameFromTranscript();
-    const emailMarkup = createEmailMarkup(crmRecord, customerName);
+// Follow-up emails are rendered and sent by the server (templates per intent
+// and language in config/email-templates). The customer's copy can be sent;
+// when the call was in another language a desk-language copy is shown too.
+async function generateCustomerEmail(caseId, crmRecord) {
+    const section = document.createElement('div');
+    section.className = 'email-section';
+    section.id = 'followUpEmail';
+    section.innerHTML = '<h4>Customer Follow-up Email</h4><div class="email-preview">Preparing email...</div>';
+    document.getElementById('followUpEmail')?.remove();
+    document.getElementById('crmContent').appendChild(section);
     
-    document.getElementById('crmContent').innerHTML += emailMarkup;
+    try {
+        const customerCopy = await fetchFollowUpEmail(caseId);
+        const deskLanguage = crmRecord.deskLanguage || 'en';
+        const deskCopy = customerCopy.language !== deskLanguage ? await fetchFollowUpEmail(caseId, deskLanguage) : null;
+        section.innerHTML = createEmailMarkup(caseId, customerCopy, deskCopy);
+        loadSentEmails(caseId);
+    } catch (error) {
+        console.error('Failed to prepare follow-up email:', error);
+        section.innerHTML = `<h4>Customer Follow-up Email</h4><div class="email-status email-status-error">${escapeHtml(error.message)}</div>`;
+    }
 }
 
-function createEmailMarkup(crmRecord, customerName) {
-    const greeting = customerName ? `Dear ${escapeHtml(customerName)},` : 'Dear Valued Customer,';
-    
+async function fetchFollowUpEmail(caseId, language) {
+    const query = language ? `?language=${encodeURIComponent(language)}` : '';
+    const response = await fetch(`/api/cases/${encodeURIComponent(caseId)}/follow-up-email${query}`);
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+    return result.email;
+}
+
+function createEmailMarkup(caseId, email, deskCopy) {
     return `
-        <div class="email-section">
-            <h4>Customer Follow-up Email</h4>
-            <div class="email-preview">
-                <strong>Subject:</strong> Follow-up: Your Support Case ${escapeHtml(crmRecord.caseId)}<br><br>
-                
-                <strong>${greeting}</strong><br><br>
-                
-                Thank you for contacting our support team today. We've created case ${escapeHtml(crmRecord.caseId)} to track your request.<br><br>
-                
-                <strong>Summary:</strong><br>
-                ${escapeHtml(crmRecord.description)}<br><br>
-                
-                <strong>Next steps:</strong><br>
-                ${escapeHtml(crmRecord.nextActions.map(action => `• ${formatAction(action)}`).join('\n')).replace(/\n/g, '<br>')}<br><br>
-                
-                <strong>Priority:</strong> ${escapeHtml(crmRecord.priority)}<br>
-                <strong>Expected resolution:</strong> ${escapeHtml(new Date(crmRecord.estimatedResolution).toLocaleDateString())}<br><br>
-                
-                Best regards,<br>
-                Customer Service Team
-            </div>
-            
-            <div class="email-actions">
-                <button onclick="simulateEmailSend()" class="send-email-btn">Send Email (Demo)</button>
-                <button onclick="openEmailGuideVideo()" class="view-acs-demo-btn">View Email Setup Guide</button>
+        <h4>Customer Follow-up Email${email.language !== 'en' ? ` (${escapeHtml(getLanguageName(email.language))})` : ''}</h4>
+        <div class="email-preview" lang="${escapeHtml(email.language)}">
+            <strong>To:</strong> <input type="email" id="emailRecipient" class="email-recipient" value="${escapeHtml(email.to || '')}" placeholder="customer@example.com"><br>
+            <strong>Subject:</strong> ${escapeHtml(email.subject)}<br><br>
+            ${email.html}
+        </div>
+        ${email.placeholders?.length ? `<div class="email-status email-status-error">Replace the redaction placeholders (${escapeHtml(email.placeholders.join(', '))}) in review before sending.</div>` : ''}
+        ${deskCopy ? `
+        <details class="email-desk-copy">
+            <summary>${escapeHtml(getLanguageName(deskCopy.language))} copy for the agent desk</summary>
+            <div class="email-preview" lang="${escapeHtml(deskCopy.language)}">
+                <strong>Subject:</strong> ${escapeHtml(deskCopy.subject)}<br><br>
+                ${deskCopy.html}
             </div>
+        </details>` : ''}
+        <div class="email-actions">
+            <button onclick="sendCustomerEmail('${escapeHtml(caseId)}', '${escapeHtml(email.language)}', this)" class="send-email-btn">Send Email</button>
+            <button onclick="openEmailGuideVideo()" class="view-acs-demo-btn">View Email Setup Guide</button>
         </div>
+        <div class="email-status" id="emailStatus" style="display: none;"></div>
+        <div class="sent-emails" id="sentEmails"></div>
     `;
 }
 
-function extractCustomerNameFromTranscript() {
-    const transcript = selectedScenario?.transcription || '';
-    
-    // Look for patterns where agents use customer names in context
-    const namePatterns = [
-        /Absolutely,?\s+([A-Z][a-z]+)\./, // "Absolutely, Sarah."
-        /I see your (?:account|reservation) here.*?([A-Z][a-z]+)/, // "I see your account here and... Sarah"
-        /thank you,?\s+([A-Z][a-z]+)\./, // "Thank you, Michael."
-        /Great,?\s+thank you\s+([A-Z][a-z]+)\./, // "Great, thank you Michael."
-        /No worries,?\s+([A-Z][a-z]+)\./, // "No worries, Sarah."
-    ];
-    
-    for (const pattern of namePatterns) {
-        const match = transcript.match(pattern);
-        if (match && match[1] && match[1].length > 2) {
-            // Filter out common words that aren't names
-            const excludeWords = ['for', 'the', 'and', 'you', 'can', 'will', 'are', 'have'];
-            if (!excludeWords.includes(match[1].toLowerCase())) {
-                return match[1];
-            }
-        }
-    }
+async function sendCustomerEmail(caseId, language, button) {
+    const status = document.getElementById('emailStatus');
+    const recipient = document.getElementById('emailRecipient').value.trim();
+    setButtonLoadingState(button, 'Sending...');
     
-    return null;
+    try {
+        const response = await fetch(`/api/cases/${encodeURIComponent(caseId)}/follow-up-email`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ to: recipient || undefined, language })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        status.className = 'email-status email-status-success';
+        status.textContent = result.message;
+    } catch (error) {
+        console.error('Failed to send follow-up email:', error);
+        status.className = 'email-status email-status-error';
+        status.textContent = `Email not sent: ${error.message}`;
+    } finally {
+        status.style.display = 'block';
+        resetButtonState(button, 'Send Email');
+        loadSentEmails(caseId);
+    }
 }
 
-function simulateEmailSend() {
-    alert('Customer email sent!\n\nIn production, this would use Azure Communication Services Email API.');
+async function loadSentEmails(caseId) {
+    const container = document.getElementById('sentEmails');
+    if (!container) return;
+    
+    try {
+        const response = await fetch(`/api/cases/${encodeURIComponent(caseId)}/emails`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        container.innerHTML = result.emails.length ? `
+            <strong>Sent for this case</strong>
+            <ul>
+                ${result.emails.map(email => `
+                <li class="sent-email-${email.status}">
+                    ${escapeHtml(new Date(email.sentAt || email.createdAt).toLocaleString())}: ${escapeHtml(email.to)}
+                    (${escapeHtml(getLanguageName(email.language))}, ${escapeHtml(email.transport)})${email.status === 'failed' ? ` failed: ${escapeHtml(email.error)}` : ''}
+                </li>`).join('')}
+            </ul>` : '';
+    } catch (error) {
+        console.error('Failed to load sent emails:', error);
+        container.innerHTML = '';
+    }
 }
 
 function openEmailGuideVideo() {
     window.open('https://www.youtube.com/watch?v=Q2RRqgy_G9g', '_blank');
 }
 
+function initializeCaseHistory() {
+    const toggleButton = document.getElementById('toggleHistoryBtn');
+    if (!toggleButton) return;
+    
+    toggleButton.onclick = toggleCaseHistory;
+    document.getElementById('applyFiltersBtn').onclick = loadCaseHistory;
+}
+
+function toggleCaseHistory() {
+    const historyBody = document.getElementById('caseHistoryBody');
+    const toggleButton = document.getElementById('toggleHistoryBtn');
+    const isHidden = historyBody.style.display === 'none';
+    
+    historyBody.style.display = isHidden ? 'block' : 'none';
+    toggleButton.textContent = isHidden ? 'Hide History' : 'Show History';
+    if (isHidden) loadCaseHistory();
+}
+
+function refreshCaseHistory() {
+    const historyBody = document.getElementById('caseHistoryBody');
+    if (historyBody && historyBody.style.display !== 'none') {
+        loadCaseHistory();
+    }
+}
+
+function buildCaseHistoryQuery() {
+    const filters = {
+        sentiment: document.getElementById('filterSentiment').value,
+        escalationRisk: document.getElementById('filterRisk').value,
+        intent: document.getElementById('filterIntent').value.trim(),
+        from: document.getElementById('filterFrom').value,
+        to: document.getElementById('filterTo').value
+    };
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    return params.toString();
+}
+
+async function loadCaseHistory() {
+    const historyList = document.getElementById('caseHistoryList');
+    historyList.innerHTML = '<div class="analysis-placeholder">Loading cases...</div>';
+    
+    try {
+        const response = await fetch(`/api/cases?${buildCaseHistoryQuery()}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        historyList.innerHTML = result.cases.length
+            ? result.cases.map(createCaseHistoryItemMarkup).join('')
+            : '<div class="analysis-placeholder">No cases match these filters</div>';
+    } catch (error) {
+        console.error('Failed to load case history:', error);
+        historyList.innerHTML = `<p style="color: red;">Failed to load case history: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function initializeReviewQueue() {
+    const refreshButton = document.getElementById('refreshQueueBtn');
+    if (!refreshButton) return;
+    
+    refreshButton.onclick = loadReviewQueue;
+    loadReviewQueue();
+    setInterval(loadReviewQueue, REVIEW_QUEUE_POLL_MS);
+}
+
+async function loadReviewQueue() {
+    const queueList = document.getElementById('reviewQueueList');
+    if (!queueList) return;
+    
+    try {
+        const response = await fetch('/api/review-queue');
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        document.getElementById('reviewQueueCount').textContent = result.counts.pendingReview;
+        const processingNote = result.counts.queued
+            ? `<div class="analysis-placeholder">${result.counts.queued} call(s) still being analyzed...</div>`
+            : '';
+        queueList.innerHTML = result.cases.length
+            ? processingNote + result.cases.map(createCaseHistoryItemMarkup).join('')
+            : processingNote || '<div class="analysis-placeholder">No calls waiting for review</div>';
+    } catch (error) {
+        console.error('Failed to load review queue:', error);
+        queueList.innerHTML = `<p style="color: red;">Failed to load review queue: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function createCaseHistoryItemMarkup(caseSummary) {
+    return `
+        <div class="case-history-item" onclick="reopenCase('${escapeHtml(caseSummary.id)}')">
+            <div class="case-history-meta">
+                <span>${escapeHtml(new Date(caseSummary.createdAt).toLocaleString())}</span>
+                <span class="case-status case-status-${escapeHtml(caseSummary.status)}">${escapeHtml(capitalize(caseSummary.status || ''))}</span>
+            </div>
+            <div>
+                <strong>${escapeHtml(caseSummary.primaryIntent ? formatIntent(caseSummary.primaryIntent) : 'Unknown intent')}</strong>
+                <span class="sentiment-${escapeHtml(caseSummary.sentiment)}">${escapeHtml(formatSentiment(caseSummary.sentiment))}</span>
+                <span class="risk-${escapeHtml(caseSummary.escalationRisk)}">${escapeHtml(formatRiskLevel(caseSummary.escalationRisk))}</span>
+                ${caseSummary.crmCaseId ? `<span class="case-history-crm">${escapeHtml(caseSummary.crmCaseId)}</span>` : ''}
+            </div>
+            <p>${escapeHtml(caseSummary.summary)}</p>
+        </div>
+    `;
+}
+
+async function reopenCase(caseId) {
+    try {
+        const response = await fetch(`/api/cases/${encodeURIComponent(caseId)}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+        
+        const storedCase = result.case;
+        const scenario = availableScenarios.find(s => s.id === storedCase.scenarioId);
+        selectedScenario = {
+            id: storedCase.scenarioId,
+            schemaId: storedCase.schemaId,
+            title: scenario?.title || 'Saved case',
+            transcription: storedCase.transcription || '',
+            turns: storedCase.turns
+        };
+        currentCaseId = storedCase.id;
+        currentSchemaId = storedCase.schemaId;
+        currentAnalysisResult = storedCase.reviewedAnalysis || storedCase.aiAnalysis;
+        aiAnalysisResult = storedCase.aiAnalysis;
+        currentGrounding = storedCase.grounding;
+        currentReview = storedCase.review;
+        currentLanguage = storedCase.language;
+        
+        showMainDemo();
+        displayConversationTranscript(selectedScenario.transcription, selectedScenario.turns);
+        enableAnalysisButton();
+        clearPreviousAnalysis();
+        
+        if (currentAnalysisResult) {
+            displayAnalysisResults(currentAnalysisResult);
+            displayStructuredDataSchema(null, currentAnalysisResult);
+            updateRedactionNotice(storedCase.redaction);
+            updateLanguageNotice(storedCase.language);
+            displaySentimentTimeline(storedCase.sentimentTimeline);
+            displayScorecard(storedCase.scorecard);
+            loadRelatedCases(storedCase.id);
+            showHumanReviewOptions();
+        }
+        if (storedCase.crmRecord) {
+            displayCrmRecord(storedCase.crmRecord, storedCase.id);
+            generateCustomerEmail(storedCase.id, storedCase.crmRecord);
+        }
+        scrollToDemo();
+    } catch (error) {
+        console.error('Failed to reopen case:', error);
+        showError('Failed to reopen case: ' + error.message);
+    }
+}
+
 function formatSentiment(sentiment) {
     const sentimentLabels = { 
         positive: 'Positive', 
@@ -626,6 +1818,8 @@ function formatRiskLevel(riskLevel) {
 }
 
 function formatIntent(intent) {
+    const taxonomyIntent = intentTaxonomy?.intents.find(entry => entry.id === intent);
+    if (taxonomyIntent) return taxonomyIntent.label;
     return intent.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
 }
 
@@ -633,19 +1827,23 @@ function formatAction(action) {
     return action.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
 }
 
-function createKeyInformationMarkup(keyInformation) {
+function createKeyInformationMarkup(keyInformation, evidence) {
     if (!keyInformation || Object.keys(keyInformation).length === 0) {
         return '<div class="key-info-item">No specific information extracted</div>';
     }
     
     return Object.entries(keyInformation)
         .filter(([key, value]) => value && value !== 'null')
-        .map(([key, value]) => `
-            <div class="key-info-item">
-                <strong>${formatFieldName(key)}:</strong>
+        .map(([key, value]) => {
+            const grounding = currentGrounding?.keyInformation?.[key];
+            const fieldPath = `keyInformation.${key}`;
+            return `
+            <div class="key-info-item ${getGroundingClass(grounding)} ${getLowConfidence(fieldPath) ? 'low-confidence' : ''}" ${createGroundingHoverAttributes(grounding)} ${createEvidenceTitle(evidence?.[key])}>
+                <strong>${escapeHtml(getKeyInformationLabel(key))}:${createGroundingBadge(grounding)}${createLowConfidenceBadge(fieldPath)}</strong>
                 ${escapeHtml(value)}
             </div>
-        `).join('');
+        `;
+        }).join('');
 }
 
 function createActionTags(actions) {
@@ -654,6 +1852,51 @@ function createActionTags(actions) {
         .join('');
 }
 
+function createCommitmentTags(commitments, evidence) {
+    return commitments
+        .map((commitment, index) => {
+            const grounding = currentGrounding?.commitments?.find(entry => entry.text === commitment);
+            const fieldPath = `commitments.${index}`;
+            return `<span class="action-tag ${getGroundingClass(grounding)} ${getLowConfidence(fieldPath) ? 'low-confidence' : ''}" ${createGroundingHoverAttributes(grounding)} ${createEvidenceTitle(evidence?.find(entry => entry.text === commitment))}>${escapeHtml(commitment)}${createGroundingBadge(grounding)}${createLowConfidenceBadge(fieldPath)}</span>`;
+        })
+        .join('');
+}
+
+function getGroundingClass(grounding) {
+    return grounding ? `grounding-${grounding.status}` : '';
+}
+
+function createGroundingBadge(grounding) {
+    const badgeLabels = { partial: 'Partial match', ungrounded: 'Not in transcript' };
+    if (!grounding || !badgeLabels[grounding.status]) return '';
+    return ` <span class="grounding-badge grounding-badge-${grounding.status}">${badgeLabels[grounding.status]}</span>`;
+}
+
+// Hovering an extracted value highlights where it was found in the conversation
+function createGroundingHoverAttributes(grounding) {
+    if (!grounding || !grounding.span) return '';
+    const { turnIndex, span } = grounding;
+    return `onmouseenter="highlightTranscriptSpan(${Number(turnIndex)}, ${Number(span.start)}, ${Number(span.end)})" onmouseleave="clearTranscriptHighlight()"`;
+}
+
+function highlightTranscriptSpan(turnIndex, start, end) {
+    clearTranscriptHighlight();
+    const messageElement = document.querySelectorAll('#chatContainer .chat-message')[turnIndex];
+    const contentElement = messageElement?.querySelector('.content');
+    if (!contentElement) return;
+    
+    const text = contentElement.textContent;
+    contentElement.innerHTML = `${escapeHtml(text.slice(0, start))}<mark class="grounding-highlight">${escapeHtml(text.slice(start, end))}</mark>${escapeHtml(text.slice(end))}`;
+    messageElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function clearTranscriptHighlight() {
+    document.querySelectorAll('#chatContainer .grounding-highlight').forEach(mark => {
+        const contentElement = mark.parentElement;
+        contentElement.textContent = contentElement.textContent;
+    });
+}
+
 function clearPreviousAnalysis() {
     document.getElementById('analysisContent').innerHTML = `
         <div class="analysis-placeholder">
@@ -662,10 +1905,14 @@ function clearPreviousAnalysis() {
     `;
     
     hideAnalysisSections();
+    updateRedactionNotice(null);
+    updateLanguageNotice(null);
+    displaySentimentTimeline(null);
+    clearTranscriptHighlight();
 }
 
 function hideAnalysisSections() {
-    const sectionIds = ['reviewSection', 'schemaSection', 'crmSection'];
+    const sectionIds = ['reviewSection', 'relatedCases', 'scorecardSection', 'schemaSection', 'crmSection'];
     sectionIds.forEach(sectionId => {
         const element = document.getElementById(sectionId);
         if (element) element.style.display = 'none';
@@ -689,6 +1936,12 @@ function showError(message) {
     console.error(message);
 }
 
+function formatTimestamp(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
 function capitalize(string) {
     return string.charAt(0).toUpperCase() + string.slice(1);
 }
@@ -697,11 +1950,9 @@ function isSelected(currentValue, optionValue) {
     return currentValue === optionValue ? 'selected' : '';
 }
 
-function parseCommaSeparatedValues(inputString) {
-    return inputString
-        .split(',')
-        .map(value => value.trim())
-        .filter(value => value);
+function getKeyInformationLabel(fieldName) {
+    const field = getCurrentSchema()?.keyInformation.find(candidate => candidate.name === fieldName);
+    return field ? field.label : formatFieldName(fieldName);
 }
 
 function formatFieldName(fieldName) {
@@ -0,0 +1,184 @@
+// Renders GET /api/analytics as bar charts and a trend table
+
+const SENTIMENT_ORDER = ['positive', 'neutral', 'negative', 'frustrated'];
+const RISK_ORDER = ['low', 'medium', 'high'];
+const MAX_INTENT_VARIANTS = 3;
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('dashboardRefreshBtn').onclick = loadAnalytics;
+    document.getElementById('dashboardGranularity').onchange = loadAnalytics;
+    loadSchemaOptions();
+    loadAnalytics();
+});
+
+function escapeHtml(unsafe) {
+    if (unsafe === null || unsafe === undefined) return '';
+    return String(unsafe)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+function formatLabel(value) {
+    return String(value).replace(/_/g, ' ').replace(/^\w/, letter => letter.toUpperCase());
+}
+
+async function loadSchemaOptions() {
+    try {
+        const response = await fetch('/api/schemas');
+        const schemas = await response.json();
+        document.getElementById('dashboardSchema').innerHTML += schemas
+            .map(schema => `<option value="${escapeHtml(schema.id)}">${escapeHtml(schema.name)}</option>`)
+            .join('');
+    } catch (error) {
+        console.error('Failed to load analysis schemas:', error);
+    }
+}
+
+function buildAnalyticsQuery() {
+    const filters = {
+        granularity: document.getElementById('dashboardGranularity').value,
+        schemaId: document.getElementById('dashboardSchema').value,
+        source: document.getElementById('dashboardSource').value,
+        from: document.getElementById('dashboardFrom').value,
+        to: document.getElementById('dashboardTo').value
+    };
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    return params.toString();
+}
+
+async function loadAnalytics() {
+    const content = document.getElementById('dashboardContent');
+    content.innerHTML = '<div class="analysis-placeholder">Loading analytics...</div>';
+
+    try {
+        const response = await fetch(`/api/analytics?${buildAnalyticsQuery()}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+
+        content.innerHTML = result.analytics.cases
+            ? createDashboardMarkup(result.analytics)
+            : '<div class="analysis-placeholder">No analyzed calls match these filters</div>';
+    } catch (error) {
+        console.error('Failed to load analytics:', error);
+        content.innerHTML = `<p style="color: red;">Failed to load analytics: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function createDashboardMarkup(analytics) {
+    return `
+        ${createSummaryMarkup(analytics)}
+        <div class="dashboard-card dashboard-wide">
+            <h3>Volume by intent</h3>
+            ${createBarsMarkup(analytics.intents.map(cluster => ({
+                label: formatLabel(cluster.intent),
+                count: cluster.count,
+                title: [cluster.category, cluster.variants.slice(0, MAX_INTENT_VARIANTS).map(variant => `${variant.label} (${variant.count})`).join(', ')]
+                    .filter(Boolean)
+                    .join(': ')
+            })), analytics.cases)}
+        </div>
+        <div class="dashboard-card">
+            <h3>Sentiment</h3>
+            ${createDistributionMarkup(analytics.sentiment, SENTIMENT_ORDER, 'sentiment', analytics.cases)}
+        </div>
+        <div class="dashboard-card">
+            <h3>Escalation risk</h3>
+            ${createDistributionMarkup(analytics.escalationRisk, RISK_ORDER, 'risk', analytics.cases)}
+        </div>
+        <div class="dashboard-card">
+            <h3>Top commitments</h3>
+            ${analytics.commitments.topTypes.length
+                ? createBarsMarkup(analytics.commitments.topTypes.map(type => ({
+                    label: formatLabel(type.type),
+                    count: type.count,
+                    title: type.example
+                })), analytics.commitments.total)
+                : '<p class="dashboard-empty">No commitments recorded</p>'}
+        </div>
+        <div class="dashboard-card dashboard-wide">
+            <h3>Trend per ${analytics.granularity}</h3>
+            ${createTrendMarkup(analytics.trends)}
+        </div>`;
+}
+
+function createSummaryMarkup(analytics) {
+    const tracked = analytics.commitments.tracked;
+    const stats = [
+        { label: 'Calls analyzed', value: analytics.cases },
+        { label: 'Finalized', value: analytics.finalized },
+        { label: 'Average confidence', value: analytics.averageConfidence === null ? '—' : `${Math.round(analytics.averageConfidence * 100)}%` },
+        { label: 'High escalation risk', value: analytics.escalationRisk.high || 0 },
+        { label: 'Open commitments', value: tracked.open || 0 },
+        { label: 'Overdue commitments', value: tracked.overdue || 0 }
+    ];
+    return `
+        <div class="dashboard-summary dashboard-wide">
+            ${stats.map(stat => `
+                <div class="dashboard-stat">
+                    <span class="dashboard-stat-value">${escapeHtml(stat.value)}</span>
+                    <span class="dashboard-stat-label">${escapeHtml(stat.label)}</span>
+                </div>`).join('')}
+        </div>`;
+}
+
+// bars: [{ label, count, title?, className? }]; widths are shares of total
+function createBarsMarkup(bars, total) {
+    return `
+        <div class="dashboard-bars">
+            ${bars.map(bar => `
+                <div class="dashboard-bar-row" title="${escapeHtml(bar.title || '')}">
+                    <span class="dashboard-bar-label">${escapeHtml(bar.label)}</span>
+                    <span class="dashboard-bar-track">
+                        <span class="dashboard-bar ${bar.className || ''}" style="width: ${total ? Math.round((bar.count / total) * 100) : 0}%"></span>
+                    </span>
+                    <span class="dashboard-bar-count">${bar.count}</span>
+                </div>`).join('')}
+        </div>`;
+}
+
+// Known values in their natural order, then anything else the model returned
+function createDistributionMarkup(counts, order, classPrefix, total) {
+    const keys = [...order, ...Object.keys(counts).filter(key => !order.includes(key))];
+    return createBarsMarkup(keys.map(key => ({
+        label: formatLabel(key),
+        count: counts[key] || 0,
+        className: `dashboard-bar-${classPrefix}-${key}`
+    })), total);
+}
+
+function createTrendMarkup(trends) {
+    return `
+        <table class="dashboard-trends">
+            <thead>
+                <tr>
+                    <th>Period</th>
+                    <th>Calls</th>
+                    <th>Negative / frustrated</th>
+                    <th>High risk</th>
+                    <th>Avg. confidence</th>
+                    <th>Top intent</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${trends.map(trend => {
+                    const topIntent = Object.entries(trend.intents).sort((a, b) => b[1] - a[1])[0];
+                    const unhappy = (trend.sentiment.negative || 0) + (trend.sentiment.frustrated || 0);
+                    return `
+                        <tr>
+                            <td>${escapeHtml(trend.period)}</td>
+                            <td>${trend.cases}</td>
+                            <td>${unhappy}</td>
+                            <td>${trend.escalationRisk.high || 0}</td>
+                            <td>${trend.averageConfidence === null ? '—' : `${Math.round(trend.averageConfidence * 100)}%`}</td>
+                            <td>${topIntent ? `${escapeHtml(formatLabel(topIntent[0]))} (${topIntent[1]})` : '—'}</td>
+                        </tr>`;
+                }).join('')}
+            </tbody>
+        </table>`;
+}
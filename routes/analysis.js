@@ -1,130 +1,116 @@
 const express = require('express');
-const { OpenAI } = require('openai');
 const router = express.Router();
+const { getAnalysisSchema, listAnalysisSchemas, describeAnalysisSchema } = require('../services/analysisSchemas');
+const { analyzeTranscript, finalizeAnalysis, validateAnalyzeRequest, validateFinalizeRequest } = require('../services/caseWorkflow');
+const { isCrmError } = require('../services/crm');
+const { submitJob } = require('../services/jobs/queue');
 
 // Mock scenarios data
 const scenarios = require('../data/scenarios.json');
 
-// Customer Service Analysis Schema
-const customerServiceSchema = {
-    type: "object",
-    properties: {
-        sentiment: {
-            type: "string",
-            enum: ["positive", "neutral", "negative", "frustrated"],
-            description: "Overall customer sentiment"
-        },
-        escalationRisk: {
-            type: "string", 
-            enum: ["low", "medium", "high"],
-            description: "Risk of customer escalation"
-        },
-        primaryIntent: {
-            type: "string",
-            description: "Main reason for customer contact"
-        },
-        keyInformation: {
-            type: "object",
-            properties: {
-                orderNumber: { type: "string", description: "Extracted order number" },
-                customerEmail: { type: "string", description: "Customer email address" },
-                productSKU: { type: "string", description: "Product mentioned" },
-                issueDate: { type: "string", description: "When issue occurred" },
-                customerPhone: { type: "string", description: "Customer phone number" }
-            },
-            required: ["orderNumber", "customerEmail", "productSKU", "issueDate", "customerPhone"],
-            additionalProperties: false
-        },
-        suggestedActions: {
-            type: "array",
-            items: { type: "string" },
-            description: "Recommended next steps"
-        },
-        commitments: {
-            type: "array", 
-            items: { type: "string" },
-            description: "Promises made to customer"
-        },
-        confidenceScore: {
-            type: "number",
-            minimum: 0,
-            maximum: 1,
-            description: "Analysis confidence level"
-        },
-        summary: {
-            type: "string",
-            description: "Brief case summary for CRM"
-        }
-    },
-    required: ["sentiment", "escalationRisk", "primaryIntent", "keyInformation", "suggestedActions", "commitments", "confidenceScore", "summary"],
-    additionalProperties: false
-};
-
-// Initialize OpenAI client
-let openaiClient = null;
-
-function initializeOpenAI() {
-    if (!openaiClient && process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_KEY) {
-        const cleanEndpoint = process.env.AZURE_OPENAI_ENDPOINT.replace(/\/$/, '');
-        openaiClient = new OpenAI({
-            apiKey: process.env.AZURE_OPENAI_KEY,
-            baseURL: `${cleanEndpoint}/openai/deployments/${process.env.AZURE_OPENAI_DEPLOYMENT}`,
-            defaultQuery: { 'api-version': '2024-08-01-preview' },
-            defaultHeaders: {
-                'api-key': process.env.AZURE_OPENAI_KEY,
-            }
-        });
-    }
-}
-
-function ensureOpenAIClient() {
-    initializeOpenAI();
-    if (!openaiClient) {
-        const msg = 'Azure OpenAI client not configured. Please set AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_KEY and AZURE_OPENAI_DEPLOYMENT.';
-        const err = new Error(msg);
-        err.code = 'OPENAI_NOT_CONFIGURED';
-        throw err;
-    }
-}
-
 // API Routes
 router.post('/analyze', async (req, res) => {
     try {
-        const { transcription, scenarioId } = req.body;
+        const { transcription, scenarioId, schemaId, format } = req.body;
         
-        initializeOpenAI();
-        const analysis = await getAIAnalysis(transcription);
+        if (wantsAsync(req)) {
+            validateAnalyzeRequest({ transcription, scenarioId, schemaId, format });
+            return respondWithJob(res, submitJob('analysis', { transcription, scenarioId, schemaId, format }));
+        }
         
-        res.json({
-            success: true,
-            analysis,
-            schema: customerServiceSchema,
-            timestamp: new Date().toISOString()
-        });
+        const result = await analyzeTranscript({ transcription, scenarioId, schemaId, format });
+        
+        res.json(buildAnalysisResponse(result));
         
     } catch (error) {
         console.error('Analysis error:', error.message);
-        res.status(500).json({
+        const status = getErrorStatus(error);
+        res.status(status).json({
             success: false,
-            error: `Failed to analyze conversation: ${error.message}`
+            error: status === 400 ? error.message : `Failed to analyze conversation: ${error.message}`,
+            ...describeErrorDetails(error)
         });
     }
 });
 
+// Streaming variant of /analyze over Server-Sent Events: "progress" events for
+// each stage, a "field" event per top-level analysis field as the model
+// completes it, then "complete" with the same body /analyze returns (or "error").
+router.post('/analyze/stream', async (req, res) => {
+    const { transcription, scenarioId, schemaId, format } = req.body;
+    const abortController = new AbortController();
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    res.on('close', () => abortController.abort());
+    
+    const send = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+    
+    try {
+        const result = await analyzeTranscript({ transcription, scenarioId, schemaId, format }, {
+            onProgress: stage => send('progress', { stage }),
+            onField: (name, value) => send('field', { name, value }),
+            signal: abortController.signal
+        });
+        send('complete', buildAnalysisResponse(result));
+    } catch (error) {
+        if (abortController.signal.aborted) return;
+        console.error('Streaming analysis error:', error.message);
+        const status = getErrorStatus(error);
+        send('error', {
+            success: false,
+            status,
+            error: status === 400 ? error.message : `Failed to analyze conversation: ${error.message}`,
+            ...describeErrorDetails(error)
+        });
+    }
+    res.end();
+});
+
 router.post('/finalize', async (req, res) => {
     try {
-        const { analysis, scenarioId } = req.body;
-        const crmRecord = await createMockCRMRecord(analysis, scenarioId);
+        const { analysis, scenarioId, schemaId, caseId, reviewer, customerTier } = req.body;
+        validateFinalizeRequest({ analysis, scenarioId, schemaId, caseId, customerTier });
+        
+        if (wantsAsync(req)) {
+            return respondWithJob(res, submitJob('crm-finalize', { analysis, scenarioId, schemaId, caseId, reviewer, customerTier }));
+        }
+        
+        const result = await finalizeAnalysis({ analysis, scenarioId, schemaId, caseId, reviewer, customerTier });
         
         res.json({
             success: true,
-            crmRecord,
-            message: "Analysis finalized and sent to CRM",
+            caseId: result.caseId,
+            crmRecord: result.crmRecord,
+            edits: result.edits,
+            commitments: result.commitments,
+            message: `Analysis finalized and sent to ${result.crmRecord.connectorLabel}`,
             timestamp: new Date().toISOString()
         });
         
     } catch (error) {
         console.error('Finalization error:', error.message);
+        if (isCrmError(error)) {
+            return res.status(getCrmErrorStatus(error)).json({
+                success: false,
+                error: `Failed to create CRM case: ${error.message}`,
+                code: error.code,
+                connector: error.connector,
+                upstreamStatus: error.status,
+                details: error.details
+            });
+        }
+        if (isClientError(error)) {
+            return res.status(400).json({ success: false, error: error.message, ...describeErrorDetails(error) });
+        }
         res.status(500).json({
             success: false,
             error: `Failed to finalize analysis: ${error.message}`
@@ -132,6 +118,21 @@ router.post('/finalize', async (req, res) => {
     }
 });
 
+router.get('/schemas', (req, res) => {
+    res.json(listAnalysisSchemas());
+});
+
+router.get('/schemas/:id', (req, res) => {
+    try {
+        res.json(describeAnalysisSchema(getAnalysisSchema(req.params.id)));
+    } catch (error) {
+        if (error.code === 'UNKNOWN_SCHEMA') {
+            return res.status(404).json({ error: error.message });
+        }
+        throw error;
+    }
+});
+
 router.get('/scenarios', (req, res) => {
     res.json(scenarios);
 });
@@ -144,128 +145,66 @@ router.get('/scenarios/:id', (req, res) => {
     res.json(scenario);
 });
 
-// Core Analysis Function
-async function getAIAnalysis(transcription) {
-    ensureOpenAIClient();
-
-    const prompt = `Analyze this customer service call transcript and extract structured information for our CRM system.
-
-TRANSCRIPT:
-${transcription}
-
-Focus on:
-- Customer sentiment and escalation risk
-- Key information that should be recorded
-- Specific commitments made to the customer
-- Recommended next actions
-
-Be precise and only extract information that's clearly stated in the conversation.`;
-
-    const baseParams = {
-        model: process.env.AZURE_OPENAI_DEPLOYMENT,
-        messages: [
-            {
-                role: "system",
-                content: "You are a customer service analysis expert. Extract accurate information from call transcripts to populate CRM systems. Follow the schema exactly."
-            },
-            {
-                role: "user",
-                content: prompt
-            }
-        ],
-        response_format: {
-            type: "json_schema",
-            json_schema: {
-                name: "customer_service_analysis",
-                strict: true,
-                schema: customerServiceSchema
-            }
-        }
+// Helper Functions
+function buildAnalysisResponse(result) {
+    return {
+        success: true,
+        caseId: result.caseId,
+        transcription: result.transcription,
+        turns: result.turns,
+        analysis: result.analysis,
+        schemaId: result.schemaId,
+        schema: getAnalysisSchema(result.schemaId).jsonSchema,
+        provider: result.provider,
+        redaction: result.redaction,
+        grounding: result.grounding,
+        sentimentTimeline: result.sentimentTimeline,
+        scorecard: result.scorecard,
+        review: result.review,
+        language: result.language,
+        timestamp: new Date().toISOString()
     };
+}
 
-    try {
-        // Try GPT-4 parameters first, fallback to GPT-5 if needed
-        let response;
-        try {
-            response = await openaiClient.chat.completions.create({
-                ...baseParams,
-                temperature: 0.1,
-                max_tokens: 1000
-            });
-        } catch (gpt4Error) {
-            if (gpt4Error.status === 400 && 
-                (gpt4Error.message?.includes('max_tokens') || gpt4Error.message?.includes('temperature'))) {
-                // Retry with GPT-5 compatible parameters
-                response = await openaiClient.chat.completions.create({
-                    ...baseParams,
-                    max_completion_tokens: 2000
-                });
-            } else {
-                throw gpt4Error;
-            }
-        }
+// ?async=true or "Prefer: respond-async" queue the work and return a job id
+function wantsAsync(req) {
+    return req.query.async === 'true' || /respond-async/i.test(req.get('Prefer') || '');
+}
 
-        // Validate response
-        if (response.choices[0].finish_reason === 'length') {
-            throw new Error('Response was truncated due to token limit. The analysis may be incomplete.');
-        }
+function respondWithJob(res, job) {
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+    });
+}
 
-        const rawContent = response?.choices?.[0]?.message?.content;
-        if (!rawContent) {
-            throw new Error('Unexpected OpenAI response format: missing content');
-        }
+const CLIENT_ERROR_CODES = ['INVALID_TRANSCRIPT', 'UNKNOWN_SCHEMA', 'INVALID_REQUEST', 'INVALID_ANALYSIS'];
 
-        // Parse and return analysis
-        try {
-            return JSON.parse(rawContent);
-        } catch (parseErr) {
-            throw new Error('Failed to parse AI response. Response was not valid JSON.');
-        }
-        
-    } catch (error) {
-        if (error.code === 'OPENAI_NOT_CONFIGURED') {
-            throw error;
-        }
+function isClientError(error) {
+    return CLIENT_ERROR_CODES.includes(error.code);
+}
 
-        const status = error?.response?.status || error?.status;
-        if (status === 404) {
-            throw new Error(`Deployment '${process.env.AZURE_OPENAI_DEPLOYMENT}' not found. Check your deployment name.`);
-        } else if (status === 401) {
-            throw new Error(`Authentication failed. Check your API key.`);
-        }
-        
-        throw error;
-    }
+// A model answer that fails schema validation is an upstream failure
+function getErrorStatus(error) {
+    if (isClientError(error)) return 400;
+    if (error.code === 'INVALID_MODEL_OUTPUT') return 502;
+    return 500;
 }
 
-// Helper Functions
-async function createMockCRMRecord(analysis, scenarioId) {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1500));
-    
-    return {
-        caseId: `CASE-${Date.now()}`,
-        title: `Customer Service Case - ${analysis.primaryIntent}`,
-        priority: analysis.escalationRisk === 'high' ? 'High' : 
-                 analysis.escalationRisk === 'medium' ? 'Medium' : 'Low',
-        status: 'Active',
-        assignedTo: 'Customer Service Team',
-        category: analysis.primaryIntent,
-        description: analysis.summary,
-        sentiment: analysis.sentiment,
-        customerInfo: analysis.keyInformation,
-        nextActions: analysis.suggestedActions,
-        commitments: analysis.commitments,
-        createdAt: new Date().toISOString(),
-        estimatedResolution: getEstimatedResolution(analysis.escalationRisk),
-        confidenceScore: analysis.confidenceScore
-    };
+// Validation errors list every offending field as { path, message }
+function describeErrorDetails(error) {
+    return error.details ? { code: error.code, details: error.details } : {};
 }
 
-function getEstimatedResolution(riskLevel) {
-    const now = new Date();
-    const hours = riskLevel === 'high' ? 4 : riskLevel === 'medium' ? 24 : 72;
-    return new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+function getCrmErrorStatus(error) {
+    if (error.code === 'CRM_INVALID_ANALYSIS') return 400;
+    if (error.code === 'CRM_NOT_CONFIGURED') return 503;
+    if (error.code === 'CRM_TIMEOUT') return 504;
+    return 502;
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.buildAnalysisResponse = buildAnalysisResponse;
\ No newline at end of file
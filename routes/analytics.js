@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { getAnalytics } = require('../services/analytics');
+
+const FILTER_PARAMS = ['from', 'to', 'source', 'status', 'schemaId', 'granularity'];
+
+// Aggregates for the dashboard (public/dashboard.html)
+router.get('/analytics', (req, res) => {
+    const filters = {};
+    FILTER_PARAMS.forEach(param => {
+        if (typeof req.query[param] === 'string' && req.query[param].trim()) {
+            filters[param] = req.query[param].trim();
+        }
+    });
+
+    const invalidDate = ['from', 'to'].find(param => filters[param] && isNaN(new Date(filters[param])));
+    if (invalidDate) {
+        return res.status(400).json({ success: false, error: `Invalid '${invalidDate}' date: ${filters[invalidDate]}` });
+    }
+
+    try {
+        res.json({ success: true, analytics: getAnalytics(filters) });
+    } catch (error) {
+        const status = error.code === 'INVALID_ANALYTICS_QUERY' ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { startBatch, getBatch, listBatches, summarizeBatch, exportBatch } = require('../services/batch');
+
+const BATCH_UPLOAD_LIMIT = process.env.BATCH_UPLOAD_LIMIT || '20mb';
+const EXPORT_FORMATS = {
+    csv: 'text/csv',
+    jsonl: 'application/x-ndjson'
+};
+
+// Raw JSONL (application/x-ndjson, text/plain) or ZIP (application/zip) body.
+// ?schemaId=, ?format= and ?concurrency= apply to every item that does not set
+// its own; ?name= labels the batch. Answers 202 straight away.
+router.post('/batches',
+    express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/x-ndjson', 'application/jsonl', 'text/plain', 'application/octet-stream'], limit: BATCH_UPLOAD_LIMIT }),
+    (req, res) => {
+        try {
+            const { batch } = startBatch(req.body, {
+                name: req.query.name,
+                schemaId: req.query.schemaId,
+                format: req.query.format,
+                concurrency: req.query.concurrency
+            });
+            res.status(202).json({
+                success: true,
+                batch: summarizeBatch(batch),
+                statusUrl: `/api/batches/${batch.id}`,
+                exportUrl: `/api/batches/${batch.id}/export?format=csv`
+            });
+        } catch (error) {
+            console.error('Batch upload error:', error.message);
+            if (error.code === 'BATCH_INVALID_INPUT' || error.code === 'UNKNOWN_SCHEMA') {
+                return res.status(400).json({ success: false, error: error.message, code: error.code });
+            }
+            res.status(500).json({ success: false, error: `Failed to start batch: ${error.message}` });
+        }
+    });
+
+router.get('/batches', (req, res) => {
+    const batches = listBatches();
+    res.json({ success: true, total: batches.length, batches });
+});
+
+router.get('/batches/:id', (req, res) => {
+    const batch = getBatch(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    res.json({ success: true, batch });
+});
+
+// Works while the batch is still running; unfinished items are exported with their status
+router.get('/batches/:id/export', (req, res) => {
+    const batch = getBatch(req.params.id);
+    if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ success: false, error: `Unknown format '${format}'. Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    res.set('Content-Type', EXPORT_FORMATS[format]);
+    res.set('Content-Disposition', `attachment; filename="batch-${batch.id}.${format}"`);
+    res.send(exportBatch(batch, format));
+});
+
+module.exports = router;
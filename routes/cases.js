@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { getCase, listCases, summarizeCase, getEffectiveAnalysis } = require('../services/caseStore');
+const { getCrmConnector } = require('../services/crm');
+const { findRelatedCases } = require('../services/relatedCases');
+
+const FILTER_PARAMS = ['sentiment', 'escalationRisk', 'intent', 'status', 'source', 'from', 'to'];
+
+router.get('/cases', (req, res) => {
+    const filters = {};
+    FILTER_PARAMS.forEach(param => {
+        if (typeof req.query[param] === 'string' && req.query[param].trim()) {
+            filters[param] = req.query[param].trim();
+        }
+    });
+
+    const invalidDate = ['from', 'to'].find(param => filters[param] && isNaN(new Date(filters[param])));
+    if (invalidDate) {
+        return res.status(400).json({ success: false, error: `Invalid '${invalidDate}' date: ${filters[invalidDate]}` });
+    }
+
+    // Paging values that are missing or not numbers fall back to the defaults;
+    // out-of-range ones are clamped
+    const limit = Math.min(Math.max(Math.floor(Number(req.query.limit)) || 50, 1), 200);
+    const offset = Math.max(Math.floor(Number(req.query.offset)) || 0, 0);
+    const matching = listCases(filters);
+
+    res.json({
+        success: true,
+        total: matching.length,
+        cases: matching.slice(offset, offset + limit).map(summarizeCase)
+    });
+});
+
+// Calls ingested automatically wait here until someone reviews and approves them
+router.get('/review-queue', (req, res) => {
+    const pending = listCases({ status: 'pending_review' });
+    res.json({
+        success: true,
+        counts: {
+            pendingReview: pending.length,
+            queued: listCases({ status: 'queued' }).length,
+            failed: listCases({ status: 'failed' }).length
+        },
+        cases: pending.map(summarizeCase)
+    });
+});
+
+router.get('/cases/:id', (req, res) => {
+    const caseRecord = getCase(req.params.id);
+    if (!caseRecord) {
+        return res.status(404).json({ success: false, error: 'Case not found' });
+    }
+    res.json({ success: true, case: caseRecord });
+});
+
+// Earlier cases of the same customer, from the case store and the CRM
+router.get('/cases/:id/related', async (req, res) => {
+    const caseRecord = getCase(req.params.id);
+    if (!caseRecord) {
+        return res.status(404).json({ success: false, error: 'Case not found' });
+    }
+
+    try {
+        const related = await findRelatedCases({
+            analysis: getEffectiveAnalysis(caseRecord),
+            caseId: caseRecord.id,
+            connector: getCrmConnector()
+        });
+        res.json({ success: true, ...related });
+    } catch (error) {
+        console.error('Related case lookup failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { listCommitments, getCommitment, resolveCommitment } = require('../services/commitments');
+const { getCase } = require('../services/caseStore');
+
+const FILTER_PARAMS = ['caseId', 'status', 'reminder', 'type', 'owner', 'dueBefore'];
+
+// ?status=overdue lists broken promises across all cases, ?reminder=failed the
+// reminders that could not be sent
+router.get('/commitments', (req, res) => {
+    const filters = {};
+    FILTER_PARAMS.forEach(param => {
+        if (typeof req.query[param] === 'string' && req.query[param].trim()) {
+            filters[param] = req.query[param].trim();
+        }
+    });
+    if (filters.dueBefore && isNaN(new Date(filters.dueBefore))) {
+        return res.status(400).json({ success: false, error: `Invalid 'dueBefore' date: ${filters.dueBefore}` });
+    }
+
+    const commitments = listCommitments(filters);
+    res.json({ success: true, total: commitments.length, commitments });
+});
+
+router.get('/commitments/:id', (req, res) => {
+    const commitment = getCommitment(req.params.id);
+    if (!commitment) {
+        return res.status(404).json({ success: false, error: 'Commitment not found' });
+    }
+    res.json({ success: true, commitment });
+});
+
+router.get('/cases/:id/commitments', (req, res) => {
+    if (!getCase(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Case not found' });
+    }
+    res.json({ success: true, commitments: listCommitments({ caseId: req.params.id }) });
+});
+
+['fulfill', 'cancel'].forEach(action => {
+    router.post(`/commitments/:id/${action}`, (req, res) => {
+        try {
+            const commitment = resolveCommitment(req.params.id, {
+                status: action === 'fulfill' ? 'fulfilled' : 'cancelled',
+                resolvedBy: req.body?.resolvedBy
+            });
+            if (!commitment) {
+                return res.status(404).json({ success: false, error: 'Commitment not found' });
+            }
+            res.json({ success: true, commitment });
+        } catch (error) {
+            res.status(error.code === 'COMMITMENT_ALREADY_RESOLVED' ? 409 : 500).json({ success: false, error: error.message, code: error.code });
+        }
+    });
+});
+
+module.exports = router;
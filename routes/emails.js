@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { previewFollowUpEmail, sendFollowUpEmail, listCaseEmails, getMailTransport, isMailError } = require('../services/email');
+
+const MAIL_ERROR_STATUS = {
+    MAIL_CASE_NOT_FOUND: 404,
+    MAIL_CASE_NOT_FINALIZED: 409,
+    MAIL_INVALID_LANGUAGE: 400,
+    MAIL_NO_RECIPIENT: 400,
+    MAIL_INVALID_RECIPIENT: 400,
+    MAIL_RECIPIENT_NOT_ALLOWED: 403,
+    MAIL_REDACTED_CONTENT: 409,
+    MAIL_NOT_CONFIGURED: 503,
+    MAIL_INSECURE_AUTH: 503,
+    MAIL_TIMEOUT: 504
+};
+
+function readOptions(source) {
+    const options = {};
+    ['to', 'language'].forEach(param => {
+        if (typeof source[param] === 'string' && source[param].trim()) {
+            options[param] = source[param].trim();
+        }
+    });
+    return options;
+}
+
+function sendMailError(res, error, action) {
+    console.error(`Follow-up email ${action} error:`, error.message);
+    if (isMailError(error)) {
+        return res.status(MAIL_ERROR_STATUS[error.code] || 502).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            transport: error.transport,
+            upstreamStatus: error.status
+        });
+    }
+    res.status(500).json({ success: false, error: `Failed to ${action} follow-up email: ${error.message}` });
+}
+
+// Renders without sending, so the email can be checked first
+router.get('/cases/:id/follow-up-email', (req, res) => {
+    try {
+        const email = previewFollowUpEmail(req.params.id, readOptions(req.query));
+        res.json({ success: true, email, transport: getMailTransport().label });
+    } catch (error) {
+        sendMailError(res, error, 'preview');
+    }
+});
+
+router.post('/cases/:id/follow-up-email', async (req, res) => {
+    try {
+        const sent = await sendFollowUpEmail(req.params.id, readOptions(req.body || {}));
+        res.json({
+            success: true,
+            email: sent,
+            message: `Follow-up email sent to ${sent.to} via ${getMailTransport().label}`
+        });
+    } catch (error) {
+        sendMailError(res, error, 'send');
+    }
+});
+
+router.get('/cases/:id/emails', (req, res) => {
+    res.json({ success: true, emails: listCaseEmails(req.params.id) });
+});
+
+module.exports = router;
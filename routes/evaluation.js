@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { evaluateScenarios, writeEvaluationReport } = require('../services/evaluation');
+
+// Runs the scenario evaluation with the configured provider. Body (all
+// optional): { scenarioIds: [...], writeReport: true }
+router.post('/evaluate', async (req, res) => {
+    try {
+        const { scenarioIds, writeReport = true } = req.body || {};
+        const report = await evaluateScenarios({ scenarioIds });
+        const reportFiles = writeReport ? writeEvaluationReport(report) : null;
+
+        res.json({ success: true, report, reportFiles });
+    } catch (error) {
+        console.error('Evaluation error:', error.message);
+        const status = error.code === 'NO_SCENARIOS' ? 400 : 500;
+        res.status(status).json({ success: false, error: `Evaluation failed: ${error.message}` });
+    }
+});
+
+module.exports = router;
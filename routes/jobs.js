@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const { submitJob, getJob, listJobs, retryJob, subscribeToJob, isTerminalStatus } = require('../services/jobs/queue');
+const { validateAnalyzeRequest, validateFinalizeRequest } = require('../services/caseWorkflow');
+
+// The job types clients may queue, with the fields /api/analyze and
+// /api/finalize accept and the check those routes run first. Internal types
+// (ingest-call) are only queued by the server.
+const CLIENT_JOB_TYPES = {
+    analysis: {
+        fields: ['transcription', 'scenarioId', 'schemaId', 'format'],
+        validate: validateAnalyzeRequest
+    },
+    'crm-finalize': {
+        fields: ['analysis', 'scenarioId', 'schemaId', 'caseId', 'reviewer', 'customerTier'],
+        validate: validateFinalizeRequest
+    }
+};
+const CLIENT_ERROR_CODES = ['JOB_TYPE_NOT_ALLOWED', 'INVALID_REQUEST', 'INVALID_ANALYSIS', 'UNKNOWN_SCHEMA', 'INVALID_TRANSCRIPT'];
+
+function createJobRequestError(message) {
+    const err = new Error(message);
+    err.code = 'JOB_TYPE_NOT_ALLOWED';
+    return err;
+}
+
+function buildClientPayload(type, payload) {
+    const jobType = CLIENT_JOB_TYPES[type];
+    if (!jobType) {
+        throw createJobRequestError(`Job type '${type}' cannot be submitted by clients. Expected one of: ${Object.keys(CLIENT_JOB_TYPES).join(', ')}`);
+    }
+    const picked = Object.fromEntries(jobType.fields
+        .filter(field => payload?.[field] !== undefined)
+        .map(field => [field, payload[field]]));
+    jobType.validate(picked);
+    return picked;
+}
+
+function sendJobRequestError(res, error) {
+    const status = CLIENT_ERROR_CODES.includes(error.code) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message, ...(error.details ? { code: error.code, details: error.details } : {}) });
+}
+
+router.post('/jobs', (req, res) => {
+    try {
+        const { type, payload } = req.body || {};
+        const job = submitJob(type, buildClientPayload(type, payload));
+        res.status(202).json({ success: true, job, statusUrl: `/api/jobs/${job.id}` });
+    } catch (error) {
+        sendJobRequestError(res, error);
+    }
+});
+
+// ?status=dead lists the dead-letter queue
+router.get('/jobs', (req, res) => {
+    const jobs = listJobs({ status: req.query.status, type: req.query.type });
+    res.json({ success: true, total: jobs.length, jobs });
+});
+
+router.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+});
+
+// Server-Sent Events stream of status changes, closed once the job finishes
+router.get('/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = update => {
+        res.write(`event: status\ndata: ${JSON.stringify(update)}\n\n`);
+        if (isTerminalStatus(update.status)) {
+            unsubscribe();
+            res.end();
+        }
+    };
+    const unsubscribe = subscribeToJob(job.id, send);
+    req.on('close', unsubscribe);
+    send(job);
+});
+
+// A corrected payload goes through the same checks as a new client job
+router.post('/jobs/:id/retry', (req, res) => {
+    try {
+        const existing = getJob(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        const payload = req.body?.payload ? buildClientPayload(existing.type, req.body.payload) : undefined;
+        res.status(202).json({ success: true, job: retryJob(existing.id, { payload }) });
+    } catch (error) {
+        if (error.code === 'JOB_NOT_RETRYABLE') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        sendJobRequestError(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const { getCase } = require('../services/caseStore');
+const { listReviews, flattenReviews, formatRows } = require('../services/reviewLog');
+
+const EXPORT_FORMATS = {
+    jsonl: 'application/x-ndjson',
+    csv: 'text/csv'
+};
+
+function readFilters(query) {
+    const filters = {};
+    ['caseId', 'reviewer', 'from', 'to'].forEach(param => {
+        if (typeof query[param] === 'string' && query[param].trim()) {
+            filters[param] = query[param].trim();
+        }
+    });
+    return filters;
+}
+
+function findInvalidDate(filters) {
+    return ['from', 'to'].find(param => filters[param] && isNaN(new Date(filters[param])));
+}
+
+router.get('/review-edits', (req, res) => {
+    const filters = readFilters(req.query);
+    const invalidDate = findInvalidDate(filters);
+    if (invalidDate) {
+        return res.status(400).json({ success: false, error: `Invalid '${invalidDate}' date: ${filters[invalidDate]}` });
+    }
+
+    const reviews = listReviews(filters);
+    res.json({ success: true, total: reviews.length, reviews });
+});
+
+// Labeled examples, one row per edited field: ?format=jsonl (default) or csv,
+// ?field=keyInformation to narrow, ?includeTranscript=true to add the call
+router.get('/review-edits/export', (req, res) => {
+    const format = req.query.format || 'jsonl';
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ success: false, error: `Unknown format '${format}'. Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const filters = readFilters(req.query);
+    const invalidDate = findInvalidDate(filters);
+    if (invalidDate) {
+        return res.status(400).json({ success: false, error: `Invalid '${invalidDate}' date: ${filters[invalidDate]}` });
+    }
+
+    const rows = flattenReviews(listReviews(filters), {
+        field: req.query.field,
+        getTranscript: req.query.includeTranscript === 'true' ? caseId => getCase(caseId)?.transcription || null : undefined
+    });
+
+    res.set('Content-Type', EXPORT_FORMATS[format]);
+    res.set('Content-Disposition', `attachment; filename="review-edits.${format}"`);
+    res.send(formatRows(rows, format));
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const caseStore = require('../services/caseStore');
+const { getIntentTaxonomy } = require('../services/intentTaxonomy');
+const { getRoutingRules, routeCase } = require('../services/routing');
+const { getSlaConfig, computeSla } = require('../services/sla');
+const { getCrmConnector } = require('../services/crm');
+const { findRelatedCases } = require('../services/relatedCases');
+
+router.get('/intent-taxonomy', (req, res) => {
+    res.json({ success: true, taxonomy: getIntentTaxonomy() });
+});
+
+router.get('/routing/rules', (req, res) => {
+    res.json({ success: true, rules: getRoutingRules() });
+});
+
+router.get('/sla', (req, res) => {
+    res.json({ success: true, sla: getSlaConfig().source });
+});
+
+// Shows where a case would be routed, and its SLA deadlines, without creating
+// anything. The body is either { caseId } (its reviewed analysis when it has
+// one), { analysis }, or the individual fields; customerTier, schemaId and
+// openedAt (when the SLA clock starts, default now) are optional throughout.
+// Prior cases of the same customer raise the escalation risk as they would
+// at finalize.
+router.post('/routing/dry-run', async (req, res) => {
+    const { caseId, customerTier, primaryIntent, sentiment, escalationRisk, openedAt } = req.body || {};
+    let { analysis, schemaId } = req.body || {};
+
+    if (caseId) {
+        const storedCase = caseStore.getCase(caseId);
+        if (!storedCase) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+        analysis = caseStore.getEffectiveAnalysis(storedCase);
+        schemaId = schemaId || storedCase.schemaId;
+    }
+    analysis = analysis || { primaryIntent, sentiment, escalationRisk };
+    if (openedAt && isNaN(new Date(openedAt))) {
+        return res.status(400).json({ success: false, error: `Invalid 'openedAt' date: ${openedAt}` });
+    }
+
+    try {
+        const related = await findRelatedCases({ analysis, caseId, connector: getCrmConnector() });
+        const route = routeCase({ analysis, schemaId, customerTier, escalation: related.escalation });
+        let sla;
+        try {
+            sla = computeSla({ priority: route.priority, calendar: route.calendar, openedAt });
+        } catch (slaError) {
+            slaError.code = 'INVALID_REQUEST';
+            throw slaError;
+        }
+        res.json({ success: true, ...route, sla, related });
+    } catch (error) {
+        const status = error.code === 'INVALID_REQUEST' ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { listCases } = require('../services/caseStore');
+const { aggregateAgentScores, getScorecardRubric } = require('../services/scorecard');
+
+router.get('/scorecards/rubric', (req, res) => {
+    try {
+        res.json({ success: true, rubric: getScorecardRubric(req.query.id) });
+    } catch (error) {
+        const status = error.code === 'UNKNOWN_SCORECARD' ? 404 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// Average QA score and per-criterion pass rates per agent, optionally limited
+// to cases created between ?from= and ?to=
+router.get('/scorecards/agents', (req, res) => {
+    const filters = {};
+    ['from', 'to'].forEach(param => {
+        if (typeof req.query[param] === 'string' && req.query[param].trim()) {
+            filters[param] = req.query[param].trim();
+        }
+    });
+
+    const invalidDate = Object.keys(filters).find(param => isNaN(new Date(filters[param])));
+    if (invalidDate) {
+        return res.status(400).json({ success: false, error: `Invalid '${invalidDate}' date: ${filters[invalidDate]}` });
+    }
+
+    res.json({ success: true, agents: aggregateAgentScores(listCases(filters)) });
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { transcribeRecording } = require('../services/speech');
+const { analyzeTranscript } = require('../services/caseWorkflow');
+const { buildAnalysisResponse } = require('./analysis');
+
+const AUDIO_UPLOAD_LIMIT = process.env.AUDIO_UPLOAD_LIMIT || '25mb';
+const CLIENT_ERROR_CODES = ['UNKNOWN_SCHEMA', 'INVALID_REQUEST', 'INVALID_TRANSCRIPT'];
+
+// Raw audio body (Content-Type audio/wav, audio/mpeg or application/octet-stream).
+// The original file name may be passed as ?fileName= or an X-File-Name header.
+// The transcript then goes through the same analyze-and-store step as
+// /api/analyze.
+router.post('/transcribe',
+    express.raw({ type: ['audio/*', 'application/octet-stream'], limit: AUDIO_UPLOAD_LIMIT }),
+    async (req, res) => {
+        try {
+            const fileName = req.query.fileName || req.get('X-File-Name');
+            const recording = await transcribeRecording({
+                audio: Buffer.isBuffer(req.body) ? req.body : null,
+                fileName
+            });
+
+            const result = await analyzeTranscript({
+                transcription: recording.transcription,
+                turns: recording.turns,
+                scenarioId: req.query.scenarioId,
+                schemaId: req.query.schemaId,
+                source: 'audio'
+            });
+
+            res.json({
+                ...buildAnalysisResponse(result),
+                speech: { backend: recording.backend, fixture: recording.fixture, language: recording.language }
+            });
+
+        } catch (error) {
+            console.error('Transcription error:', error.message);
+            if (CLIENT_ERROR_CODES.includes(error.code)) {
+                return res.status(400).json({ success: false, error: error.message, ...(error.details ? { code: error.code, details: error.details } : {}) });
+            }
+            if (error.code === 'UNSUPPORTED_AUDIO') {
+                return res.status(415).json({ success: false, error: error.message });
+            }
+            if (error.code === 'SPEECH_NOT_CONFIGURED') {
+                return res.status(503).json({ success: false, error: error.message });
+            }
+            res.status(['SPEECH_FAILED', 'INVALID_MODEL_OUTPUT'].includes(error.code) ? 502 : 500).json({
+                success: false,
+                error: `Failed to transcribe recording: ${error.message}`
+            });
+        }
+    });
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { normalizeTranscript } = require('../services/transcriptFormats');
+
+router.post('/transcripts/normalize', (req, res) => {
+    try {
+        const { content, format } = req.body;
+        const normalized = normalizeTranscript(content, { format: format || 'auto' });
+
+        res.json({
+            success: true,
+            ...normalized,
+            turnCount: normalized.turns.length
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_TRANSCRIPT') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        console.error('Transcript normalization error:', error.message);
+        res.status(500).json({ success: false, error: `Failed to normalize transcript: ${error.message}` });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { handleAcsEvents } = require('../services/acs/eventHandlers');
+
+// Event Grid can append a query string to the subscription endpoint, so the
+// shared secret is accepted as ?code= as well as a header. Without a secret the
+// endpoint stays closed unless ACS_WEBHOOK_ALLOW_UNAUTHENTICATED=true.
+function isAuthorized(req) {
+    const secret = process.env.ACS_WEBHOOK_SECRET;
+    const provided = String(req.query.code || req.get('X-Webhook-Secret') || '');
+    const expected = Buffer.from(secret);
+    const actual = Buffer.from(provided);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// CloudEvents abuse-protection handshake
+router.options('/webhooks/acs', (req, res) => {
+    const origin = req.get('WebHook-Request-Origin');
+    if (origin) {
+        res.set('WebHook-Allowed-Origin', origin);
+        res.set('WebHook-Allowed-Rate', '*');
+    }
+    res.sendStatus(200);
+});
+
+router.post('/webhooks/acs', (req, res) => {
+    if (!process.env.ACS_WEBHOOK_SECRET && process.env.ACS_WEBHOOK_ALLOW_UNAUTHENTICATED !== 'true') {
+        return res.status(503).json({
+            success: false,
+            error: 'Webhook is disabled: set ACS_WEBHOOK_SECRET, or ACS_WEBHOOK_ALLOW_UNAUTHENTICATED=true for local development'
+        });
+    }
+    if (process.env.ACS_WEBHOOK_SECRET && !isAuthorized(req)) {
+        return res.status(401).json({ success: false, error: 'Invalid webhook secret' });
+    }
+
+    try {
+        const outcome = handleAcsEvents(req.body);
+        if (outcome.validationResponse) {
+            console.log('Event Grid subscription validated');
+            return res.json({ validationResponse: outcome.validationResponse });
+        }
+
+        outcome.results
+            .filter(result => result.action === 'queued')
+            .forEach(result => console.log(`📥 Queued call ${result.callId} for analysis as case ${result.caseId}`));
+        outcome.results
+            .filter(result => result.action === 'failed')
+            .forEach(result => console.error(`Webhook event ${result.type} for call ${result.callId} failed: ${result.error}`));
+        res.json({ success: true, results: outcome.results });
+
+    } catch (error) {
+        console.error('Webhook error:', error.message);
+        const status = error.code === 'INVALID_TRANSCRIPT' ? 400 : 500;
+        res.status(status).json({ success: false, error: `Failed to process ACS events: ${error.message}` });
+    }
+});
+
+module.exports = router;
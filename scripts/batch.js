@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Analyzes a JSONL file or ZIP of transcripts with the configured LLM provider
+// and writes one row per call as CSV or JSONL. Each call is also saved as a
+// case in DATA_STORE_DIR.
+//
+//   npm run batch -- calls.jsonl
+//   npm run batch -- calls.zip --schema airline --concurrency 5
+//   npm run batch -- calls.jsonl --export jsonl --out ./results.jsonl
+//
+// Failed calls are listed with their error and exported like the others; the
+// command only exits with status 1 when no call could be analyzed.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { startBatch, exportBatch } = require('../services/batch');
+
+function parseArgs(argv) {
+    const options = { file: null, schemaId: undefined, format: undefined, concurrency: undefined, exportFormat: 'csv', out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--schema') options.schemaId = argv[++i];
+        else if (arg === '--format') options.format = argv[++i];
+        else if (arg === '--concurrency') options.concurrency = Number(argv[++i]);
+        else if (arg === '--export') options.exportFormat = argv[++i];
+        else if (arg === '--out') options.out = argv[++i];
+        else if (!arg.startsWith('--') && !options.file) options.file = arg;
+        else throw new Error(`Unknown argument '${arg}'`);
+    }
+    if (!options.file) throw new Error('Usage: npm run batch -- <file.jsonl|file.zip> [--schema id] [--format auto] [--concurrency n] [--export csv|jsonl] [--out path]');
+    if (!['csv', 'jsonl'].includes(options.exportFormat)) throw new Error(`Unknown export format '${options.exportFormat}'. Expected csv or jsonl.`);
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const { batch, completion } = startBatch(fs.readFileSync(options.file), {
+        name: path.basename(options.file),
+        schemaId: options.schemaId,
+        format: options.format,
+        concurrency: options.concurrency,
+        onItem: (item, current) => {
+            const done = current.counts.succeeded + current.counts.failed;
+            console.log(`  [${done}/${current.total}] ${item.status === 'succeeded' ? '•' : '✗'} ${item.id}${item.error ? `: ${item.error.message}` : ''}`);
+        }
+    });
+    console.log(`Batch ${batch.id}: ${batch.total} call(s), ${batch.concurrency} at a time`);
+
+    const finished = await completion;
+    const out = options.out || path.join('reports', `batch-${batch.id}.${options.exportFormat}`);
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(out, exportBatch(finished, options.exportFormat));
+
+    console.log(`Succeeded: ${finished.counts.succeeded}, failed: ${finished.counts.failed}`);
+    console.log(`Results: ${path.resolve(out)}`);
+    if (!finished.counts.succeeded) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('Batch failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Scores every scenario in data/scenarios.json against its expectedOutcome
+// using the configured LLM provider and writes a JSON/HTML report.
+//
+//   npm run evaluate
+//   npm run evaluate -- --scenario billing-dispute --scenario product-defect
+//   npm run evaluate -- --min-accuracy 0.9 --out ./reports
+//
+// Exits with status 1 when overall accuracy is below --min-accuracy, so it
+// can gate prompt or deployment changes in CI.
+require('dotenv').config();
+const { evaluateScenarios, writeEvaluationReport } = require('../services/evaluation');
+
+function parseArgs(argv) {
+    const options = { scenarioIds: [], minAccuracy: null, directory: undefined };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--scenario') options.scenarioIds.push(argv[++i]);
+        else if (arg === '--min-accuracy') options.minAccuracy = Number(argv[++i]);
+        else if (arg === '--out') options.directory = argv[++i];
+        else throw new Error(`Unknown argument '${arg}'`);
+    }
+    return options;
+}
+
+function formatPercent(value) {
+    return value === null ? '–' : `${Math.round(value * 100)}%`;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const report = await evaluateScenarios({ scenarioIds: options.scenarioIds });
+    const files = writeEvaluationReport(report, { directory: options.directory });
+
+    console.log(`Provider ${report.provider} (${report.model}), prompt version ${report.promptVersion}`);
+    report.results.forEach(result => {
+        const fields = Object.entries(result.fields)
+            .map(([field, scored]) => `${field}=${scored.actual}${scored.match ? '' : ` (expected ${scored.expected})`}`)
+            .join('  ');
+        console.log(`  ${result.error ? '✗' : '•'} ${result.scenarioId}: ${result.error || fields}`);
+    });
+    Object.entries(report.fields).forEach(([field, summary]) => {
+        console.log(`${field}: ${summary.correct}/${summary.total} (${formatPercent(summary.accuracy)})`);
+    });
+    console.log(`Overall accuracy: ${formatPercent(report.accuracy)}`);
+    if (report.caveat) console.warn(`⚠️  ${report.caveat}`);
+    console.log(`Report: ${files.html}`);
+
+    if (options.minAccuracy !== null && (report.accuracy ?? 0) < options.minAccuracy) {
+        console.error(`Accuracy ${formatPercent(report.accuracy)} is below the required ${formatPercent(options.minAccuracy)}`);
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('Evaluation failed:', error.message);
+    process.exitCode = 1;
+});
@@ -2,24 +2,65 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 require('dotenv').config();
+const { resolveProviderName } = require('./services/llm');
+const { startJobWorkers } = require('./services/jobs/queue');
+const { startCommitmentScheduler } = require('./services/commitments');
+const { failInterruptedBatches } = require('./services/batch');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+app.use(express.json({
+    limit: '100kb',
+    // Event Grid delivers CloudEvents with their own media types
+    type: ['application/json', 'application/cloudevents+json', 'application/cloudevents-batch+json']
+}));
+// Webhooks answer the CloudEvents OPTIONS handshake themselves, so they are
+// mounted before cors() would swallow it as a preflight request
+app.use('/api', require('./routes/webhooks'));
 app.use(cors());
-app.use(express.json({ limit: '100kb' }));
 app.use(express.static('public'));
 
 // Routes
 app.use('/api', require('./routes/analysis'));
+app.use('/api', require('./routes/cases'));
+app.use('/api', require('./routes/transcripts'));
+app.use('/api', require('./routes/transcribe'));
+app.use('/api', require('./routes/jobs'));
+app.use('/api', require('./routes/evaluation'));
+app.use('/api', require('./routes/scorecards'));
+app.use('/api', require('./routes/reviewEdits'));
+app.use('/api', require('./routes/emails'));
+app.use('/api', require('./routes/commitments'));
+app.use('/api', require('./routes/batches'));
+app.use('/api', require('./routes/analytics'));
+app.use('/api', require('./routes/routing'));
 
 // Serve main page
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Body parser errors (oversized or malformed JSON) as JSON instead of HTML
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            success: false,
+            error: `Request body is too large (${Math.ceil(err.length / 1024)}kb). The limit for this endpoint is ${Math.round(err.limit / 1024)}kb.`
+        });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ success: false, error: 'Request body is not valid JSON' });
+    }
+    next(err);
+});
+
 app.listen(PORT, () => {
     console.log(`🚀 ACS AI Customer Service Demo running on http://localhost:${PORT}`);
+    console.log(`🤖 LLM provider: ${resolveProviderName()}`);
     console.log(`📞 Ready to analyze customer conversations!`);
+    startJobWorkers();
+    startCommitmentScheduler();
+    failInterruptedBatches();
 });
\ No newline at end of file
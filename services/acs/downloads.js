@@ -0,0 +1,89 @@
+// Transcripts and recordings are fetched from URLs that arrive in webhook
+// events, so only https URLs on ACS and Azure Storage hosts are followed.
+// ACS_DOWNLOAD_HOSTS replaces the default list; an entry starting with "."
+// matches any subdomain. Redirects are checked hop by hop, each download is
+// cut off after ACS_DOWNLOAD_TIMEOUT_MS, and a body over its limit is refused.
+const DEFAULT_ALLOWED_HOSTS = ['.communication.azure.com', '.asm.skype.com', '.blob.core.windows.net'];
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 3;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+function createDownloadError(code, message, { status } = {}) {
+    const err = new Error(message);
+    err.code = code;
+    if (status !== undefined) err.status = status;
+    return err;
+}
+
+function getAllowedHosts() {
+    const configured = (process.env.ACS_DOWNLOAD_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+    return configured.length ? configured : DEFAULT_ALLOWED_HOSTS;
+}
+
+function isAllowedDownloadUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (parseErr) {
+        return false;
+    }
+    const host = url.hostname.toLowerCase();
+    return url.protocol === 'https:' &&
+        getAllowedHosts().some(allowed => (allowed.startsWith('.') ? host.endsWith(allowed) : host === allowed));
+}
+
+async function readLimitedBody(response, maxBytes, label) {
+    const tooLarge = () => createDownloadError('DOWNLOAD_TOO_LARGE', `${label} is larger than ${maxBytes} bytes`);
+    if (Number(response.headers.get('content-length')) > maxBytes) throw tooLarge();
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+        size += chunk.length;
+        if (size > maxBytes) throw tooLarge();
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// `headers` are only sent to the first URL; signed ACS requests must not leak
+// to the storage host a recording redirects to
+async function downloadFromAcs(url, { headers, maxBytes, label = 'Download' } = {}) {
+    const timeoutMs = Number(process.env.ACS_DOWNLOAD_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    const signal = AbortSignal.timeout(timeoutMs);
+    let current = url;
+
+    try {
+        for (let redirects = 0; ; redirects++) {
+            if (!isAllowedDownloadUrl(current)) {
+                throw createDownloadError('UNTRUSTED_URL', `${label} URL is not an https URL on an allowed host (ACS_DOWNLOAD_HOSTS)`);
+            }
+
+            const response = await fetch(current, { headers: redirects ? undefined : headers, redirect: 'manual', signal });
+            if (REDIRECT_STATUSES.includes(response.status) && response.headers.get('location')) {
+                if (redirects >= MAX_REDIRECTS) {
+                    throw createDownloadError('DOWNLOAD_FAILED', `${label} redirected more than ${MAX_REDIRECTS} times`);
+                }
+                current = new URL(response.headers.get('location'), current).toString();
+                continue;
+            }
+            if (!response.ok) {
+                throw createDownloadError('DOWNLOAD_FAILED', `${label} download failed: HTTP ${response.status}`, { status: response.status });
+            }
+            return await readLimitedBody(response, maxBytes, label);
+        }
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw createDownloadError('ETIMEDOUT', `${label} download did not finish within ${timeoutMs}ms`);
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    downloadFromAcs,
+    isAllowedDownloadUrl
+};
@@ -0,0 +1,192 @@
+const { queueCallForAnalysis } = require('../ingestion');
+const { isAllowedDownloadUrl } = require('./downloads');
+const { assignSpeakerRoles, mergeConsecutiveTurns, formatTranscription, normalizeTranscript } = require('../transcriptFormats');
+
+const VALIDATION_EVENT = 'Microsoft.EventGrid.SubscriptionValidationEvent';
+const TRANSCRIPT_FRAGMENT_EVENTS = ['Microsoft.Communication.TranscriptionData', 'Microsoft.Communication.TranscriptionUpdated'];
+const CALL_FINISHED_EVENTS = ['Microsoft.Communication.CallEnded', 'Microsoft.Communication.CallDisconnected', 'Microsoft.Communication.TranscriptionStopped'];
+const RECORDING_EVENT = 'Microsoft.Communication.RecordingFileStatusUpdated';
+
+// Transcription fragments streamed during a call, keyed by call id until the
+// call (or its transcription) ends. Calls whose end event never arrives are
+// dropped once no fragment has come in for ACS_LIVE_TRANSCRIPT_TTL_MS, and the
+// oldest are dropped beyond MAX_LIVE_CALLS.
+const liveTranscripts = new Map();
+const seenEventIds = new Set();
+const MAX_SEEN_EVENT_IDS = 5000;
+const MAX_LIVE_CALLS = 1000;
+const DEFAULT_LIVE_TRANSCRIPT_TTL_MS = 60 * 60 * 1000;
+
+// Event Grid schema and CloudEvents schema carry the same information under
+// different names
+function normalizeEvent(event) {
+    return {
+        id: event.id,
+        type: event.eventType || event.type,
+        subject: event.subject || event.source,
+        time: event.eventTime || event.time,
+        data: event.data || {}
+    };
+}
+
+function getCallId(event) {
+    const { data } = event;
+    return data.serverCallId || data.callConnectionId || data.callId || data.correlationId || event.subject;
+}
+
+function getAgentIds() {
+    return (process.env.ACS_AGENT_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+function isDuplicate(event) {
+    if (!event.id) return false;
+    if (seenEventIds.has(event.id)) return true;
+    seenEventIds.add(event.id);
+    if (seenEventIds.size > MAX_SEEN_EVENT_IDS) {
+        seenEventIds.delete(seenEventIds.values().next().value);
+    }
+    return false;
+}
+
+function pruneLiveTranscripts(now) {
+    const ttlMs = Number(process.env.ACS_LIVE_TRANSCRIPT_TTL_MS) || DEFAULT_LIVE_TRANSCRIPT_TTL_MS;
+    for (const [callId, live] of liveTranscripts) {
+        const expired = now - live.updatedAt > ttlMs;
+        if (!expired && liveTranscripts.size <= MAX_LIVE_CALLS) break;
+        console.warn(`Dropped the live transcript of call ${callId}: ${expired ? 'no end event arrived' : 'too many calls in progress'}`);
+        liveTranscripts.delete(callId);
+    }
+}
+
+function appendTranscriptFragment(event) {
+    const { data } = event;
+    const text = data.text || data.transcript;
+    if (!text || (data.resultState && data.resultState !== 'final' && data.resultState !== 'Final')) return null;
+
+    const callId = getCallId(event);
+    const participant = data.participantRawID || data.participant?.rawId || data.speaker || 'unknown';
+    const now = Date.now();
+    const fragments = liveTranscripts.get(callId)?.fragments || [];
+    fragments.push({
+        speaker: getAgentIds().includes(participant) ? 'Agent' : String(participant),
+        text: String(text).trim(),
+        start: typeof data.offset === 'number' ? data.offset / 1e7 : undefined
+    });
+    // Re-inserted so the map stays ordered by last activity
+    liveTranscripts.delete(callId);
+    liveTranscripts.set(callId, { fragments, updatedAt: now });
+    pruneLiveTranscripts(now);
+    return { type: event.type, callId, action: 'buffered' };
+}
+
+function queueFromTranscript(event, callId, transcript) {
+    const queued = queueCallForAnalysis({
+        source: 'acs-webhook',
+        call: { callId, eventType: event.type, eventTime: event.time },
+        ingest: { kind: 'transcript', ...transcript }
+    });
+    return { type: event.type, callId, action: 'queued', caseId: queued.id };
+}
+
+function handleCallFinished(event) {
+    const callId = getCallId(event);
+    const { data } = event;
+
+    if (typeof data.transcription === 'string' && data.transcription.trim()) {
+        const { transcription, turns } = normalizeTranscript(data.transcription);
+        return queueFromTranscript(event, callId, { transcription, turns });
+    }
+
+    if (data.transcriptUrl) {
+        if (!isAllowedDownloadUrl(data.transcriptUrl)) {
+            return { type: event.type, callId, action: 'ignored', reason: 'transcriptUrl is not an https URL on an allowed host' };
+        }
+        const queued = queueCallForAnalysis({
+            source: 'acs-webhook',
+            call: { callId, eventType: event.type, eventTime: event.time },
+            ingest: { kind: 'transcriptUrl', url: data.transcriptUrl }
+        });
+        return { type: event.type, callId, action: 'queued', caseId: queued.id };
+    }
+
+    const fragments = liveTranscripts.get(callId)?.fragments;
+    if (!fragments || !fragments.length) {
+        return { type: event.type, callId, action: 'ignored', reason: 'no transcript received for this call' };
+    }
+    liveTranscripts.delete(callId);
+
+    const turns = mergeConsecutiveTurns(assignSpeakerRoles(fragments))
+        .map(({ role, text, start, end }) => ({ role, text, start, end }));
+    return queueFromTranscript(event, callId, { transcription: formatTranscription(turns), turns });
+}
+
+function handleRecordingReady(event) {
+    const callId = getCallId(event);
+    const chunks = event.data.recordingStorageInfo?.recordingChunks || [];
+    const contentLocations = chunks
+        .slice()
+        .sort((a, b) => (a.index || 0) - (b.index || 0))
+        .map(chunk => chunk.contentLocation)
+        .filter(Boolean);
+
+    if (!contentLocations.length) {
+        return { type: event.type, callId, action: 'ignored', reason: 'event has no recording chunks' };
+    }
+    if (!contentLocations.every(isAllowedDownloadUrl)) {
+        return { type: event.type, callId, action: 'ignored', reason: 'recording contentLocation is not an https URL on an allowed host' };
+    }
+    if (!process.env.ACS_CONNECTION_STRING) {
+        return { type: event.type, callId, action: 'ignored', reason: 'ACS_CONNECTION_STRING is not set, recordings cannot be downloaded' };
+    }
+
+    const queued = queueCallForAnalysis({
+        source: 'acs-recording',
+        call: { callId, eventType: event.type, eventTime: event.time, recordingId: event.data.recordingId || null },
+        ingest: { kind: 'recording', contentLocations }
+    });
+    return { type: event.type, callId, action: 'queued', caseId: queued.id };
+}
+
+function handleEvent(event) {
+    if (isDuplicate(event)) {
+        return { type: event.type, action: 'ignored', reason: 'duplicate event' };
+    }
+    if (TRANSCRIPT_FRAGMENT_EVENTS.includes(event.type)) {
+        return appendTranscriptFragment(event) || { type: event.type, action: 'ignored', reason: 'interim result' };
+    }
+    if (CALL_FINISHED_EVENTS.includes(event.type)) {
+        return handleCallFinished(event);
+    }
+    if (event.type === RECORDING_EVENT) {
+        return handleRecordingReady(event);
+    }
+    return { type: event.type, action: 'ignored', reason: 'unhandled event type' };
+}
+
+// Returns { validationResponse } for the Event Grid handshake, otherwise a
+// per-event summary of what was done. An event that fails is reported as
+// "failed" and forgotten, so a redelivery is processed again; the rest of the
+// delivery still goes through.
+function handleAcsEvents(payload) {
+    const events = (Array.isArray(payload) ? payload : [payload]).filter(Boolean).map(normalizeEvent);
+
+    const validation = events.find(event => event.type === VALIDATION_EVENT);
+    if (validation) {
+        return { validationResponse: validation.data.validationCode };
+    }
+
+    const results = events.map(event => {
+        try {
+            return handleEvent(event);
+        } catch (error) {
+            seenEventIds.delete(event.id);
+            return { type: event.type, callId: getCallId(event), action: 'failed', error: error.message, code: error.code };
+        }
+    });
+
+    return { results };
+}
+
+module.exports = {
+    handleAcsEvents
+};
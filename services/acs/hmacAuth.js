@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Azure Communication Services data-plane requests are signed with the access
+// key from the connection string ("endpoint=https://...;accesskey=...").
+function parseConnectionString(connectionString) {
+    const parts = Object.fromEntries(String(connectionString || '')
+        .split(';')
+        .filter(Boolean)
+        .map(part => {
+            const index = part.indexOf('=');
+            return [part.slice(0, index).trim().toLowerCase(), part.slice(index + 1).trim()];
+        }));
+
+    if (!parts.endpoint || !parts.accesskey) {
+        const err = new Error('ACS connection string must contain endpoint and accesskey');
+        err.code = 'ACS_NOT_CONFIGURED';
+        throw err;
+    }
+    return { endpoint: parts.endpoint.replace(/\/$/, ''), accessKey: parts.accesskey };
+}
+
+function createSignedHeaders({ method, url, body = '', accessKey }) {
+    const { host, pathname, search } = new URL(url);
+    const date = new Date().toUTCString();
+    const contentHash = crypto.createHash('sha256').update(body).digest('base64');
+    const stringToSign = `${method.toUpperCase()}\n${pathname}${search}\n${date};${host};${contentHash}`;
+    const signature = crypto
+        .createHmac('sha256', Buffer.from(accessKey, 'base64'))
+        .update(stringToSign, 'utf8')
+        .digest('base64');
+
+    return {
+        'x-ms-date': date,
+        'x-ms-content-sha256': contentHash,
+        Authorization: `HMAC-SHA256 SignedHeaders=x-ms-date;host;x-ms-content-sha256&Signature=${signature}`
+    };
+}
+
+module.exports = {
+    parseConnectionString,
+    createSignedHeaders
+};
@@ -0,0 +1,18 @@
+const { parseConnectionString, createSignedHeaders } = require('./hmacAuth');
+const { downloadFromAcs } = require('./downloads');
+
+const DEFAULT_MAX_RECORDING_BYTES = 100 * 1024 * 1024;
+
+// Downloads a recording chunk referenced by a RecordingFileStatusUpdated event
+async function downloadRecording(contentLocation) {
+    const { accessKey } = parseConnectionString(process.env.ACS_CONNECTION_STRING);
+    return downloadFromAcs(contentLocation, {
+        headers: createSignedHeaders({ method: 'GET', url: contentLocation, accessKey }),
+        maxBytes: Number(process.env.ACS_RECORDING_MAX_BYTES) || DEFAULT_MAX_RECORDING_BYTES,
+        label: 'Recording'
+    });
+}
+
+module.exports = {
+    downloadRecording
+};
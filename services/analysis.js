@@ -0,0 +1,187 @@
+const { getLLMProvider } = require('./llm');
+const { registerMockHandler } = require('./llm/mockProvider');
+const { createPartialJsonParser } = require('./llm/partialJson');
+const { analyzeTranscriptWithRules } = require('./ruleBasedAnalysis');
+const { getAnalysisSchema } = require('./analysisSchemas');
+const { createRedactor, getRedactionPolicy, rehydrateAnalysis } = require('./redaction');
+const { groundAnalysis } = require('./grounding');
+const { assessReview } = require('./reviewThresholds');
+const { buildSentimentTimeline } = require('./sentimentTimeline');
+const { evaluateScorecard } = require('./scorecard');
+const { assertValid } = require('./validation');
+const { detectLanguage, getLanguageName } = require('./language');
+const { resolveIntent } = require('./intentTaxonomy');
+
+// Bump whenever the prompt wording or message layout changes so evaluation
+// reports (npm run evaluate) can be compared across prompt versions
+const PROMPT_VERSION = '6';
+
+// Key information fields and the prompt wording differ per line of business,
+// so the schema and messages come from the selected definition (config/schemas)
+function buildAnalysisMessages(transcription, definition, { redacted = false, language } = {}) {
+    const redactionNote = redacted
+        ? '\n\nPersonal data in the transcript has been replaced with placeholders such as [EMAIL_1] or [PHONE_2]. Copy placeholders verbatim wherever the real value would go.'
+        : '';
+    const languageNote = language ? `\n\n${buildLanguageInstructions(language)}` : '';
+    const prompt = `Analyze this ${definition.prompt.callType} transcript and extract structured information for our CRM system.
+
+TRANSCRIPT:
+${transcription}
+
+Focus on:
+${definition.prompt.focus.map(item => `- ${item}`).join('\n')}
+
+Be precise and only extract information that's clearly stated in the conversation. In evidence, give your confidence in each value and the shortest verbatim quote from the transcript that supports it.${languageNote}${redactionNote}`;
+
+    return [
+        {
+            role: "system",
+            content: definition.prompt.systemPrompt
+        },
+        {
+            role: "user",
+            content: prompt
+        }
+    ];
+}
+
+// The call is analyzed as it was held; only the free-text fields are written
+// twice. Enum values and the intent stay in the schema's English identifiers
+// so routing, thresholds and evaluation work for every language.
+function buildLanguageInstructions({ code, name, deskLanguage }) {
+    const deskName = getLanguageName(deskLanguage);
+    const translation = code === deskLanguage
+        ? `customerLanguage repeats them with language "${code}".`
+        : `Write them again in ${name} under customerLanguage, with language "${code}".`;
+    return `The call is in ${name}. Read it in ${name} and quote evidence and commitments exactly as they were said, without translating. Write summary and suggestedActions in ${deskName} for the agent desk. ${translation} Use the schema's English values for sentiment, escalationRisk and primaryIntent.`;
+}
+
+// Core Analysis Function. Passing onField streams the completion and reports
+// each top-level field as soon as the model has finished writing it. The
+// result is checked against the schema, since deployments without strict
+// structured outputs can return anything; an intent in the model's own words
+// is mapped onto the taxonomy first.
+async function getAIAnalysis(transcription, options = {}) {
+    const definition = getAnalysisSchema(options.schemaId);
+    const language = options.language || detectLanguage(transcription);
+    const analysis = constrainIntent(await requestAnalysis(transcription, definition, { ...options, language }));
+    return assertValid(analysis, definition.jsonSchema, {
+        code: 'INVALID_MODEL_OUTPUT',
+        message: 'Model output does not match the analysis schema'
+    });
+}
+
+function constrainIntent(analysis) {
+    const intent = resolveIntent(analysis?.primaryIntent);
+    return intent ? { ...analysis, primaryIntent: intent } : analysis;
+}
+
+async function requestAnalysis(transcription, definition, { onField, signal, redacted, language }) {
+    registerMockHandler(definition.schemaName, ({ transcription: text, language: callLanguage }) => analyzeTranscriptWithRules(text, definition, { language: callLanguage }));
+
+    const provider = getLLMProvider();
+    const request = {
+        messages: buildAnalysisMessages(transcription, definition, { redacted, language }),
+        schemaName: definition.schemaName,
+        schema: definition.jsonSchema,
+        context: { transcription, language }
+    };
+
+    if (!onField) {
+        return provider.createStructuredCompletion(request);
+    }
+
+    if (!provider.streamStructuredCompletion) {
+        const analysis = await provider.createStructuredCompletion(request);
+        Object.entries(analysis).forEach(([name, value]) => onField(name, value));
+        return analysis;
+    }
+
+    const parser = createPartialJsonParser(onField);
+    return provider.streamStructuredCompletion({
+        ...request,
+        signal,
+        onDelta: text => parser.push(text)
+    });
+}
+
+// The timeline is a second model request, made alongside the analysis. It
+// only adds to the case, so a failure leaves the case without a timeline
+// rather than failing the analysis.
+async function buildTimelineOrNull(transcription) {
+    try {
+        return await buildSentimentTimeline(transcription);
+    } catch (error) {
+        console.warn(`Sentiment timeline failed: ${error.message}`);
+        return null;
+    }
+}
+
+// getAIAnalysis behind the REDACTION_POLICY (services/redaction.js) and the
+// grounding check (services/grounding.js). Returns the analysis plus the
+// transcript and turns that are safe to store for the policy, the redaction
+// audit (null when the policy is "off"), where each extracted value was
+// found in the transcript, the per-turn sentiment timeline, the agent QA
+// scorecard, which values fall below their review threshold, and the
+// detected call language (services/language.js).
+async function analyzeTranscription(transcription, { turns, ...options } = {}) {
+    const policy = getRedactionPolicy();
+    const language = detectLanguage(transcription);
+    if (policy === 'off') {
+        const timeline = buildTimelineOrNull(transcription);
+        const modelAnalysis = await getAIAnalysis(transcription, { ...options, language });
+        const { analysis, grounding } = groundAnalysis(modelAnalysis, transcription);
+        const sentimentTimeline = await timeline;
+        return {
+            analysis,
+            transcription,
+            turns,
+            redaction: null,
+            grounding,
+            sentimentTimeline,
+            scorecard: evaluateScorecard(transcription),
+            review: assessReview(analysis, { grounding, sentimentTimeline }),
+            language
+        };
+    }
+
+    const redactor = createRedactor();
+    const redactedTranscription = redactor.redact(transcription);
+    const redactedTurns = turns ? turns.map(turn => ({ ...turn, text: redactor.redact(turn.text) })) : turns;
+    const restore = analysis => rehydrateAnalysis(redactor, analysis, policy);
+    // Redaction keeps the turn split, so the indices hold for either transcript
+    const timeline = buildTimelineOrNull(redactedTranscription);
+
+    const modelAnalysis = await getAIAnalysis(redactedTranscription, {
+        ...options,
+        language,
+        redacted: true,
+        onField: options.onField && ((name, value) => options.onField(name, restore({ [name]: value })[name]))
+    });
+    // Taken before grounding, which re-tokenizes values to look them up
+    const redaction = redactor.audit(policy);
+
+    const storedTranscription = policy === 'all' ? redactedTranscription : transcription;
+    const { analysis, grounding } = groundAnalysis(restore(modelAnalysis), storedTranscription, {
+        normalizeValue: policy === 'all' ? redactor.redact : undefined
+    });
+    const sentimentTimeline = await timeline;
+
+    return {
+        analysis,
+        transcription: storedTranscription,
+        turns: policy === 'all' ? redactedTurns : turns,
+        redaction,
+        grounding,
+        sentimentTimeline,
+        scorecard: evaluateScorecard(storedTranscription),
+        review: assessReview(analysis, { grounding, sentimentTimeline }),
+        language
+    };
+}
+
+module.exports = {
+    analyzeTranscription,
+    PROMPT_VERSION,
+    getAIAnalysis
+};
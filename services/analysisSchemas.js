@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const { getSupportedLanguages } = require('./language');
+const { listIntentIds } = require('./intentTaxonomy');
+
+// Analysis schemas are defined per line of business in config/schemas/<id>.json:
+// the sentiment values, the keyInformation fields (with labels for the review
+// form and regex patterns for the offline mock), intent heuristics and the
+// prompt wording. The strict JSON schema sent as response_format is built from
+// the definition, so adding a field is a config change. primaryIntent is
+// limited to the shared intent taxonomy (services/intentTaxonomy.js), which
+// must contain every intent a schema defines.
+const DEFAULT_SCHEMA_ID = 'customer-service';
+const definitionCache = new Map();
+
+function getSchemaDirectory() {
+    return process.env.ANALYSIS_SCHEMA_DIR || path.join(__dirname, '..', 'config', 'schemas');
+}
+
+function getDefaultSchemaId() {
+    return process.env.DEFAULT_ANALYSIS_SCHEMA || DEFAULT_SCHEMA_ID;
+}
+
+function createSchemaError(message) {
+    const err = new Error(message);
+    err.code = 'UNKNOWN_SCHEMA';
+    return err;
+}
+
+function listSchemaIds() {
+    return fs.readdirSync(getSchemaDirectory())
+        .filter(fileName => fileName.endsWith('.json'))
+        .map(fileName => path.basename(fileName, '.json'))
+        .sort();
+}
+
+// Confidence and supporting quote for a single extracted value
+const fieldEvidenceSchema = {
+    type: "object",
+    properties: {
+        confidence: {
+            type: "number",
+            minimum: 0,
+            maximum: 1,
+            description: "Confidence in this value"
+        },
+        quote: {
+            type: ["string", "null"],
+            description: "Shortest verbatim transcript excerpt supporting the value, null when there is none"
+        }
+    },
+    required: ["confidence", "quote"],
+    additionalProperties: false
+};
+
+function buildEvidenceSchema(definition) {
+    const keyInformationProperties = {};
+    definition.keyInformation.forEach(field => {
+        keyInformationProperties[field.name] = fieldEvidenceSchema;
+    });
+
+    return {
+        type: "object",
+        description: "Per-field confidence and supporting quotes",
+        properties: {
+            sentiment: fieldEvidenceSchema,
+            escalationRisk: fieldEvidenceSchema,
+            primaryIntent: fieldEvidenceSchema,
+            keyInformation: {
+                type: "object",
+                properties: keyInformationProperties,
+                required: definition.keyInformation.map(field => field.name),
+                additionalProperties: false
+            },
+            commitments: {
+                type: "array",
+                description: "One entry per commitment, in the same order",
+                items: {
+                    type: "object",
+                    properties: {
+                        text: { type: "string", description: "The commitment exactly as listed in commitments" },
+                        ...fieldEvidenceSchema.properties
+                    },
+                    required: ["text", "confidence", "quote"],
+                    additionalProperties: false
+                }
+            }
+        },
+        required: ["sentiment", "escalationRisk", "primaryIntent", "keyInformation", "commitments"],
+        additionalProperties: false
+    };
+}
+
+function buildJsonSchema(definition) {
+    const keyInformationProperties = {};
+    definition.keyInformation.forEach(field => {
+        // Nullable so the model is never forced to invent a value
+        keyInformationProperties[field.name] = {
+            type: ["string", "null"],
+            description: `${field.description}. null when it is not stated in the call`
+        };
+    });
+
+    return {
+        type: "object",
+        properties: {
+            sentiment: {
+                type: "string",
+                enum: definition.sentiments,
+                description: "Overall customer sentiment"
+            },
+            escalationRisk: {
+                type: "string",
+                enum: ["low", "medium", "high"],
+                description: "Risk of customer escalation"
+            },
+            primaryIntent: {
+                type: "string",
+                enum: listIntentIds(),
+                description: "Main reason for customer contact"
+            },
+            keyInformation: {
+                type: "object",
+                properties: keyInformationProperties,
+                required: definition.keyInformation.map(field => field.name),
+                additionalProperties: false
+            },
+            suggestedActions: {
+                type: "array",
+                items: { type: "string" },
+                description: "Recommended next steps"
+            },
+            commitments: {
+                type: "array",
+                items: { type: "string" },
+                description: "Promises made to customer"
+            },
+            confidenceScore: {
+                type: "number",
+                minimum: 0,
+                maximum: 1,
+                description: "Analysis confidence level"
+            },
+            summary: {
+                type: "string",
+                description: "Brief case summary for CRM"
+            },
+            customerLanguage: {
+                type: "object",
+                description: "The summary and suggested actions again, written in the language the call was held in",
+                properties: {
+                    language: {
+                        type: "string",
+                        enum: getSupportedLanguages(),
+                        description: "ISO 639-1 code of the call language"
+                    },
+                    summary: { type: "string" },
+                    suggestedActions: {
+                        type: "array",
+                        items: { type: "string" }
+                    }
+                },
+                required: ["language", "summary", "suggestedActions"],
+                additionalProperties: false
+            },
+            evidence: buildEvidenceSchema(definition)
+        },
+        required: ["sentiment", "escalationRisk", "primaryIntent", "keyInformation", "suggestedActions", "commitments", "confidenceScore", "summary", "customerLanguage", "evidence"],
+        additionalProperties: false
+    };
+}
+
+// What /api/finalize accepts: the model schema, except that evidence, the
+// customer-language copy and individual keyInformation fields may be left out
+// (analyses produced or edited outside this app) and intent and summary must
+// not be empty
+function buildReviewedSchema(jsonSchema) {
+    const { properties, required } = jsonSchema;
+    return {
+        ...jsonSchema,
+        properties: {
+            ...properties,
+            primaryIntent: { ...properties.primaryIntent, minLength: 1 },
+            summary: { ...properties.summary, minLength: 1 },
+            keyInformation: { ...properties.keyInformation, required: [] }
+        },
+        required: required.filter(field => field !== 'evidence' && field !== 'customerLanguage')
+    };
+}
+
+function loadDefinition(schemaId) {
+    const definitionPath = path.join(getSchemaDirectory(), `${schemaId}.json`);
+    if (!/^[\w-]+$/.test(schemaId) || !fs.existsSync(definitionPath)) {
+        throw createSchemaError(`Unknown analysis schema '${schemaId}'. Expected one of: ${listSchemaIds().join(', ')}`);
+    }
+
+    const definition = JSON.parse(fs.readFileSync(definitionPath, 'utf8'));
+    if (!Array.isArray(definition.keyInformation) || !definition.keyInformation.length) {
+        throw new Error(`Analysis schema '${schemaId}' must define at least one keyInformation field`);
+    }
+    const unknownIntents = (definition.intents || []).map(intent => intent.id).filter(id => !listIntentIds().includes(id));
+    if (unknownIntents.length) {
+        throw new Error(`Analysis schema '${schemaId}' defines intents missing from the intent taxonomy: ${unknownIntents.join(', ')}`);
+    }
+
+    const jsonSchema = buildJsonSchema(definition);
+    return {
+        ...definition,
+        id: schemaId,
+        // Structured-output schema names only allow [a-zA-Z0-9_-]
+        schemaName: `${schemaId.replace(/-/g, '_')}_analysis`,
+        jsonSchema,
+        reviewedSchema: buildReviewedSchema(jsonSchema)
+    };
+}
+
+// Falls back to DEFAULT_ANALYSIS_SCHEMA (customer-service) when no id is given
+function getAnalysisSchema(schemaId) {
+    const resolvedId = schemaId || getDefaultSchemaId();
+    if (!definitionCache.has(resolvedId)) {
+        definitionCache.set(resolvedId, loadDefinition(resolvedId));
+    }
+    return definitionCache.get(resolvedId);
+}
+
+// What the UI needs to render and edit an analysis; regex patterns and
+// prompt wording stay server-side
+function describeAnalysisSchema(definition) {
+    return {
+        id: definition.id,
+        name: definition.name,
+        description: definition.description,
+        sentiments: definition.sentiments,
+        keyInformation: definition.keyInformation.map(({ name, label, description }) => ({ name, label, description })),
+        jsonSchema: definition.jsonSchema
+    };
+}
+
+function listAnalysisSchemas() {
+    return listSchemaIds().map(schemaId => describeAnalysisSchema(getAnalysisSchema(schemaId)));
+}
+
+module.exports = {
+    getAnalysisSchema,
+    getDefaultSchemaId,
+    describeAnalysisSchema,
+    listAnalysisSchemas
+};
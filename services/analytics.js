@@ -0,0 +1,112 @@
+const caseStore = require('./caseStore');
+const { clusterIntents } = require('./intents');
+const { parseCommitment } = require('./commitmentParser');
+const { listCommitments } = require('./commitments');
+
+// Aggregates over the stored cases for the manager dashboard
+// (public/dashboard.html): intent volume with free-text intents clustered
+// (services/intents.js), sentiment and escalation distributions, average
+// confidence, the most common kinds of commitments, and the same figures per
+// day or week. Each call counts once (caseStore.dedupeByCall), with its
+// reviewed analysis when it has one. Periods are UTC dates; weeks start on
+// Monday.
+const GRANULARITIES = ['day', 'week'];
+const TOP_COMMITMENT_TYPES = 10;
+
+function average(values) {
+    return values.length ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100 : null;
+}
+
+function countBy(values) {
+    const counts = {};
+    values.forEach(value => {
+        const key = value ?? 'unknown';
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
+
+function getPeriod(timestamp, granularity) {
+    const date = new Date(timestamp);
+    if (granularity === 'week') {
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function summarizeCommitments(entries) {
+    const commitments = entries.flatMap(({ caseRecord, analysis }) => (analysis.commitments || [])
+        .map(text => parseCommitment(text, { callTime: caseRecord.createdAt })));
+    const byType = new Map();
+    commitments.forEach(commitment => {
+        const stats = byType.get(commitment.type) || { type: commitment.type, count: 0, example: commitment.text };
+        stats.count++;
+        byType.set(commitment.type, stats);
+    });
+
+    // Tracking only starts at finalization, so status counts cover finalized cases
+    const caseIds = new Set(entries.map(({ caseRecord }) => caseRecord.id));
+    const tracked = listCommitments().filter(commitment => caseIds.has(commitment.caseId));
+    return {
+        total: commitments.length,
+        topTypes: [...byType.values()].sort((a, b) => b.count - a.count).slice(0, TOP_COMMITMENT_TYPES),
+        tracked: { total: tracked.length, ...countBy(tracked.map(commitment => commitment.status)) }
+    };
+}
+
+function summarizeEntries(entries) {
+    const analyses = entries.map(entry => entry.analysis);
+    return {
+        cases: entries.length,
+        sentiment: countBy(analyses.map(analysis => analysis.sentiment)),
+        escalationRisk: countBy(analyses.map(analysis => analysis.escalationRisk)),
+        averageConfidence: average(analyses.map(analysis => analysis.confidenceScore).filter(score => typeof score === 'number'))
+    };
+}
+
+// filters: the case-history filters (from, to, source, status...) plus
+// schemaId and granularity ("day" by default, or "week")
+function getAnalytics({ granularity = 'day', schemaId, ...filters } = {}) {
+    if (!GRANULARITIES.includes(granularity)) {
+        const err = new Error(`Unknown granularity '${granularity}'. Expected one of: ${GRANULARITIES.join(', ')}`);
+        err.code = 'INVALID_ANALYTICS_QUERY';
+        throw err;
+    }
+
+    const entries = caseStore.dedupeByCall(caseStore.listCases(filters))
+        .filter(caseRecord => !schemaId || caseRecord.schemaId === schemaId)
+        .map(caseRecord => ({ caseRecord, analysis: caseStore.getEffectiveAnalysis(caseRecord) }))
+        .filter(entry => entry.analysis)
+        .reverse();
+    const { clusters, assignments } = clusterIntents(entries.map(({ caseRecord, analysis }) => ({
+        intent: analysis.primaryIntent,
+        schemaId: caseRecord.schemaId
+    })));
+
+    const periods = new Map();
+    entries.forEach((entry, index) => {
+        const period = getPeriod(entry.caseRecord.createdAt, granularity);
+        if (!periods.has(period)) periods.set(period, { entries: [], intents: [] });
+        periods.get(period).entries.push(entry);
+        periods.get(period).intents.push(assignments[index]);
+    });
+
+    return {
+        granularity,
+        from: entries.length ? entries[0].caseRecord.createdAt : null,
+        to: entries.length ? entries[entries.length - 1].caseRecord.createdAt : null,
+        ...summarizeEntries(entries),
+        finalized: entries.filter(({ caseRecord }) => caseRecord.status === 'finalized').length,
+        intents: clusters.map(cluster => ({ ...cluster, share: Math.round((cluster.count / entries.length) * 1000) / 1000 })),
+        commitments: summarizeCommitments(entries),
+        trends: [...periods.entries()].map(([period, { entries: periodEntries, intents }]) => ({
+            period,
+            ...summarizeEntries(periodEntries),
+            intents: countBy(intents)
+        }))
+    };
+}
+
+module.exports = {
+    getAnalytics
+};
@@ -0,0 +1,296 @@
+const { getCollection } = require('../store/jsonFileStore');
+const caseStore = require('../caseStore');
+const { analyzeTranscript } = require('../caseWorkflow');
+const { getAnalysisSchema } = require('../analysisSchemas');
+const { isRetryable, getBackoffMs } = require('../jobs/queue');
+const { formatCsv, formatJsonl } = require('../exportFormats');
+const { parseBatchInput } = require('./input');
+
+// Batch analysis of many transcripts (POST /api/batches, npm run batch). Each
+// item goes through the same analyzeTranscript as /api/analyze and is saved
+// as a case with source "batch"; the batch document in the "batches"
+// collection tracks every item's status, case and error.
+//
+// Items run BATCH_CONCURRENCY at a time. Model calls from all batches share
+// one pace (BATCH_REQUESTS_PER_MINUTE, unlimited by default), and a 429 pauses
+// every batch for the backoff the model asked for. Transient failures are
+// retried up to BATCH_MAX_ATTEMPTS times with the job queue's backoff; other
+// failures fail only their item.
+//
+// While a batch runs its document lives in memory; it is written to the store
+// when it starts, once per item that finishes and when it completes, not on
+// every status change. Batches run inside the process that started them, so
+// failInterruptedBatches marks whatever a restart cut off as failed.
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 16;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const LIST_SEPARATOR = ' | ';
+const CSV_COLUMNS = ['itemId', 'status', 'caseId', 'schemaId', 'attempts', 'error', 'errorCode', 'language', 'sentiment', 'escalationRisk', 'primaryIntent', 'confidenceScore', 'summary', 'suggestedActions', 'commitments'];
+
+const batches = () => getCollection('batches');
+const activeBatches = new Map();
+
+let nextSlotAt = 0;
+let pausedUntil = 0;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function resolveConcurrency(requested) {
+    const concurrency = Number(requested) || Number(process.env.BATCH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+    return Math.max(1, Math.min(MAX_CONCURRENCY, Math.floor(concurrency)));
+}
+
+function getMaxAttempts() {
+    return Number(process.env.BATCH_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+}
+
+function getRequestIntervalMs() {
+    const perMinute = Number(process.env.BATCH_REQUESTS_PER_MINUTE);
+    return perMinute > 0 ? 60000 / perMinute : 0;
+}
+
+// Reserves the next model request slot, waiting out a rate-limit pause
+async function waitForModelSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotAt, pausedUntil);
+    nextSlotAt = slot + getRequestIntervalMs();
+    if (slot > now) await sleep(slot - now);
+}
+
+function countItems(items) {
+    const counts = { pending: 0, running: 0, retrying: 0, succeeded: 0, failed: 0 };
+    items.forEach(item => counts[item.status]++);
+    return counts;
+}
+
+// Finished items (`persist`) are written through to the store; running and
+// retrying only change the in-memory document
+function updateItem(batchId, index, patch, { persist = false } = {}) {
+    const live = activeBatches.get(batchId);
+    live.items[index] = { ...live.items[index], ...patch };
+    live.counts = countItems(live.items);
+    live.updatedAt = new Date().toISOString();
+    if (persist) {
+        batches().update(batchId, { items: live.items.map(item => ({ ...item })), counts: { ...live.counts } });
+    }
+    return live;
+}
+
+function finishItem(batchId, index, patch) {
+    return updateItem(batchId, index, { ...patch, completedAt: new Date().toISOString() }, { persist: true });
+}
+
+function describeError(error) {
+    return {
+        message: error.message,
+        code: error.code || null,
+        status: error.status || error?.response?.status || null
+    };
+}
+
+async function processItem(batchId, index, item, defaults) {
+    if (item.inputError) {
+        return finishItem(batchId, index, {
+            status: 'failed',
+            error: { message: item.inputError, code: 'BATCH_INVALID_ITEM', status: null }
+        });
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        await waitForModelSlot();
+        updateItem(batchId, index, { status: 'running', attempts: attempt });
+        try {
+            const result = await analyzeTranscript({
+                transcription: item.transcription,
+                scenarioId: item.scenarioId,
+                schemaId: item.schemaId || defaults.schemaId,
+                format: item.format || defaults.format,
+                source: 'batch'
+            });
+            return finishItem(batchId, index, {
+                status: 'succeeded',
+                caseId: result.caseId,
+                schemaId: result.schemaId,
+                error: null
+            });
+        } catch (error) {
+            if (!isRetryable(error) || attempt >= getMaxAttempts()) {
+                return finishItem(batchId, index, { status: 'failed', error: describeError(error) });
+            }
+            const delay = getBackoffMs(attempt, error);
+            if (describeError(error).status === 429) {
+                pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+            }
+            console.warn(`Batch ${batchId} item ${item.id} attempt ${attempt} failed, retrying in ${Math.round(delay)}ms: ${error.message}`);
+            updateItem(batchId, index, { status: 'retrying', error: describeError(error) });
+            await sleep(delay);
+        }
+    }
+}
+
+async function runBatch(batchId, items, { concurrency, schemaId, format, onItem }) {
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            const batch = await processItem(batchId, index, items[index], { schemaId, format });
+            if (onItem) onItem(batch.items[index], batch);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return endBatch(batchId, { status: 'completed', completedAt: new Date().toISOString() });
+}
+
+function endBatch(batchId, patch) {
+    const live = activeBatches.get(batchId);
+    activeBatches.delete(batchId);
+    return batches().update(batchId, { items: live.items, counts: live.counts, ...patch });
+}
+
+// Parses the upload and starts analyzing in the background. Returns the new
+// batch and a promise for the finished one; invalid uploads throw
+// BATCH_INVALID_INPUT and unknown schemas UNKNOWN_SCHEMA before anything runs.
+function startBatch(buffer, { name, schemaId, format, concurrency, onItem } = {}) {
+    const items = parseBatchInput(buffer);
+    if (schemaId) getAnalysisSchema(schemaId);
+    const workers = resolveConcurrency(concurrency);
+
+    const batch = batches().insert({
+        name: name || null,
+        status: 'running',
+        schemaId: schemaId || null,
+        format: format || null,
+        concurrency: workers,
+        total: items.length,
+        counts: countItems(items.map(() => ({ status: 'pending' }))),
+        items: items.map((item, index) => ({
+            index,
+            id: item.id,
+            status: 'pending',
+            attempts: 0,
+            caseId: null,
+            schemaId: item.schemaId || schemaId || null,
+            error: null,
+            completedAt: null
+        })),
+        completedAt: null
+    });
+    activeBatches.set(batch.id, { ...batch, items: batch.items.map(item => ({ ...item })) });
+
+    const completion = runBatch(batch.id, items, { concurrency: workers, schemaId, format, onItem })
+        .catch(error => {
+            console.error(`Batch ${batch.id} stopped:`, error.message);
+            return endBatch(batch.id, { status: 'failed', error: error.message, completedAt: new Date().toISOString() });
+        });
+    return { batch, completion };
+}
+
+// Called once at server start: no batch can still be running in this process,
+// so any stored as running was cut off by a restart. Its unfinished items are
+// failed with BATCH_INTERRUPTED; upload them again to finish them.
+function failInterruptedBatches() {
+    const now = new Date().toISOString();
+    const interrupted = batches().list(batch => batch.status === 'running' && !activeBatches.has(batch.id));
+    interrupted.forEach(batch => {
+        const items = batch.items.map(item => (['succeeded', 'failed'].includes(item.status) ? item : {
+            ...item,
+            status: 'failed',
+            error: { message: 'The server restarted before this item finished', code: 'BATCH_INTERRUPTED', status: null },
+            completedAt: now
+        }));
+        batches().update(batch.id, {
+            status: 'failed',
+            error: 'Interrupted by a server restart',
+            items,
+            counts: countItems(items),
+            completedAt: now
+        });
+    });
+    if (interrupted.length) {
+        console.warn(`Marked ${interrupted.length} batch(es) interrupted by a restart as failed`);
+    }
+}
+
+function summarizeBatch(batch) {
+    const { items, ...summary } = batch;
+    return summary;
+}
+
+// Running batches are read from memory, where their progress is
+function getBatch(batchId) {
+    return activeBatches.get(batchId) || batches().get(batchId);
+}
+
+function listBatches() {
+    return batches()
+        .list()
+        .map(batch => activeBatches.get(batch.id) || batch)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summarizeBatch);
+}
+
+// The model's analysis for each item (evidence left out), read back from its
+// case, so a finished batch can be exported again later
+function buildExportRows(batch) {
+    return batch.items.map(item => {
+        const caseRecord = item.caseId ? caseStore.getCase(item.caseId) : null;
+        const { evidence, ...analysis } = caseRecord?.aiAnalysis || {};
+        return {
+            itemId: item.id,
+            status: item.status,
+            caseId: item.caseId,
+            schemaId: item.schemaId,
+            attempts: item.attempts,
+            error: item.error,
+            language: caseRecord?.language?.code || null,
+            analysis: caseRecord?.aiAnalysis ? analysis : null
+        };
+    });
+}
+
+function toCsvRow(row) {
+    const analysis = row.analysis || {};
+    const keyInformation = Object.fromEntries(Object.entries(analysis.keyInformation || {})
+        .map(([name, value]) => [`keyInformation.${name}`, value]));
+    return {
+        ...row,
+        error: row.error?.message || null,
+        errorCode: row.error?.code || null,
+        sentiment: analysis.sentiment,
+        escalationRisk: analysis.escalationRisk,
+        primaryIntent: analysis.primaryIntent,
+        confidenceScore: analysis.confidenceScore,
+        summary: analysis.summary,
+        suggestedActions: (analysis.suggestedActions || []).join(LIST_SEPARATOR),
+        commitments: (analysis.commitments || []).join(LIST_SEPARATOR),
+        ...keyInformation
+    };
+}
+
+// One row per item. CSV gets a keyInformation.<field> column for every field
+// of the schemas used in the batch.
+function exportBatch(batch, format = 'csv') {
+    const rows = buildExportRows(batch);
+    if (format !== 'csv') return formatJsonl(rows);
+
+    const schemaIds = [...new Set(batch.items.map(item => item.schemaId || getAnalysisSchema().id))];
+    const keyInformationColumns = [...new Set(schemaIds.flatMap(schemaId => {
+        try {
+            return getAnalysisSchema(schemaId).keyInformation.map(field => `keyInformation.${field.name}`);
+        } catch (error) {
+            return [];
+        }
+    }))];
+    return formatCsv(rows.map(toCsvRow), [...CSV_COLUMNS, ...keyInformationColumns]);
+}
+
+module.exports = {
+    startBatch,
+    failInterruptedBatches,
+    getBatch,
+    listBatches,
+    summarizeBatch,
+    exportBatch
+};
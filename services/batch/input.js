@@ -0,0 +1,87 @@
+const path = require('path');
+const { isZip, readZip } = require('./zip');
+
+// Batch uploads are JSONL (one call per line) or a ZIP of transcript files.
+//
+// JSONL lines are { "id"?, "transcription", "format"?, "schemaId"?,
+// "scenarioId"? }; "transcript" and "content" are accepted for the text. A
+// line that is not valid JSON still becomes an item, one that fails
+// immediately, so the rest of the batch runs and the error shows up in the
+// export against its line number.
+//
+// In a ZIP, .jsonl/.ndjson files are read line by line as above and every
+// .txt, .vtt, .srt or .json file is one call, normalized with the matching
+// transcript format and identified by its path in the archive.
+const JSONL_EXTENSIONS = ['.jsonl', '.ndjson'];
+const TRANSCRIPT_FORMATS = { '.txt': 'auto', '.vtt': 'vtt', '.srt': 'srt', '.json': 'json' };
+const DEFAULT_MAX_ITEMS = 1000;
+const MAX_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+
+function createInputError(message) {
+    const err = new Error(message);
+    err.code = 'BATCH_INVALID_INPUT';
+    return err;
+}
+
+function getMaxItems() {
+    return Number(process.env.BATCH_MAX_ITEMS) || DEFAULT_MAX_ITEMS;
+}
+
+function parseJsonlLine(line, id) {
+    let entry;
+    try {
+        entry = JSON.parse(line);
+    } catch (error) {
+        return { id, inputError: `Line is not valid JSON: ${error.message}` };
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { id, inputError: 'Line must be a JSON object' };
+    }
+
+    return {
+        id: entry.id !== undefined && entry.id !== null ? String(entry.id) : id,
+        transcription: entry.transcription ?? entry.transcript ?? entry.content,
+        format: entry.format,
+        schemaId: entry.schemaId,
+        scenarioId: entry.scenarioId
+    };
+}
+
+function parseJsonl(content, source) {
+    return content
+        .split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, number }) => parseJsonlLine(line, source ? `${source}:${number}` : `line-${number}`));
+}
+
+function parseZip(buffer) {
+    const files = readZip(buffer, { maxTotalBytes: MAX_UNCOMPRESSED_BYTES });
+    return files.flatMap(({ name, content }) => {
+        const extension = path.extname(name).toLowerCase();
+        if (JSONL_EXTENSIONS.includes(extension)) return parseJsonl(content, name);
+        if (TRANSCRIPT_FORMATS[extension]) return [{ id: name, transcription: content, format: TRANSCRIPT_FORMATS[extension] }];
+        return [];
+    });
+}
+
+// Returns the items to analyze; throws BATCH_INVALID_INPUT when there are none
+// or more than BATCH_MAX_ITEMS
+function parseBatchInput(buffer) {
+    if (!Buffer.isBuffer(buffer) || !buffer.length) {
+        throw createInputError('Upload a JSONL file or a ZIP of transcripts as the request body');
+    }
+
+    const items = isZip(buffer) ? parseZip(buffer) : parseJsonl(buffer.toString('utf8'));
+    if (!items.length) {
+        throw createInputError('The upload contains no transcripts');
+    }
+    if (items.length > getMaxItems()) {
+        throw createInputError(`The upload contains ${items.length} transcripts; the limit is ${getMaxItems()} per batch (BATCH_MAX_ITEMS)`);
+    }
+    return items;
+}
+
+module.exports = {
+    parseBatchInput
+};
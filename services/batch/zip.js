@@ -0,0 +1,94 @@
+const zlib = require('zlib');
+
+// Just enough of the ZIP format to read an archive of transcripts: the central
+// directory, stored and deflated entries. Zip64 and encrypted archives are
+// rejected. Sizes are checked against maxTotalBytes before anything is
+// inflated, and inflating never produces more than the entry claims.
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+function createZipError(message) {
+    const err = new Error(`Invalid ZIP archive: ${message}`);
+    err.code = 'BATCH_INVALID_INPUT';
+    return err;
+}
+
+function isZip(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+function findEndOfCentralDirectory(buffer) {
+    const earliest = Math.max(0, buffer.length - 22 - MAX_COMMENT_LENGTH);
+    for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw createZipError('end of central directory not found');
+}
+
+function readEntries(buffer) {
+    const end = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || offset === 0xffffffff) throw createZipError('Zip64 archives are not supported');
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw createZipError('corrupt central directory');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        entries.push({
+            flags: buffer.readUInt16LE(offset + 8),
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            localHeaderOffset: buffer.readUInt32LE(offset + 42),
+            name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+        });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return entries;
+}
+
+function readEntryData(buffer, entry) {
+    const header = entry.localHeaderOffset;
+    if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+        throw createZipError(`corrupt local header for ${entry.name}`);
+    }
+    const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) {
+        try {
+            return zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, entry.size) });
+        } catch (error) {
+            throw createZipError(`${entry.name} could not be inflated (${error.message})`);
+        }
+    }
+    throw createZipError(`${entry.name} uses unsupported compression method ${entry.method}`);
+}
+
+// Returns [{ name, content }] for every file (directories and macOS metadata skipped)
+function readZip(buffer, { maxTotalBytes = Infinity } = {}) {
+    const files = readEntries(buffer).filter(entry => !entry.name.endsWith('/') &&
+        !entry.name.startsWith('__MACOSX/') &&
+        !entry.name.split('/').pop().startsWith('.'));
+
+    const totalBytes = files.reduce((sum, entry) => sum + entry.size, 0);
+    if (totalBytes > maxTotalBytes) {
+        throw createZipError(`uncompressed contents (${totalBytes} bytes) exceed the ${maxTotalBytes} byte limit`);
+    }
+
+    return files.map(entry => {
+        if (entry.flags & 0x1) throw createZipError(`${entry.name} is encrypted`);
+        return { name: entry.name, content: readEntryData(buffer, entry).toString('utf8') };
+    });
+}
+
+module.exports = {
+    isZip,
+    readZip
+};
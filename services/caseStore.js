@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { getCollection } = require('./store/jsonFileStore');
+
+// A case is one analyzed call: the transcript, what the model produced, what
+// the reviewer approved, and the CRM record that came out of it.
+const cases = () => getCollection('cases');
+
+function getEffectiveAnalysis(caseRecord) {
+    return caseRecord.reviewedAnalysis || caseRecord.aiAnalysis || null;
+}
+
+function createCase({ transcription, turns, scenarioId, schemaId, source = 'manual', aiAnalysis, provider, promptVersion, redaction, grounding, sentimentTimeline, scorecard, review, language, status = 'analyzed', call }) {
+    return cases().insert({
+        status,
+        source,
+        call: call || null,
+        scenarioId: scenarioId || null,
+        schemaId: schemaId || null,
+        transcription,
+        turns: turns || null,
+        aiAnalysis,
+        provider: provider || null,
+        promptVersion: promptVersion || null,
+        redaction: redaction || null,
+        grounding: grounding || null,
+        sentimentTimeline: sentimentTimeline || null,
+        scorecard: scorecard || null,
+        review: review || null,
+        language: language || null,
+        reviewedAnalysis: null,
+        crmRecord: null,
+        finalizedAt: null
+    });
+}
+
+function finalizeCase(caseId, { reviewedAnalysis, crmRecord, reviewer }) {
+    return cases().update(caseId, {
+        status: 'finalized',
+        reviewedAnalysis,
+        reviewer: reviewer || null,
+        crmRecord,
+        finalizedAt: new Date().toISOString()
+    });
+}
+
+function getCase(caseId) {
+    return cases().get(caseId);
+}
+
+function updateCase(caseId, patch) {
+    return cases().update(caseId, patch);
+}
+
+function matchesFilters(caseRecord, filters) {
+    const analysis = getEffectiveAnalysis(caseRecord) || {};
+    const createdAt = new Date(caseRecord.createdAt);
+
+    if (filters.sentiment && analysis.sentiment !== filters.sentiment) return false;
+    if (filters.escalationRisk && analysis.escalationRisk !== filters.escalationRisk) return false;
+    if (filters.intent && !String(analysis.primaryIntent || '').toLowerCase().includes(filters.intent.toLowerCase())) return false;
+    if (filters.status && caseRecord.status !== filters.status) return false;
+    if (filters.source && caseRecord.source !== filters.source) return false;
+    if (filters.from && createdAt < new Date(filters.from)) return false;
+    if (filters.to && createdAt > endOfDayIfDateOnly(filters.to)) return false;
+    return true;
+}
+
+// "to=2024-03-15" should include the whole day, not stop at midnight
+function endOfDayIfDateOnly(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T23:59:59.999Z`) : new Date(value);
+}
+
+function listCases(filters = {}) {
+    return cases()
+        .list(caseRecord => matchesFilters(caseRecord, filters))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Analyzing a call again (a re-run, a second upload, a retried batch item)
+// creates another case. Figures about calls count each call once, keyed by the
+// ACS call id or else the transcript; the finalized case wins, then the newest.
+function getCallKey(caseRecord) {
+    if (caseRecord.call?.callId) return `call:${caseRecord.call.callId}`;
+    if (caseRecord.transcription) {
+        return `transcript:${crypto.createHash('sha256').update(caseRecord.transcription).digest('hex')}`;
+    }
+    return `case:${caseRecord.id}`;
+}
+
+function isPreferredCase(candidate, current) {
+    const candidateFinal = candidate.status === 'finalized';
+    if (candidateFinal !== (current.status === 'finalized')) return candidateFinal;
+    return candidate.createdAt > current.createdAt;
+}
+
+// Keeps the order of `caseRecords`
+function dedupeByCall(caseRecords) {
+    const chosen = new Map();
+    caseRecords.forEach(caseRecord => {
+        const key = getCallKey(caseRecord);
+        const current = chosen.get(key);
+        if (!current || isPreferredCase(caseRecord, current)) chosen.set(key, caseRecord);
+    });
+    return caseRecords.filter(caseRecord => chosen.get(getCallKey(caseRecord)) === caseRecord);
+}
+
+function summarizeCase(caseRecord) {
+    const analysis = getEffectiveAnalysis(caseRecord) || {};
+    return {
+        id: caseRecord.id,
+        status: caseRecord.status,
+        source: caseRecord.source,
+        scenarioId: caseRecord.scenarioId,
+        schemaId: caseRecord.schemaId,
+        createdAt: caseRecord.createdAt,
+        finalizedAt: caseRecord.finalizedAt,
+        reviewer: caseRecord.reviewer || null,
+        sentiment: analysis.sentiment,
+        escalationRisk: analysis.escalationRisk,
+        primaryIntent: analysis.primaryIntent,
+        summary: analysis.summary,
+        language: caseRecord.language?.code || null,
+        agentName: caseRecord.scorecard?.agentName || null,
+        qaScore: caseRecord.scorecard?.score ?? null,
+        crmCaseId: caseRecord.crmRecord?.caseId || null
+    };
+}
+
+module.exports = {
+    createCase,
+    finalizeCase,
+    getCase,
+    updateCase,
+    listCases,
+    summarizeCase,
+    getEffectiveAnalysis,
+    endOfDayIfDateOnly,
+    getCallKey,
+    dedupeByCall
+};
@@ -0,0 +1,156 @@
+const caseStore = require('./caseStore');
+const { analyzeTranscription, PROMPT_VERSION } = require('./analysis');
+const { getLLMProvider } = require('./llm');
+const { createCrmCase } = require('./crm');
+const { normalizeTranscript } = require('./transcriptFormats');
+const { registerJobHandler } = require('./jobs/queue');
+const { getAnalysisSchema } = require('./analysisSchemas');
+const { recordReview } = require('./reviewLog');
+const { trackCommitments } = require('./commitments');
+const { assertValid } = require('./validation');
+const { resolveCustomerTier } = require('./routing');
+const scenarios = require('../data/scenarios.json');
+
+const ANALYZE_REQUEST_SCHEMA = {
+    type: 'object',
+    properties: {
+        transcription: { type: 'string', minLength: 1, pattern: '\\S' },
+        scenarioId: { type: ['string', 'null'] },
+        schemaId: { type: ['string', 'null'] },
+        format: { type: ['string', 'null'] },
+        source: { type: ['string', 'null'] },
+        turns: { type: ['array', 'null'] }
+    },
+    required: ['transcription']
+};
+
+// Both checks run again inside analyzeTranscript/finalizeAnalysis, so jobs
+// submitted straight to /api/jobs get them too; routes call them first to
+// answer with a 400 before anything is queued.
+function validateAnalyzeRequest(input) {
+    assertValid(input || {}, ANALYZE_REQUEST_SCHEMA, { code: 'INVALID_REQUEST', message: 'Invalid analysis request' });
+}
+
+// Checks the analysis against the schema it will be finalized with
+// (reviewedSchema: evidence optional, intent and summary non-empty) and the
+// customer tier against the routing configuration
+function validateFinalizeRequest({ analysis, scenarioId, schemaId, caseId, customerTier }) {
+    const existing = caseId ? caseStore.getCase(caseId) : null;
+    const schema = getAnalysisSchema(schemaId || existing?.schemaId || resolveSchemaId(null, scenarioId));
+    assertValid(analysis, schema.reviewedSchema, { code: 'INVALID_ANALYSIS', message: 'Analysis does not match the schema', path: 'analysis' });
+    resolveCustomerTier(customerTier, analysis);
+    return { existing, schema };
+}
+
+// The two steps every entry point (HTTP routes, background jobs) goes through:
+// analyze a transcript into a stored case, and push an approved analysis to the CRM.
+// onProgress/onField let streaming callers follow along stage by stage and
+// field by field. `turns` are the timed turns of a transcribed recording.
+async function analyzeTranscript({ transcription, scenarioId, schemaId, format, source, turns }, { onProgress, onField, signal } = {}) {
+    validateAnalyzeRequest({ transcription, scenarioId, schemaId, format, source, turns });
+    const report = stage => onProgress && onProgress(stage);
+    const schema = getAnalysisSchema(resolveSchemaId(schemaId, scenarioId));
+
+    // Free-form input arrives with a format (or "auto") and is normalized
+    // to Agent/Customer turns first; scenario transcripts already are.
+    report('normalizing');
+    const normalizedTranscription = format
+        ? normalizeTranscript(transcription, { format }).transcription
+        : transcription;
+
+    report('analyzing');
+    const { analysis, transcription: storedTranscription, turns: storedTurns, redaction, grounding, sentimentTimeline, scorecard, review, language } = await analyzeTranscription(normalizedTranscription, {
+        schemaId: schema.id,
+        turns,
+        onField,
+        signal
+    });
+    report('saving');
+    const provider = getLLMProvider();
+    const storedCase = caseStore.createCase({
+        transcription: storedTranscription,
+        turns: storedTurns,
+        scenarioId,
+        schemaId: schema.id,
+        source,
+        aiAnalysis: analysis,
+        provider: { name: provider.name, model: provider.model },
+        promptVersion: PROMPT_VERSION,
+        redaction,
+        grounding,
+        sentimentTimeline,
+        scorecard,
+        review,
+        language
+    });
+
+    return {
+        caseId: storedCase.id,
+        transcription: storedTranscription,
+        turns: storedTurns,
+        schemaId: schema.id,
+        analysis,
+        provider: { name: provider.name, model: provider.model },
+        redaction,
+        grounding,
+        sentimentTimeline,
+        scorecard,
+        review,
+        language
+    };
+}
+
+// Reviews of cases the model analyzed here are logged field by field
+// (services/reviewLog.js) once the CRM has accepted them. The SLA clock
+// starts at the time of the call, and the reviewed commitments are tracked
+// from then on with due dates resolved against it.
+async function finalizeAnalysis({ analysis, scenarioId, schemaId, caseId, reviewer, customerTier }, { reference } = {}) {
+    const { existing, schema } = validateFinalizeRequest({ analysis, scenarioId, schemaId, caseId, customerTier });
+    const crmRecord = await createCrmCase(analysis, scenarioId, {
+        schema,
+        customerTier,
+        openedAt: existing ? existing.call?.eventTime || existing.createdAt : undefined,
+        caseId: existing?.id,
+        reference
+    });
+    const storedCase = recordFinalizedCase(existing, { analysis, scenarioId, schemaId: schema.id, crmRecord, reviewer });
+    const review = existing?.aiAnalysis
+        ? recordReview({ caseRecord: existing, reviewedAnalysis: analysis, reviewer })
+        : null;
+    const commitments = trackCommitments({
+        caseId: storedCase.id,
+        crmCaseId: crmRecord.caseId,
+        commitments: analysis.commitments,
+        callTime: storedCase.call?.eventTime || storedCase.createdAt,
+        timeZone: crmRecord.sla?.timeZone
+    });
+    return { caseId: storedCase.id, crmRecord, edits: review ? review.edits : [], commitments };
+}
+
+// An explicit schemaId wins, then the scenario's, then DEFAULT_ANALYSIS_SCHEMA
+function resolveSchemaId(schemaId, scenarioId) {
+    if (schemaId) return schemaId;
+    const scenario = scenarioId ? scenarios.find(s => s.id === scenarioId) : null;
+    return scenario?.schemaId;
+}
+
+function recordFinalizedCase(existing, { analysis, scenarioId, schemaId, crmRecord, reviewer }) {
+    if (existing) {
+        return caseStore.finalizeCase(existing.id, { reviewedAnalysis: analysis, crmRecord, reviewer });
+    }
+
+    // API clients may finalize an analysis they produced elsewhere
+    const created = caseStore.createCase({ transcription: null, scenarioId, schemaId, source: 'api', aiAnalysis: null });
+    return caseStore.finalizeCase(created.id, { reviewedAnalysis: analysis, crmRecord, reviewer });
+}
+
+registerJobHandler('analysis', payload => analyzeTranscript(payload));
+// The job id stays the same across retries, so it is the CRM create reference
+registerJobHandler('crm-finalize', (payload, { jobId }) => finalizeAnalysis(payload, { reference: `finalize-${jobId}` }));
+
+module.exports = {
+    analyzeTranscript,
+    finalizeAnalysis,
+    validateAnalyzeRequest,
+    validateFinalizeRequest
+};
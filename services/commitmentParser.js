@@ -0,0 +1,314 @@
+const { getZonedParts, fromZonedTime } = require('./sla');
+
+// Turns a commitment sentence ("our billing specialist will call you tomorrow
+// between 1-3 PM") into { type, owner, amount, due }. Dates are resolved
+// relative to the call time on the wall clock of `timeZone` (the case's SLA
+// calendar; the server's zone if none is given), since the transcript does
+// not say where the customer is. Like the rule-based analysis, the cues cover
+// English, Spanish, French and German.
+//
+// A time of day without a day ("at 4 PM", "at noon", "between 9 and 11")
+// that has already passed when the call ends means the next day; a weekday
+// ("by Friday") means its next occurrence after the call day. "The end of the
+// week" is Friday (the next one when called at the weekend), "the end of the
+// month" its last day, and a day of the month ("on the 15th", "el día 15",
+// "le 15", "am 15.") next month once it has passed this month.
+// due is { start, end, expression } or null. `end` is the deadline; `start` is
+// set when the agent promised a window ("between 1-3 PM", "tomorrow
+// afternoon") rather than a deadline ("by tomorrow afternoon"). A sentence
+// holding several promises gets the latest deadline, since it is only kept
+// once every part of it is.
+
+// \b only knows ASCII letters, so "llamará" or "équipe" need explicit edges
+function cues(source) {
+    return new RegExp(`(?<![\\p{L}\\d])(?:${source})(?![\\p{L}\\d])`, 'iu');
+}
+
+const TYPE_RULES = [
+    { type: 'callback', pattern: cues("call you|callback|call back|llamar\\p{L}*|rappel\\p{L}*|zurückruf\\p{L}*|Rückruf") },
+    { type: 'credit', pattern: cues('credit|refund|crédito|reembolso|avoir|remboursement|Gutschrift|Erstattung') },
+    { type: 'booking', pattern: cues('rebook|book you|reservar|réinscrire|réserver|umbuchen') },
+    { type: 'replacement', pattern: cues('replacement|send out a new|reemplazo|sustitución|remplacement|Ersatz') },
+    { type: 'repair', pattern: cues('warranty repair|repair (?:it|your)|reparación|réparation|Reparatur') },
+    { type: 'escalation', pattern: cues('escalat\\p{L}*|priority handling|escalar|transmettre|weiterleiten|eskalieren') },
+    { type: 'account', pattern: cues('unlock|reset|desbloquear|débloquer|entsperren') },
+    { type: 'compensation', pattern: cues('voucher|compensation|compensación|indemnisation|Entschädigung|Gutschein') },
+    { type: 'appointment', pattern: cues('schedule|onboarding|cita|rendez-vous|Termin') },
+    { type: 'email', pattern: cues('e-?mail|correo|link\\p{L}*|tracking|confirmation|label|etiqueta|étiquette|Etikett') },
+    { type: 'delivery', pattern: cues('receive|deliver\\p{L}*|recibir\\p{L}*|recevr\\p{L}*|livr\\p{L}*|erhalten|Lieferung') }
+];
+
+const OWNER_PATTERN = cues("(?:(?:our|the|el|la|nuestro|nuestra|notre|unser|unsere|unserem)\\s+|l')((?:[\\p{L}-]+\\s+)?(?:specialist|team|department|especialista|equipo|departamento|spécialiste|équipe|service|Spezialist|Team|Abteilung))");
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+const CURRENCY_WORDS = [
+    { pattern: /^(euros?|euro)$/i, currency: 'EUR' },
+    { pattern: /^(dollars?|dólares)$/i, currency: 'USD' },
+    { pattern: /^(pounds?|libras?)$/i, currency: 'GBP' }
+];
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, couple: 2, few: 10,
+    par: 2, paar: 2,
+    un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10,
+    une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, sept: 7, huit: 8, neuf: 9, dix: 10,
+    ein: 1, eine: 1, einem: 1, einer: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, sechs: 6, sieben: 7, acht: 8, neun: 9, zehn: 10
+};
+
+const DURATION_PATTERN = cues("(?:within|in|over|en|d'ici|sous|dans|innerhalb(?:\\s+von)?)\\s+(?:the\\s+next\\s+|the\\s+|about\\s+|los\\s+próximos\\s+|las\\s+próximas\\s+|les\\s+|den\\s+nächsten\\s+)?(?:a\\s+|un\\s+|ein\\s+)?(\\d+|\\p{L}+)\\s+(?:of\\s+|de\\s+)?(business\\s+days?|working\\s+days?|días\\s+hábiles|jours\\s+ouvr\\p{L}+|Werktage\\p{L}*|minut\\p{L}*|mins?|hours?|horas?|heures?|Stunden?|days?|días?|jours?|Tage\\p{L}*|weeks?|semanas?|semaines?|Wochen?)");
+const WITHIN_THE_HOUR_PATTERN = cues("within the hour|en la próxima hora|dans l'heure|innerhalb der nächsten Stunde");
+const SHORTLY_PATTERN = cues('shortly|(?<!as )soon|en breve|sous peu|in Kürze|bald');
+const RIGHT_NOW_PATTERN = cues('right now|immediately|right away|ahora mismo|de inmediato|tout de suite|immédiatement|sofort');
+const SHORTLY_MINUTES = 60;
+const RIGHT_NOW_MINUTES = 15;
+
+// "mañana" alone is tomorrow, "por la mañana" is the morning
+const TOMORROW_PATTERN = cues('tomorrow|demain|morgen|(?<!por la )mañana');
+const TODAY_PATTERN = cues("today|tonight|this (?:morning|afternoon|evening)|hoy|esta (?:tarde|noche)|aujourd'hui|ce (?:matin|soir)|cet après-midi|heute");
+// Sunday first, matching Date#getUTCDay
+const WEEKDAY_NAMES = [
+    'sunday|domingo|dimanche|Sonntag',
+    'monday|lunes|lundi|Montag',
+    'tuesday|martes|mardi|Dienstag',
+    'wednesday|miércoles|mercredi|Mittwoch',
+    'thursday|jueves|jeudi|Donnerstag',
+    'friday|viernes|vendredi|Freitag',
+    'saturday|sábado|samedi|Samstag'
+];
+const WEEKDAY_PATTERNS = WEEKDAY_NAMES.map(names => cues(names));
+const FRIDAY = 5;
+const END_OF_WEEK_PATTERN = cues('(?:the\\s+)?end\\s+of\\s+(?:the|this)\\s+week|(?:el\\s+)?final\\s+de\\s+(?:la|esta)\\s+semana|(?:la\\s+)?fin\\s+de\\s+(?:la|cette)\\s+semaine|Ende\\s+(?:der|dieser)\\s+Woche');
+const END_OF_MONTH_PATTERN = cues('(?:the\\s+)?end\\s+of\\s+(?:the|this)\\s+month|(?:el\\s+)?(?:fin|final)\\s+de(?:l|\\s+este)?\\s+mes|(?:la\\s+)?fin\\s+(?:du|de\\s+ce)\\s+mois|Ende\\s+(?:des|dieses)\\s+Monats|Monatsende');
+const DAY_OF_MONTH_PATTERN = cues('(?:on\\s+|by\\s+|before\\s+|until\\s+)?the\\s+(\\d{1,2})(?:st|nd|rd|th)|el\\s+día\\s+(\\d{1,2})|le\\s+(\\d{1,2})(?:er)?(?!\\s*(?:h\\b|heures?|€|euros?|%|jours?|minutes?))|am\\s+(\\d{1,2})\\.');
+const DEADLINE_PATTERN = cues(`(?:by|before|no later than|antes de|avant|bis)\\s+(?:the\\s+end\\s+of\\s+)?(?:the\\s+)?(?:el\\s+|le\\s+|zum\\s+)?(?:tomorrow|today|tonight|mañana|hoy|demain|aujourd'hui|ce soir|morgen|heute|\\d+|${WEEKDAY_NAMES.join('|')})`);
+const PARTS_OF_DAY = [
+    { pattern: cues('morning|por la mañana|matin|Vormittag|morgen früh'), start: 8, end: 12 },
+    { pattern: cues('afternoon|tarde|après-midi|Nachmittag'), start: 12, end: 17 },
+    { pattern: cues('evening|tonight|noche|soir|Abend'), start: 17, end: 21 }
+];
+const TIME_RANGE_PATTERN = cues('(?:between|entre(?:\\s+las)?|zwischen)\\s+(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|h)?\\s*(?:-|–|and|y(?:\\s+las)?|et|und)\\s*(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.|h|horas|heures|Uhr)?');
+// "après-midi" and "Nachmittag" are parts of the day, not noon
+const NAMED_TIMES = [
+    { pattern: cues('noon|midday|mediodía|(?<!après-)midi|Mittag'), hours: 12 },
+    { pattern: cues('midnight|medianoche|minuit|Mitternacht'), hours: 24 }
+];
+const CLOCK_TIME_PATTERN = cues('(?:at|by|before|a las|antes de las|à|avant|um|bis)\\s+(\\d{1,2})(?:(?::|h)(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.|h|horas|heures|Uhr)?');
+
+function toNumber(word) {
+    return /^\d+$/.test(word) ? Number(word) : NUMBER_WORDS[word.toLowerCase()] ?? null;
+}
+
+function addMinutes(date, minutes) {
+    return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+// Calendar days are counted on { year, month, day } dates in the time zone
+function toLocalDate(instant, timeZone) {
+    const { year, month, day } = getZonedParts(instant.getTime(), timeZone);
+    return { year, month, day };
+}
+
+function shiftDate({ year, month, day }, days) {
+    const shifted = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+function getWeekday({ year, month, day }) {
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function getDaysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.UTC(to.year, to.month - 1, to.day) - Date.UTC(from.year, from.month - 1, from.day)) / (24 * 60 * 60 * 1000));
+}
+
+// The named day this month, or next month once it has passed; months too
+// short for it use their last day
+function findDayOfMonth(dayOfMonth, today) {
+    if (dayOfMonth < 1 || dayOfMonth > 31) return null;
+    let { year, month } = today;
+    if (dayOfMonth < today.day) {
+        month = month === 12 ? 1 : month + 1;
+        if (month === 1) year++;
+    }
+    return { year, month, day: Math.min(dayOfMonth, getDaysInMonth(year, month)) };
+}
+
+function atTime(date, hours, minutes, timeZone) {
+    return fromZonedTime(date, hours * 60 + minutes, timeZone);
+}
+
+// Same wall-clock time `days` calendar (or business) days later
+function addDays(instant, days, timeZone, { businessDays = false } = {}) {
+    const local = getZonedParts(instant.getTime(), timeZone);
+    let date = { year: local.year, month: local.month, day: local.day };
+    let remaining = days;
+    while (remaining > 0) {
+        date = shiftDate(date, 1);
+        if (!businessDays || (getWeekday(date) !== 0 && getWeekday(date) !== 6)) remaining--;
+    }
+    return atTime(date, local.hour, local.minute + local.second / 60, timeZone);
+}
+
+function addDuration(callTime, amount, unit, timeZone) {
+    const normalized = unit.toLowerCase();
+    if (/business|working|hábil|ouvr|werktag/.test(normalized)) return addDays(callTime, amount, timeZone, { businessDays: true });
+    if (/^min/.test(normalized)) return addMinutes(callTime, amount);
+    if (/^(hour|hora|heure|stunde)/.test(normalized)) return addMinutes(callTime, amount * 60);
+    if (/^(week|semana|semaine|woche)/.test(normalized)) return addDays(callTime, amount * 7, timeZone);
+    return addDays(callTime, amount, timeZone);
+}
+
+// 12-hour clock when the sentence says am/pm or "afternoon"; 24-hour otherwise
+function toHours(hours, meridiem, partOfDay) {
+    const suffix = (meridiem || '').toLowerCase().replace(/\./g, '');
+    if (suffix === 'pm' && hours < 12) return hours + 12;
+    if (suffix === 'am' && hours === 12) return 0;
+    if (!suffix && partOfDay && partOfDay.start >= 12 && hours < 12) return hours + 12;
+    return hours;
+}
+
+function findRelativeDue(text, callTime, timeZone) {
+    const candidates = [];
+    const duration = text.match(DURATION_PATTERN);
+    const amount = duration && toNumber(duration[1]);
+    if (amount) {
+        candidates.push({ start: null, end: addDuration(callTime, amount, duration[2], timeZone), expression: duration[0] });
+    }
+    const withinTheHour = text.match(WITHIN_THE_HOUR_PATTERN);
+    if (withinTheHour) candidates.push({ start: null, end: addMinutes(callTime, 60), expression: withinTheHour[0] });
+    const shortly = text.match(SHORTLY_PATTERN);
+    if (shortly) candidates.push({ start: null, end: addMinutes(callTime, SHORTLY_MINUTES), expression: shortly[0] });
+    const rightNow = text.match(RIGHT_NOW_PATTERN);
+    if (rightNow) candidates.push({ start: null, end: addMinutes(callTime, RIGHT_NOW_MINUTES), expression: rightNow[0] });
+    return candidates;
+}
+
+// Days from the call day to the day the sentence names, or null
+function findDayOffset(text, today) {
+    const tomorrow = text.match(TOMORROW_PATTERN);
+    if (tomorrow) return { offset: 1, match: tomorrow };
+    const sameDay = text.match(TODAY_PATTERN);
+    if (sameDay) return { offset: 0, match: sameDay };
+    const dayOfMonth = text.match(DAY_OF_MONTH_PATTERN);
+    const date = dayOfMonth && findDayOfMonth(Number(dayOfMonth.slice(1).find(Boolean)), today);
+    if (date) return { offset: daysBetween(today, date), match: dayOfMonth };
+    const endOfMonth = text.match(END_OF_MONTH_PATTERN);
+    if (endOfMonth) return { offset: getDaysInMonth(today.year, today.month) - today.day, match: endOfMonth };
+    const endOfWeek = text.match(END_OF_WEEK_PATTERN);
+    if (endOfWeek) return { offset: (FRIDAY - getWeekday(today) + 7) % 7, match: endOfWeek };
+    for (let weekday = 0; weekday < WEEKDAY_PATTERNS.length; weekday++) {
+        const named = text.match(WEEKDAY_PATTERNS[weekday]);
+        // "Friday" said on a Friday is next week's
+        if (named) return { offset: (weekday - getWeekday(today) + 7) % 7 || 7, match: named };
+    }
+    return null;
+}
+
+function findNamedTime(text) {
+    for (const { pattern, hours } of NAMED_TIMES) {
+        const match = text.match(pattern);
+        if (match) return { hours, match };
+    }
+    return null;
+}
+
+// "tomorrow between 1-3 PM", "ce soir à 19h40", "by tomorrow afternoon",
+// "heute", "by Friday", "at noon tomorrow", "by the end of the week", "on the 15th"
+function findCalendarDue(text, callTime, timeZone) {
+    const today = toLocalDate(callTime, timeZone);
+    const named = findDayOffset(text, today);
+    const dayMatch = named?.match;
+    const range = text.match(TIME_RANGE_PATTERN);
+    const clock = range ? null : text.match(CLOCK_TIME_PATTERN);
+    const namedTime = range || clock ? null : findNamedTime(text);
+    const partOfDay = PARTS_OF_DAY.find(part => part.pattern.test(text));
+    if (!dayMatch && !range && !clock && !namedTime) return null;
+
+    const resolveOnDay = offset => resolveCalendarDue({ text, day: shiftDate(today, offset), dayMatch, range, clock, namedTime, partOfDay, timeZone });
+    const due = resolveOnDay(named ? named.offset : 0);
+    // "at 9" said at noon is tomorrow at 9
+    return named || due.end > callTime ? due : resolveOnDay(1);
+}
+
+function resolveCalendarDue({ text, day, dayMatch, range, clock, namedTime, partOfDay, timeZone }) {
+    const expression = [dayMatch?.[0], range?.[0] || clock?.[0] || namedTime?.match[0] || (partOfDay && text.match(partOfDay.pattern)[0])]
+        .filter(Boolean)
+        .filter((part, index, parts) => parts.indexOf(part) === index)
+        .join(' ');
+
+    if (range) {
+        const meridiem = range[6] || range[3];
+        return {
+            start: atTime(day, toHours(Number(range[1]), range[3] || meridiem, partOfDay), Number(range[2] || 0), timeZone),
+            end: atTime(day, toHours(Number(range[4]), meridiem, partOfDay), Number(range[5] || 0), timeZone),
+            expression
+        };
+    }
+    if (clock) {
+        const time = atTime(day, toHours(Number(clock[1]), clock[3], partOfDay), Number(clock[2] || 0), timeZone);
+        return { start: null, end: time, expression };
+    }
+    // Midnight is the end of the day, so hour 24
+    if (namedTime) {
+        return { start: null, end: atTime(day, namedTime.hours, 0, timeZone), expression };
+    }
+    const deadline = DEADLINE_PATTERN.test(text);
+    if (partOfDay) {
+        return {
+            start: deadline ? null : atTime(day, partOfDay.start, 0, timeZone),
+            end: atTime(day, partOfDay.end, 0, timeZone),
+            expression
+        };
+    }
+    return { start: null, end: atTime(day, 23, 59, timeZone), expression };
+}
+
+function parseDue(text, callTime, timeZone) {
+    const candidates = findRelativeDue(text, callTime, timeZone);
+    const calendar = findCalendarDue(text, callTime, timeZone);
+    if (calendar) candidates.push(calendar);
+    if (!candidates.length) return null;
+
+    const latest = candidates.sort((a, b) => b.end - a.end)[0];
+    return {
+        start: latest.start ? latest.start.toISOString() : null,
+        end: latest.end.toISOString(),
+        expression: latest.expression
+    };
+}
+
+function parseAmount(text) {
+    const symbolFirst = text.match(/([$€£])\s?(\d[\d,]*(?:\.\d{1,2})?)/);
+    if (symbolFirst) {
+        return { value: Number(symbolFirst[2].replace(/,/g, '')), currency: CURRENCY_SYMBOLS[symbolFirst[1]] };
+    }
+    for (const [, value, word] of text.matchAll(/(\d[\d.,]*)\s?(€|\p{L}+)/gu)) {
+        const currency = word === '€' ? 'EUR' : CURRENCY_WORDS.find(entry => entry.pattern.test(word))?.currency;
+        if (currency) return { value: Number(value.replace(/,(?=\d{3}\b)/g, '').replace(',', '.')), currency };
+    }
+    return null;
+}
+
+function parseOwner(text) {
+    const named = text.match(OWNER_PATTERN);
+    return named ? named[1].toLowerCase() : 'agent';
+}
+
+function parseCommitment(text, { callTime = new Date(), timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone } = {}) {
+    const sentence = String(text);
+    return {
+        text: sentence,
+        type: TYPE_RULES.find(rule => rule.pattern.test(sentence))?.type || 'other',
+        owner: parseOwner(sentence),
+        amount: parseAmount(sentence),
+        due: parseDue(sentence, new Date(callTime), timeZone)
+    };
+}
+
+module.exports = {
+    parseCommitment
+};
@@ -0,0 +1,205 @@
+const { getCollection } = require('./store/jsonFileStore');
+const { parseCommitment } = require('./commitmentParser');
+const { getSlaConfig } = require('./sla');
+const { sendReminderEmail } = require('./email');
+
+// Promises the agent made on a call, tracked once the case is finalized. Each
+// reviewed commitment is parsed (services/commitmentParser.js) and stored in
+// the "commitments" collection with a reminder scheduled
+// COMMITMENT_REMINDER_LEAD_MINUTES before it is due (before the window opens
+// for callbacks with a time window). Due dates are resolved in the time zone
+// of the case's SLA calendar. The scheduler started by server.js checks every
+// COMMITMENT_CHECK_INTERVAL_MS, emails due reminders through the mail
+// transport (services/email) and flags open commitments past their deadline
+// as overdue. A reminder that cannot be sent is tried again on the next
+// checks, then marked failed (GET /api/commitments?reminder=failed).
+//
+// Statuses: open -> overdue, and open/overdue -> fulfilled or cancelled.
+// Commitments without a date are listed but never become overdue.
+const DEFAULT_REMINDER_LEAD_MINUTES = 30;
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_REMINDER_ATTEMPTS = 3;
+const RESOLUTION_STATUSES = ['fulfilled', 'cancelled'];
+
+const commitments = () => getCollection('commitments');
+
+let schedulerTimer = null;
+let checking = false;
+
+function getReminderLeadMinutes() {
+    const configured = Number(process.env.COMMITMENT_REMINDER_LEAD_MINUTES);
+    return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_REMINDER_LEAD_MINUTES;
+}
+
+// Never before the call itself: a promise due in five minutes is reminded about right away
+function getReminderTime(due, callTime) {
+    if (!due) return null;
+    const anchor = new Date(due.start || due.end).getTime();
+    return new Date(Math.max(new Date(callTime).getTime(), anchor - getReminderLeadMinutes() * 60 * 1000)).toISOString();
+}
+
+function getDefaultTimeZone() {
+    const { calendars, defaultCalendar } = getSlaConfig();
+    return calendars[defaultCalendar].timeZone;
+}
+
+function createCommitment({ caseId, crmCaseId, index, text, callTime, timeZone }) {
+    const parsed = parseCommitment(text, { callTime, timeZone });
+    const remindAt = getReminderTime(parsed.due, callTime);
+    return {
+        caseId,
+        crmCaseId: crmCaseId || null,
+        index,
+        ...parsed,
+        callTime: new Date(callTime).toISOString(),
+        timeZone,
+        dueAt: parsed.due?.end || null,
+        status: 'open',
+        reminder: remindAt ? { status: 'scheduled', remindAt, sentAt: null, attempts: 0, lastError: null } : null,
+        overdueAt: null,
+        resolvedAt: null,
+        resolvedBy: null
+    };
+}
+
+// Re-finalizing a case keeps what was already tracked for commitments that
+// are still there (status, sent reminders) and drops the ones the reviewer removed
+function trackCommitments({ caseId, crmCaseId, commitments: texts = [], callTime = new Date(), timeZone = getDefaultTimeZone() }) {
+    const existing = commitments().list(commitment => commitment.caseId === caseId);
+    existing
+        .filter(commitment => !texts.includes(commitment.text))
+        .forEach(commitment => commitments().remove(commitment.id));
+
+    return texts.map((text, index) => {
+        const tracked = existing.find(commitment => commitment.text === text);
+        return tracked
+            ? commitments().update(tracked.id, { index, crmCaseId: crmCaseId || tracked.crmCaseId })
+            : commitments().insert(createCommitment({ caseId, crmCaseId, index, text, callTime, timeZone }));
+    });
+}
+
+function byDueDate(a, b) {
+    if (a.dueAt && b.dueAt) return a.dueAt.localeCompare(b.dueAt);
+    if (a.dueAt || b.dueAt) return a.dueAt ? -1 : 1;
+    return a.createdAt.localeCompare(b.createdAt) || a.index - b.index;
+}
+
+function listCommitments({ caseId, status, reminder, type, owner, dueBefore } = {}) {
+    const dueLimit = dueBefore ? new Date(dueBefore).toISOString() : null;
+    return commitments()
+        .list(commitment => (!caseId || commitment.caseId === caseId) &&
+            (!status || commitment.status === status) &&
+            (!reminder || commitment.reminder?.status === reminder) &&
+            (!type || commitment.type === type) &&
+            (!owner || commitment.owner === owner) &&
+            (!dueLimit || (commitment.dueAt && commitment.dueAt <= dueLimit)))
+        .sort(byDueDate);
+}
+
+function getCommitment(id) {
+    return commitments().get(id);
+}
+
+function resolveCommitment(id, { status, resolvedBy } = {}) {
+    const commitment = commitments().get(id);
+    if (!commitment) return null;
+    if (!RESOLUTION_STATUSES.includes(status)) {
+        const err = new Error(`Commitments can be marked ${RESOLUTION_STATUSES.join(' or ')}, not '${status}'`);
+        err.code = 'INVALID_COMMITMENT_STATUS';
+        throw err;
+    }
+    if (RESOLUTION_STATUSES.includes(commitment.status)) {
+        const err = new Error(`Commitment is already ${commitment.status}`);
+        err.code = 'COMMITMENT_ALREADY_RESOLVED';
+        throw err;
+    }
+
+    return commitments().update(id, {
+        status,
+        resolvedAt: new Date().toISOString(),
+        resolvedBy: resolvedBy || null,
+        reminder: commitment.reminder?.status === 'scheduled' ? { ...commitment.reminder, status: 'cancelled' } : commitment.reminder
+    });
+}
+
+function formatDue(commitment) {
+    if (!commitment.dueAt) return 'no date';
+    return new Date(commitment.dueAt).toLocaleString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short', timeZone: commitment.timeZone || undefined
+    });
+}
+
+async function sendReminder(commitment, nowIso) {
+    const caseLabel = commitment.crmCaseId || commitment.caseId;
+    const attempts = (commitment.reminder.attempts || 0) + 1;
+    try {
+        const email = await sendReminderEmail({
+            caseId: commitment.caseId,
+            subject: `Reminder: commitment on case ${caseLabel} due ${formatDue(commitment)}`,
+            text: [
+                `Case ${caseLabel} has a commitment due ${formatDue(commitment)}.`,
+                `"${commitment.text}"`,
+                `Owner: ${commitment.owner}. Type: ${commitment.type}.`
+            ].join('\n\n')
+        });
+        return commitments().update(commitment.id, {
+            reminder: { ...commitment.reminder, status: 'sent', sentAt: nowIso, attempts, lastError: null, emailId: email.id }
+        });
+    } catch (error) {
+        const status = attempts >= MAX_REMINDER_ATTEMPTS ? 'failed' : 'scheduled';
+        console.error(`Commitment reminder for case ${caseLabel} could not be sent (attempt ${attempts}): ${error.message}`);
+        return commitments().update(commitment.id, {
+            reminder: { ...commitment.reminder, status, attempts, lastError: error.message }
+        });
+    }
+}
+
+// One pass of the scheduler; returns what it did so callers can log or test it
+async function checkCommitments(now = new Date()) {
+    const nowIso = now.toISOString();
+    const reminders = [];
+    const overdue = [];
+
+    const active = commitments().list(commitment => commitment.status === 'open' || commitment.status === 'overdue');
+    for (const commitment of active) {
+        if (commitment.reminder?.status === 'scheduled' && commitment.reminder.remindAt <= nowIso) {
+            reminders.push(await sendReminder(commitment, nowIso));
+        }
+        if (commitment.status === 'open' && commitment.dueAt && commitment.dueAt <= nowIso) {
+            console.warn(`Commitment overdue (case ${commitment.crmCaseId || commitment.caseId}, due ${commitment.dueAt}): ${commitment.text}`);
+            overdue.push(commitments().update(commitment.id, { status: 'overdue', overdueAt: nowIso }));
+        }
+    }
+
+    return { reminders, overdue };
+}
+
+// A pass still sending reminders when the next one is due is not overlapped
+async function runScheduledCheck() {
+    if (checking) return;
+    checking = true;
+    try {
+        await checkCommitments();
+    } catch (error) {
+        console.error('Commitment check failed:', error.message);
+    } finally {
+        checking = false;
+    }
+}
+
+function startCommitmentScheduler() {
+    if (schedulerTimer) return;
+    const intervalMs = Number(process.env.COMMITMENT_CHECK_INTERVAL_MS) || DEFAULT_CHECK_INTERVAL_MS;
+    runScheduledCheck();
+    schedulerTimer = setInterval(runScheduledCheck, intervalMs);
+    schedulerTimer.unref();
+}
+
+module.exports = {
+    trackCommitments,
+    listCommitments,
+    getCommitment,
+    resolveCommitment,
+    checkCommitments,
+    startCommitmentScheduler
+};
@@ -0,0 +1,172 @@
+const { applyFieldMapping, loadFieldMapping } = require('./fieldMapping');
+const { createCrmError } = require('./errors');
+const { requestJson } = require('./http');
+
+const WEB_API_VERSION = 'v9.2';
+const CASE_STATES = { 0: 'Active', 1: 'Resolved', 2: 'Cancelled' };
+// Contact columns searched for each kind of identifier. Dataverse has no
+// standard column for order or booking numbers, so those only match locally.
+const CONTACT_COLUMNS = {
+    email: ['emailaddress1'],
+    phone: ['telephone1', 'mobilephone']
+};
+
+function quoteODataString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function isConfigured() {
+    return Boolean(process.env.DYNAMICS_URL && process.env.DYNAMICS_TENANT_ID &&
+        process.env.DYNAMICS_CLIENT_ID && process.env.DYNAMICS_CLIENT_SECRET);
+}
+
+// Creates Dataverse `incidents` through the Web API using an app registration
+// (client credentials flow).
+function createDynamics365Connector() {
+    const connector = 'Dynamics 365';
+    let cachedToken = null;
+
+    function getOrgUrl() {
+        return process.env.DYNAMICS_URL.replace(/\/$/, '');
+    }
+
+    function getRecordUrl(incidentId) {
+        return `${getOrgUrl()}/main.aspx?pagetype=entityrecord&etn=incident&id=${incidentId}`;
+    }
+
+    function assertConfigured() {
+        if (!isConfigured()) {
+            throw createCrmError('CRM_NOT_CONFIGURED',
+                'Dynamics 365 connector not configured. Please set DYNAMICS_URL, DYNAMICS_TENANT_ID, DYNAMICS_CLIENT_ID and DYNAMICS_CLIENT_SECRET.',
+                { connector });
+        }
+    }
+
+    async function getJson(resourcePath, accessToken) {
+        const { body } = await requestJson(`${getOrgUrl()}/api/data/${WEB_API_VERSION}/${resourcePath}`, {
+            method: 'GET',
+            headers: {
+                Authorization: `Bearer ${accessToken}`,
+                Accept: 'application/json',
+                'OData-MaxVersion': '4.0',
+                'OData-Version': '4.0'
+            }
+        }, connector);
+        return body;
+    }
+
+    async function getAccessToken() {
+        if (cachedToken && cachedToken.expiresAt > Date.now() + 60 * 1000) {
+            return cachedToken.value;
+        }
+
+        const tokenUrl = `https://login.microsoftonline.com/${process.env.DYNAMICS_TENANT_ID}/oauth2/v2.0/token`;
+        const { body } = await requestJson(tokenUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                client_id: process.env.DYNAMICS_CLIENT_ID,
+                client_secret: process.env.DYNAMICS_CLIENT_SECRET,
+                grant_type: 'client_credentials',
+                scope: `${getOrgUrl()}/.default`
+            }).toString()
+        }, `${connector} (Azure AD token)`).catch(error => {
+            // A rejected client or secret; timeouts and outages keep their own code
+            if (error.status >= 400 && error.status < 500) error.code = 'CRM_AUTH_FAILED';
+            throw error;
+        });
+
+        cachedToken = {
+            value: body.access_token,
+            expiresAt: Date.now() + (Number(body.expires_in) || 3600) * 1000
+        };
+        return cachedToken.value;
+    }
+
+    async function createCase(mappingContext) {
+        assertConfigured();
+
+        const accessToken = await getAccessToken();
+        const payload = applyFieldMapping(loadFieldMapping('dynamics365'), mappingContext);
+        if (process.env.DYNAMICS_REFERENCE_COLUMN && mappingContext.reference) {
+            payload[process.env.DYNAMICS_REFERENCE_COLUMN] = mappingContext.reference;
+        }
+
+        const { body } = await requestJson(`${getOrgUrl()}/api/data/${WEB_API_VERSION}/incidents`, {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${accessToken}`,
+                'Content-Type': 'application/json; charset=utf-8',
+                Accept: 'application/json',
+                'OData-MaxVersion': '4.0',
+                'OData-Version': '4.0',
+                Prefer: 'return=representation'
+            },
+            body: JSON.stringify(payload)
+        }, connector);
+
+        return {
+            caseId: body.ticketnumber || body.incidentid,
+            externalId: body.incidentid,
+            url: getRecordUrl(body.incidentid)
+        };
+    }
+
+    // DYNAMICS_REFERENCE_COLUMN names a custom incident column (ideally an
+    // alternate key) that stores the finalize reference, so a retried create
+    // finds the incident an earlier attempt made
+    async function findCaseByReference(reference) {
+        assertConfigured();
+
+        const accessToken = await getAccessToken();
+        const column = process.env.DYNAMICS_REFERENCE_COLUMN;
+        const filter = `${column} eq ${quoteODataString(reference)}`;
+        const [incident] = (await getJson(`incidents?$select=incidentid,ticketnumber&$filter=${encodeURIComponent(filter)}&$top=1`, accessToken)).value || [];
+        return incident
+            ? { caseId: incident.ticketnumber || incident.incidentid, externalId: incident.incidentid, url: getRecordUrl(incident.incidentid) }
+            : null;
+    }
+
+    // Finds the contacts with a matching email address or phone number, then
+    // the incidents opened for them since `since`
+    async function findRelatedCases({ identifiers, since, limit }) {
+        const searches = identifiers.flatMap(identifier => (CONTACT_COLUMNS[identifier.type] || [])
+            .map(column => ({ identifier, column })));
+        if (!searches.length) return [];
+        assertConfigured();
+
+        const accessToken = await getAccessToken();
+        const contactFilter = searches.map(({ identifier, column }) => `${column} eq ${quoteODataString(identifier.value)}`).join(' or ');
+        const contacts = (await getJson(`contacts?$select=contactid,${[...new Set(searches.map(search => search.column))].join(',')}&$filter=${encodeURIComponent(contactFilter)}`, accessToken)).value || [];
+        if (!contacts.length) return [];
+
+        const matchedOnByContact = new Map(contacts.map(contact => [contact.contactid, [...new Set(searches
+            .filter(({ identifier, column }) => contact[column] === identifier.value)
+            .map(({ identifier }) => identifier.field))]]));
+        const incidentFilter = `(${contacts.map(contact => `_customerid_value eq ${contact.contactid}`).join(' or ')}) and createdon ge ${since}`;
+        const incidents = (await getJson(`incidents?$select=incidentid,ticketnumber,title,statecode,createdon,_customerid_value&$filter=${encodeURIComponent(incidentFilter)}&$orderby=createdon%20desc&$top=${limit}`, accessToken)).value || [];
+
+        return incidents.map(incident => ({
+            caseId: incident.ticketnumber || incident.incidentid,
+            externalId: incident.incidentid,
+            title: incident.title || null,
+            status: CASE_STATES[incident.statecode] || null,
+            createdAt: incident.createdon || null,
+            url: getRecordUrl(incident.incidentid),
+            matchedOn: matchedOnByContact.get(incident._customerid_value) || []
+        }));
+    }
+
+    return {
+        name: 'dynamics365',
+        label: 'Dynamics 365',
+        createCase,
+        findRelatedCases,
+        ...(process.env.DYNAMICS_REFERENCE_COLUMN ? { findCaseByReference } : {})
+    };
+}
+
+module.exports = {
+    createDynamics365Connector,
+    isConfigured
+};
@@ -0,0 +1,23 @@
+function createCrmError(code, message, { connector, status, details } = {}) {
+    const err = new Error(message);
+    err.code = code;
+    err.connector = connector;
+    if (status !== undefined) err.status = status;
+    if (details !== undefined) err.details = details;
+    return err;
+}
+
+function isCrmError(error) {
+    return Boolean(error && typeof error.code === 'string' && error.code.startsWith('CRM_'));
+}
+
+// Failures after which the CRM may or may not have created the record
+function isAmbiguousCreateFailure(error) {
+    return ['CRM_TIMEOUT', 'CRM_UNREACHABLE'].includes(error?.code) || error?.status >= 500;
+}
+
+module.exports = {
+    createCrmError,
+    isCrmError,
+    isAmbiguousCreateFailure
+};
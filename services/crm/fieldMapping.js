@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+// Field mappings are JSON files (config/crm by default) describing how each
+// CRM field is produced from the mapping context ({ analysis, record,
+// scenarioId, schema, routing, sla, related, env }). Each entry supports:
+//   value       - a literal
+//   source      - a dotted path into the context
+//   template    - a string with {{dotted.path}} placeholders
+//   map         - lookup table applied to the resolved value
+//   default     - used when the resolved value is empty
+//   join        - separator for arrays inside templates (default ", ")
+//   omitIfEmpty - dotted path; the field is left out when it resolves empty
+const mappingCache = new Map();
+
+function getMappingDirectory() {
+    return process.env.CRM_MAPPING_DIR || path.join(__dirname, '..', '..', 'config', 'crm');
+}
+
+function loadFieldMapping(name) {
+    if (!mappingCache.has(name)) {
+        const mappingPath = path.join(getMappingDirectory(), `${name}.json`);
+        if (!fs.existsSync(mappingPath)) {
+            throw new Error(`CRM field mapping '${name}' not found at ${mappingPath}`);
+        }
+        mappingCache.set(name, JSON.parse(fs.readFileSync(mappingPath, 'utf8')));
+    }
+    return mappingCache.get(name);
+}
+
+function resolvePath(context, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+function stringifyForTemplate(value, separator) {
+    if (isEmpty(value)) return '';
+    if (Array.isArray(value)) return value.map(item => stringifyForTemplate(item, separator)).join(separator);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Fills {{dotted.path}} placeholders; arrays are joined with `separator`
+function renderTemplate(template, context, separator = ', ') {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, dottedPath) =>
+        stringifyForTemplate(resolvePath(context, dottedPath), separator));
+}
+
+function resolveField(rule, context) {
+    if (rule.omitIfEmpty && isEmpty(resolvePath(context, rule.omitIfEmpty))) {
+        return undefined;
+    }
+
+    let value;
+    if (Object.prototype.hasOwnProperty.call(rule, 'value')) {
+        value = rule.value;
+    } else if (rule.template) {
+        value = renderTemplate(rule.template, context, rule.join);
+    } else if (rule.source) {
+        value = resolvePath(context, rule.source);
+    }
+
+    if (rule.map && !isEmpty(value)) {
+        value = Object.prototype.hasOwnProperty.call(rule.map, value) ? rule.map[value] : undefined;
+    }
+
+    return isEmpty(value) && Object.prototype.hasOwnProperty.call(rule, 'default') ? rule.default : value;
+}
+
+function applyFieldMapping(mapping, context) {
+    return Object.entries(mapping).reduce((payload, [field, rule]) => {
+        const value = resolveField(rule, context);
+        if (value !== undefined) {
+            payload[field] = value;
+        }
+        return payload;
+    }, {});
+}
+
+module.exports = {
+    loadFieldMapping,
+    applyFieldMapping,
+    renderTemplate
+};
@@ -0,0 +1,48 @@
+const { createCrmError } = require('./errors');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+async function readBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (parseErr) {
+        return text;
+    }
+}
+
+async function requestJson(url, options, connector) {
+    const timeoutMs = Number(process.env.CRM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    try {
+        response = await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw createCrmError('CRM_TIMEOUT', `${connector} did not respond within ${timeoutMs}ms`, { connector });
+        }
+        throw createCrmError('CRM_UNREACHABLE', `Could not reach ${connector}: ${error.message}`, { connector });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const body = await readBody(response);
+    if (!response.ok) {
+        const code = response.status === 401 || response.status === 403 ? 'CRM_AUTH_FAILED' : 'CRM_REQUEST_FAILED';
+        const upstreamMessage = body?.error?.message || body?.message || (typeof body === 'string' ? body : '');
+        throw createCrmError(code, `${connector} responded with HTTP ${response.status}${upstreamMessage ? `: ${upstreamMessage}` : ''}`, {
+            connector,
+            status: response.status,
+            details: body
+        });
+    }
+
+    return { body, headers: response.headers };
+}
+
+module.exports = {
+    requestJson
+};
@@ -0,0 +1,101 @@
+const { createDynamics365Connector } = require('./dynamics365Connector');
+const { createWebhookConnector } = require('./webhookConnector');
+const { createMockConnector } = require('./mockConnector');
+const { applyFieldMapping, loadFieldMapping } = require('./fieldMapping');
+const { createCrmError, isCrmError, isAmbiguousCreateFailure } = require('./errors');
+const { routeCase } = require('../routing');
+const { computeSla } = require('../sla');
+const { findRelatedCases, applyRepeatContactEscalation } = require('../relatedCases');
+
+const connectorFactories = {
+    dynamics365: createDynamics365Connector,
+    webhook: createWebhookConnector,
+    mock: createMockConnector
+};
+
+let crmConnector = null;
+
+function resolveConnectorName() {
+    const configured = (process.env.CRM_CONNECTOR || 'mock').trim().toLowerCase();
+    if (!connectorFactories[configured]) {
+        throw new Error(`Unknown CRM_CONNECTOR '${configured}'. Expected one of: ${Object.keys(connectorFactories).join(', ')}`);
+    }
+    return configured;
+}
+
+function getCrmConnector() {
+    if (!crmConnector) {
+        crmConnector = connectorFactories[resolveConnectorName()]();
+    }
+    return crmConnector;
+}
+
+// The case record is the connector-independent view of a case that the UI and
+// API responses use; each connector maps it (plus the raw analysis) onto its
+// own payload through config/crm/<connector>.json. Team, queue, priority and
+// category come from the routing rules (services/routing.js), the response
+// and resolution deadlines from the SLA calendar (services/sla.js) and the
+// links to the customer's earlier cases from services/relatedCases.js.
+function buildCaseRecord(analysis, schema, routing, sla, related) {
+    return applyFieldMapping(loadFieldMapping('case-record'), { analysis, schema, routing, sla, related, env: process.env });
+}
+
+// `schema` is the analysis schema definition the analysis was produced with;
+// `customerTier` feeds the routing rules and the SLA clock starts at
+// `openedAt` (the time of the call; default now). `caseId` is the stored case
+// being finalized, left out of its own related cases. Repeat callers are
+// routed, and sent to the CRM, with their escalation risk raised.
+//
+// `reference` identifies one finalize attempt across retries. Connectors that
+// implement findCaseByReference are asked for it first, so a retry after a
+// timeout returns the case the first attempt created. For the others a
+// failure that may have created the case is not retried automatically.
+async function createCrmCase(analysis, scenarioId, { schema, customerTier, openedAt, caseId, reference } = {}) {
+    if (!analysis || typeof analysis !== 'object') {
+        throw createCrmError('CRM_INVALID_ANALYSIS', 'An analysis object is required to create a CRM case');
+    }
+
+    const connector = getCrmConnector();
+    const schemaContext = schema ? { id: schema.id, name: schema.name } : {};
+    const related = await findRelatedCases({ analysis, caseId, connector });
+    const routedAnalysis = applyRepeatContactEscalation(analysis, related);
+    const { context, trace, ...routing } = routeCase({ analysis, schemaId: schema?.id, customerTier, escalation: related.escalation });
+    const sla = computeSla({ priority: routing.priority, calendar: routing.calendar, openedAt });
+    const record = buildCaseRecord(routedAnalysis, schemaContext, routing, sla, related);
+    const created = await createOnce(connector, reference, { analysis: routedAnalysis, record, scenarioId, schema: schemaContext, routing, sla, related, reference, env: process.env });
+
+    return {
+        caseId: created.caseId,
+        ...record,
+        createdAt: new Date().toISOString(),
+        connector: connector.name,
+        connectorLabel: connector.label,
+        externalId: created.externalId,
+        recordUrl: created.url
+    };
+}
+
+async function createOnce(connector, reference, mappingContext) {
+    const canFindByReference = Boolean(reference) && typeof connector.findCaseByReference === 'function';
+    if (canFindByReference) {
+        const existing = await connector.findCaseByReference(reference);
+        if (existing) return existing;
+    }
+
+    try {
+        return await connector.createCase(mappingContext);
+    } catch (error) {
+        if (!canFindByReference && isAmbiguousCreateFailure(error)) {
+            error.retryable = false;
+            error.message = `${error.message} (the case may still have been created; check ${connector.label} before re-running)`;
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    createCrmCase,
+    getCrmConnector,
+    resolveConnectorName,
+    isCrmError
+};
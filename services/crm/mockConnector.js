@@ -0,0 +1,38 @@
+// Local stand-in used for demos and development; nothing leaves the process.
+// Only the newest MAX_REFERENCES finalize references are remembered.
+const MAX_REFERENCES = 1000;
+
+function createMockConnector() {
+    const casesByReference = new Map();
+
+    async function createCase({ reference } = {}) {
+        // Simulate API delay
+        const delay = process.env.CRM_MOCK_DELAY_MS !== undefined ? Number(process.env.CRM_MOCK_DELAY_MS) : 1500;
+        await new Promise(resolve => setTimeout(resolve, delay));
+
+        const caseId = `CASE-${Date.now()}`;
+        const created = { caseId, externalId: caseId, url: null };
+        if (reference) {
+            casesByReference.set(reference, created);
+            if (casesByReference.size > MAX_REFERENCES) {
+                casesByReference.delete(casesByReference.keys().next().value);
+            }
+        }
+        return created;
+    }
+
+    async function findCaseByReference(reference) {
+        return casesByReference.get(reference) || null;
+    }
+
+    return {
+        name: 'mock',
+        label: 'Dynamics 365 (simulated)',
+        createCase,
+        findCaseByReference
+    };
+}
+
+module.exports = {
+    createMockConnector
+};
@@ -0,0 +1,88 @@
+const { applyFieldMapping, loadFieldMapping } = require('./fieldMapping');
+const { createCrmError } = require('./errors');
+const { requestJson } = require('./http');
+
+// Generic REST connector: POSTs the mapped payload to CRM_WEBHOOK_URL and reads
+// the new record id from the response (CRM_WEBHOOK_ID_FIELD, default "id").
+// Related cases are looked up with a GET to CRM_WEBHOOK_SEARCH_URL, when set.
+function createWebhookConnector() {
+    const connector = 'CRM webhook';
+
+    function buildHeaders() {
+        const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+        if (process.env.CRM_WEBHOOK_TOKEN) {
+            headers[process.env.CRM_WEBHOOK_AUTH_HEADER || 'Authorization'] = process.env.CRM_WEBHOOK_AUTH_HEADER
+                ? process.env.CRM_WEBHOOK_TOKEN
+                : `Bearer ${process.env.CRM_WEBHOOK_TOKEN}`;
+        }
+        return headers;
+    }
+
+    async function createCase(mappingContext) {
+        if (!process.env.CRM_WEBHOOK_URL) {
+            throw createCrmError('CRM_NOT_CONFIGURED', 'CRM webhook connector not configured. Please set CRM_WEBHOOK_URL.', { connector });
+        }
+
+        const payload = applyFieldMapping(loadFieldMapping('webhook'), mappingContext);
+        const headers = buildHeaders();
+        // Lets endpoints that support it drop a repeated create
+        if (mappingContext.reference) headers['Idempotency-Key'] = mappingContext.reference;
+        const { body } = await requestJson(process.env.CRM_WEBHOOK_URL, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(payload)
+        }, connector);
+
+        const idField = process.env.CRM_WEBHOOK_ID_FIELD || 'id';
+        const externalId = body && typeof body === 'object' ? body[idField] : null;
+        if (!externalId) {
+            throw createCrmError('CRM_INVALID_RESPONSE', `CRM webhook response did not include '${idField}'`, { connector, details: body });
+        }
+
+        return {
+            caseId: String(externalId),
+            externalId: String(externalId),
+            url: body.url || null
+        };
+    }
+
+    // The identifiers go out as query parameters named after their
+    // keyInformation field (?customerEmail=...&since=...&limit=...). The
+    // response is an array of records, or { cases: [...] }, each with the id
+    // field and optionally title, status, createdAt, url and matchedOn.
+    async function findRelatedCases({ identifiers, since, limit }) {
+        if (!process.env.CRM_WEBHOOK_SEARCH_URL) return [];
+
+        const url = new URL(process.env.CRM_WEBHOOK_SEARCH_URL);
+        identifiers.forEach(identifier => url.searchParams.append(identifier.field, identifier.value));
+        url.searchParams.set('since', since);
+        url.searchParams.set('limit', String(limit));
+        const { body } = await requestJson(url.toString(), { method: 'GET', headers: buildHeaders() }, connector);
+
+        const records = Array.isArray(body) ? body : body?.cases;
+        if (!Array.isArray(records)) {
+            throw createCrmError('CRM_INVALID_RESPONSE', 'CRM webhook search response is not a list of cases', { connector, details: body });
+        }
+        const idField = process.env.CRM_WEBHOOK_ID_FIELD || 'id';
+        return records.filter(record => record && record[idField]).map(record => ({
+            caseId: String(record[idField]),
+            externalId: String(record[idField]),
+            title: record.title || null,
+            status: record.status || null,
+            createdAt: record.createdAt || null,
+            url: record.url || null,
+            matchedOn: Array.isArray(record.matchedOn) ? record.matchedOn : []
+        }));
+    }
+
+    return {
+        name: 'webhook',
+        label: 'CRM webhook',
+        createCase,
+        findRelatedCases
+    };
+}
+
+module.exports = {
+    createWebhookConnector
+};
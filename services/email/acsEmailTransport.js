@@ -0,0 +1,75 @@
+const { parseConnectionString, createSignedHeaders } = require('../acs/hmacAuth');
+const { createMailError } = require('./errors');
+
+// Azure Communication Services Email. Requests are signed with the access key
+// from ACS_EMAIL_CONNECTION_STRING (or the ACS_CONNECTION_STRING used for call
+// recordings); MAIL_FROM must be a sender address verified on a domain linked
+// to the resource. ACS accepts the message and delivers it asynchronously, so
+// the returned status is the operation's ("Running"), not delivery.
+const API_VERSION = '2023-03-31';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function createAcsEmailTransport() {
+    const transport = 'ACS Email';
+
+    async function send({ from, to, toName, subject, text, html }) {
+        let credentials;
+        try {
+            credentials = parseConnectionString(process.env.ACS_EMAIL_CONNECTION_STRING || process.env.ACS_CONNECTION_STRING);
+        } catch (error) {
+            throw createMailError('MAIL_NOT_CONFIGURED', 'ACS Email transport not configured. Please set ACS_EMAIL_CONNECTION_STRING and MAIL_FROM.', { transport });
+        }
+
+        const url = `${credentials.endpoint}/emails:send?api-version=${API_VERSION}`;
+        const body = JSON.stringify({
+            senderAddress: from,
+            recipients: { to: [{ address: to, displayName: toName || undefined }] },
+            content: { subject, plainText: text, html }
+        });
+
+        const timeoutMs = Number(process.env.MAIL_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    ...createSignedHeaders({ method: 'POST', url, body, accessKey: credentials.accessKey }),
+                    'Content-Type': 'application/json'
+                },
+                body,
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw createMailError('MAIL_TIMEOUT', `${transport} did not respond within ${timeoutMs}ms`, { transport });
+            }
+            throw createMailError('MAIL_SEND_FAILED', `Could not reach ${transport}: ${error.message}`, { transport });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const result = await response.json().catch(() => null);
+        if (!response.ok) {
+            const upstreamMessage = result?.error?.message;
+            throw createMailError('MAIL_SEND_FAILED', `${transport} responded with HTTP ${response.status}${upstreamMessage ? `: ${upstreamMessage}` : ''}`, {
+                transport,
+                status: response.status,
+                details: result
+            });
+        }
+
+        return { messageId: result?.id || response.headers.get('operation-id'), status: result?.status || 'Running' };
+    }
+
+    return {
+        name: 'acs',
+        label: 'Azure Communication Services Email',
+        send
+    };
+}
+
+module.exports = {
+    createAcsEmailTransport
+};
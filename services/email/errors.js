@@ -0,0 +1,17 @@
+function createMailError(code, message, { transport, status, details } = {}) {
+    const err = new Error(message);
+    err.code = code;
+    err.transport = transport;
+    if (status !== undefined) err.status = status;
+    if (details !== undefined) err.details = details;
+    return err;
+}
+
+function isMailError(error) {
+    return Boolean(error && typeof error.code === 'string' && error.code.startsWith('MAIL_'));
+}
+
+module.exports = {
+    createMailError,
+    isMailError
+};
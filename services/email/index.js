@@ -0,0 +1,221 @@
+const caseStore = require('../caseStore');
+const { getCollection } = require('../store/jsonFileStore');
+const { getAgentDeskLanguage } = require('../language');
+const { createOutboxTransport } = require('./outboxTransport');
+const { createSmtpTransport } = require('./smtpTransport');
+const { createAcsEmailTransport } = require('./acsEmailTransport');
+const { findTemplate, renderEmailTemplate } = require('./templates');
+const { createMailError, isMailError } = require('./errors');
+const { findRedactionTokens } = require('../redaction');
+
+// Follow-up emails for finalized cases: rendered from the CRM record, the
+// reviewed analysis (customer name and email) and a template picked by intent
+// and language, then handed to the MAIL_TRANSPORT. Every attempt, sent or
+// failed, is recorded against the case in the "emails" collection.
+//
+// The email goes to the customer email the case extracted. Another "to" must
+// be listed in MAIL_ALLOWED_RECIPIENTS (addresses, or "@domain" for a whole
+// domain), so the case cannot be mailed to just any address. An email that
+// still holds redaction placeholders ("[PHONE_1]", cases stored under
+// REDACTION_POLICY=all) is not sent until a reviewer has replaced them.
+const transportFactories = {
+    outbox: createOutboxTransport,
+    smtp: createSmtpTransport,
+    acs: createAcsEmailTransport
+};
+
+const DEMO_SENDER = 'support@contoso.example';
+const EMAIL_ADDRESS_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const sentEmails = () => getCollection('emails');
+
+let mailTransport = null;
+
+function resolveTransportName() {
+    const configured = (process.env.MAIL_TRANSPORT || 'outbox').trim().toLowerCase();
+    if (!transportFactories[configured]) {
+        throw new Error(`Unknown MAIL_TRANSPORT '${configured}'. Expected one of: ${Object.keys(transportFactories).join(', ')}`);
+    }
+    return configured;
+}
+
+function getMailTransport() {
+    if (!mailTransport) {
+        mailTransport = transportFactories[resolveTransportName()]();
+    }
+    return mailTransport;
+}
+
+// Real transports need a sender the provider accepts; the outbox makes one up
+function getSender(transport) {
+    if (process.env.MAIL_FROM) return process.env.MAIL_FROM;
+    if (transport.name === 'outbox') return DEMO_SENDER;
+    throw createMailError('MAIL_NOT_CONFIGURED', `${transport.label} needs a sender address. Please set MAIL_FROM.`, { transport: transport.label });
+}
+
+function isAllowedRecipient(address) {
+    const normalized = address.toLowerCase();
+    return (process.env.MAIL_ALLOWED_RECIPIENTS || '')
+        .split(',')
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean)
+        .some(entry => (entry.startsWith('@') ? normalized.endsWith(entry) : normalized === entry));
+}
+
+function resolveRecipient(to, caseEmail) {
+    if (!to || to.toLowerCase() === String(caseEmail || '').toLowerCase()) return caseEmail || null;
+    if (!isAllowedRecipient(to)) {
+        throw createMailError('MAIL_RECIPIENT_NOT_ALLOWED', `'${to}' is not the customer email of this case or listed in MAIL_ALLOWED_RECIPIENTS`);
+    }
+    return to;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function toHtml(text) {
+    return text
+        .split('\n\n')
+        .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+        .join('\n');
+}
+
+// The email is written in the customer's language unless the desk language
+// is asked for; those are the two languages the analysis has text in
+function buildFollowUpEmail(caseRecord, { language, to } = {}) {
+    const record = caseRecord.crmRecord;
+    if (!record) {
+        throw createMailError('MAIL_CASE_NOT_FINALIZED', 'Follow-up emails can only be sent for finalized cases');
+    }
+
+    const analysis = caseStore.getEffectiveAnalysis(caseRecord) || {};
+    const deskLanguage = record.deskLanguage || getAgentDeskLanguage();
+    const customerLanguage = record.customerLanguage || deskLanguage;
+    const emailLanguage = language || customerLanguage;
+    if (emailLanguage !== customerLanguage && emailLanguage !== deskLanguage) {
+        throw createMailError('MAIL_INVALID_LANGUAGE', `The email for this case can be written in ${[...new Set([customerLanguage, deskLanguage])].join(' or ')}, not '${emailLanguage}'`);
+    }
+
+    const localized = emailLanguage === customerLanguage && record.customerDescription;
+    const customerName = analysis.keyInformation?.customerName || null;
+    // Records created before the intent taxonomy kept the intent as their category
+    const { templateId, template } = findTemplate({ language: emailLanguage, intent: record.intent || record.category, fallbackLanguage: deskLanguage });
+    const { subject, text } = renderEmailTemplate(template, {
+        caseId: record.caseId,
+        customerName,
+        summary: localized ? record.customerDescription : record.description,
+        // Only what the agent promised goes to the customer; suggestedActions
+        // are internal follow-ups
+        commitments: record.commitments,
+        priority: record.priority,
+        expectedResolution: new Date(record.estimatedResolution).toLocaleDateString(emailLanguage, { dateStyle: 'long', timeZone: record.sla?.timeZone }),
+        record,
+        analysis
+    });
+
+    return {
+        to: resolveRecipient(to, analysis.keyInformation?.customerEmail),
+        toName: customerName,
+        subject,
+        text,
+        html: toHtml(text),
+        language: emailLanguage,
+        templateId,
+        placeholders: findRedactionTokens(`${subject}\n${text}`)
+    };
+}
+
+function getFinalizedCase(caseId) {
+    const caseRecord = caseStore.getCase(caseId);
+    if (!caseRecord) {
+        throw createMailError('MAIL_CASE_NOT_FOUND', 'Case not found');
+    }
+    return caseRecord;
+}
+
+function previewFollowUpEmail(caseId, options) {
+    return buildFollowUpEmail(getFinalizedCase(caseId), options);
+}
+
+async function sendFollowUpEmail(caseId, options) {
+    const email = buildFollowUpEmail(getFinalizedCase(caseId), options);
+    if (!email.to) {
+        throw createMailError('MAIL_NO_RECIPIENT', 'The case has no customer email address. Correct it in review, or pass a "to" listed in MAIL_ALLOWED_RECIPIENTS.');
+    }
+    if (!EMAIL_ADDRESS_PATTERN.test(email.to)) {
+        // Also what a redacted address ("[EMAIL_1]") ends up as
+        throw createMailError('MAIL_INVALID_RECIPIENT', `'${email.to}' is not an email address. Correct it in review, or pass a "to" listed in MAIL_ALLOWED_RECIPIENTS.`);
+    }
+    if (email.placeholders.length) {
+        throw createMailError('MAIL_REDACTED_CONTENT', `The email still contains redaction placeholders (${email.placeholders.join(', ')}). Replace them with the real values in review before sending.`);
+    }
+
+    const transport = getMailTransport();
+    return deliver(transport, {
+        caseId,
+        kind: 'follow-up',
+        transport: transport.name,
+        to: email.to,
+        subject: email.subject,
+        text: email.text,
+        language: email.language,
+        templateId: email.templateId
+    }, email);
+}
+
+// Commitment reminders go to the support desk, not the customer:
+// COMMITMENT_REMINDER_TO, or with the outbox the demo mailbox
+async function sendReminderEmail({ caseId, subject, text }) {
+    const transport = getMailTransport();
+    const to = process.env.COMMITMENT_REMINDER_TO || (transport.name === 'outbox' ? DEMO_SENDER : null);
+    if (!to) {
+        throw createMailError('MAIL_NO_RECIPIENT', 'Commitment reminders need a recipient. Please set COMMITMENT_REMINDER_TO.', { transport: transport.label });
+    }
+    return deliver(transport, {
+        caseId,
+        kind: 'reminder',
+        transport: transport.name,
+        to,
+        subject,
+        text,
+        language: null,
+        templateId: null
+    }, { to, subject, text, html: toHtml(text) });
+}
+
+// Sends through the transport and records the attempt, sent or failed
+async function deliver(transport, attempt, message) {
+    try {
+        const result = await transport.send({ from: getSender(transport), ...message });
+        return sentEmails().insert({
+            ...attempt,
+            status: 'sent',
+            messageId: result.messageId,
+            transportStatus: result.status,
+            sentAt: new Date().toISOString()
+        });
+    } catch (error) {
+        sentEmails().insert({ ...attempt, status: 'failed', error: error.message, code: error.code || null });
+        throw error;
+    }
+}
+
+function listCaseEmails(caseId) {
+    return sentEmails()
+        .list(email => email.caseId === caseId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+    previewFollowUpEmail,
+    sendFollowUpEmail,
+    sendReminderEmail,
+    listCaseEmails,
+    getMailTransport,
+    resolveTransportName,
+    isMailError
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// RFC 5322 message with a plain-text and an HTML part, shared by the SMTP
+// transport and the file outbox. Parts are base64 encoded so any language's
+// characters survive 7-bit relays.
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function formatAddress(address, name) {
+    return name ? `${encodeHeader(name)} <${address}>` : `<${address}>`;
+}
+
+function encodeBody(content) {
+    return Buffer.from(content, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+function createMessageId(from) {
+    const domain = String(from || '').split('@')[1] || 'localhost';
+    return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+function buildMimeMessage({ from, to, toName, subject, text, html, messageId }) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    return [
+        `From: ${formatAddress(from)}`,
+        `To: ${formatAddress(to, toName)}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(text),
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+module.exports = {
+    buildMimeMessage,
+    createMessageId
+};
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const { buildMimeMessage, createMessageId } = require('./mime');
+
+// Local stand-in: every message is written to MAIL_OUTBOX_DIR
+// (DATA_STORE_DIR/outbox by default) as an .eml file that any mail client opens.
+function getOutboxDirectory() {
+    if (process.env.MAIL_OUTBOX_DIR) return process.env.MAIL_OUTBOX_DIR;
+    const storeDirectory = process.env.DATA_STORE_DIR || path.join(__dirname, '..', '..', 'data', 'store');
+    return path.join(storeDirectory, 'outbox');
+}
+
+function createOutboxTransport() {
+    async function send(message) {
+        const messageId = createMessageId(message.from);
+        const directory = getOutboxDirectory();
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.slice(1, 9)}.eml`;
+
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, fileName), buildMimeMessage({ ...message, messageId }));
+        return { messageId, status: 'written', location: path.join(directory, fileName) };
+    }
+
+    return {
+        name: 'outbox',
+        label: 'Local outbox',
+        send
+    };
+}
+
+module.exports = {
+    createOutboxTransport
+};
@@ -0,0 +1,143 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { buildMimeMessage, createMessageId } = require('./mime');
+const { createMailError } = require('./errors');
+
+// Plain SMTP submission: SMTP_HOST/SMTP_PORT (587 by default), upgraded with
+// STARTTLS when the server offers it, or implicit TLS with SMTP_SECURE=true
+// (usually port 465). SMTP_USER/SMTP_PASSWORD enable AUTH LOGIN, which is
+// refused over an unencrypted connection unless SMTP_ALLOW_INSECURE_AUTH=true.
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Collects server replies; "250-..." lines continue a reply, "250 ..." ends it
+function createReplyReader() {
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+
+    function push(chunk) {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: Number(line.slice(0, 3)), text: lines.map(entry => entry.slice(4)).join('\n') };
+                lines = [];
+                if (waiting.length) waiting.shift().resolve(reply);
+                else replies.push(reply);
+            }
+        }
+    }
+
+    function fail(error) {
+        failure = failure || error;
+        waiting.splice(0).forEach(({ reject }) => reject(failure));
+    }
+
+    function next() {
+        if (replies.length) return Promise.resolve(replies.shift());
+        if (failure) return Promise.reject(failure);
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+
+    return { push, fail, next };
+}
+
+function createSmtpTransport() {
+    const transport = 'SMTP';
+
+    function connect(options, secure, reader, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ ...options, servername: options.host }, () => resolve(socket))
+                : net.connect(options, () => resolve(socket));
+            socket.setEncoding('utf8');
+            socket.setTimeout(timeoutMs, () => socket.destroy(createMailError('MAIL_TIMEOUT', `${transport} server did not respond within ${timeoutMs}ms`, { transport })));
+            socket.on('data', reader.push);
+            socket.on('error', error => {
+                const mailError = error.code === 'MAIL_TIMEOUT' ? error : createMailError('MAIL_SEND_FAILED', `Could not reach ${transport} server: ${error.message}`, { transport });
+                reader.fail(mailError);
+                reject(mailError);
+            });
+            socket.on('close', () => reader.fail(createMailError('MAIL_SEND_FAILED', `${transport} server closed the connection`, { transport })));
+        });
+    }
+
+    async function send(message) {
+        const host = process.env.SMTP_HOST;
+        if (!host) {
+            throw createMailError('MAIL_NOT_CONFIGURED', 'SMTP transport not configured. Please set SMTP_HOST and MAIL_FROM.', { transport });
+        }
+        const secure = process.env.SMTP_SECURE === 'true';
+        const port = Number(process.env.SMTP_PORT) || (secure ? 465 : 587);
+        const timeoutMs = Number(process.env.MAIL_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+        const messageId = createMessageId(message.from);
+
+        let reader = createReplyReader();
+        let socket = await connect({ host, port }, secure, reader, timeoutMs);
+
+        // Errors name the step, never the line sent, so credentials stay out of them
+        async function command(line, expectedCodes, step = line.split(/[ :]/)[0]) {
+            if (line !== null) socket.write(`${line}\r\n`);
+            const reply = await reader.next();
+            if (!expectedCodes.includes(reply.code)) {
+                throw createMailError('MAIL_SEND_FAILED', `${transport} server rejected ${step}: ${reply.code} ${reply.text}`, { transport, status: reply.code });
+            }
+            return reply;
+        }
+
+        try {
+            await command(null, [220], 'the connection');
+            let capabilities = await command(`EHLO ${os.hostname()}`, [250]);
+            let encrypted = secure;
+
+            if (!secure && /^STARTTLS$/im.test(capabilities.text)) {
+                await command('STARTTLS', [220]);
+                socket.removeAllListeners('data');
+                reader = createReplyReader();
+                socket = await connect({ socket, host }, true, reader, timeoutMs);
+                capabilities = await command(`EHLO ${os.hostname()}`, [250]);
+                encrypted = true;
+            }
+
+            if (process.env.SMTP_USER) {
+                if (!encrypted && process.env.SMTP_ALLOW_INSECURE_AUTH !== 'true') {
+                    throw createMailError('MAIL_INSECURE_AUTH',
+                        `${transport} server does not offer STARTTLS, so the credentials would be sent unencrypted. Use SMTP_SECURE=true, or set SMTP_ALLOW_INSECURE_AUTH=true for a trusted local relay.`,
+                        { transport });
+                }
+                await command('AUTH LOGIN', [334]);
+                await command(Buffer.from(process.env.SMTP_USER).toString('base64'), [334], 'the user name');
+                await command(Buffer.from(process.env.SMTP_PASSWORD || '').toString('base64'), [235], 'the credentials');
+            }
+
+            await command(`MAIL FROM:<${message.from}>`, [250]);
+            await command(`RCPT TO:<${message.to}>`, [250, 251]);
+            await command('DATA', [354]);
+            // Lines starting with a dot are escaped so they cannot end the message
+            // early; the message already ends in CRLF, so "." closes it
+            const content = buildMimeMessage({ ...message, messageId }).replace(/^\./gm, '..');
+            await command(`${content}.`, [250], 'the message');
+            await command('QUIT', [221]).catch(() => null);
+        } finally {
+            socket.end();
+        }
+
+        return { messageId, status: 'accepted' };
+    }
+
+    return {
+        name: 'smtp',
+        label: 'SMTP',
+        send
+    };
+}
+
+module.exports = {
+    createSmtpTransport
+};
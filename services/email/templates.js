@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate } = require('../crm/fieldMapping');
+
+// Follow-up email templates live in config/email-templates/<language>/<name>.json,
+// where <name> is the case's intent (billing_dispute.json) or default.json.
+// Each template has a subject, a greeting with and without the customer's
+// name, a plain-text body and the wording for the CRM priority values.
+// Placeholders use the CRM field mapping syntax ({{dotted.path}}); lists such
+// as {{commitments}} become one "- " line per item. A case without
+// commitments shows the template's noCommitments line instead.
+const LIST_SEPARATOR = '\n- ';
+const templateCache = new Map();
+
+function getTemplateDirectory() {
+    return process.env.EMAIL_TEMPLATE_DIR || path.join(__dirname, '..', '..', 'config', 'email-templates');
+}
+
+function loadTemplate(templateId) {
+    if (!templateCache.has(templateId)) {
+        const templatePath = path.join(getTemplateDirectory(), `${templateId}.json`);
+        templateCache.set(templateId, fs.existsSync(templatePath)
+            ? JSON.parse(fs.readFileSync(templatePath, 'utf8'))
+            : null);
+    }
+    return templateCache.get(templateId);
+}
+
+// The intent-specific template in the requested language wins, then that
+// language's default, then the same two in the fallback language
+function findTemplate({ language, intent, fallbackLanguage }) {
+    const safeIntent = /^[\w-]+$/.test(intent || '') ? intent : null;
+    const candidates = [language, fallbackLanguage]
+        .filter((code, index, list) => code && /^[a-z]{2}$/.test(code) && list.indexOf(code) === index)
+        .flatMap(code => [safeIntent && `${code}/${safeIntent}`, `${code}/default`])
+        .filter(Boolean);
+
+    for (const templateId of candidates) {
+        const template = loadTemplate(templateId);
+        if (template) return { templateId, template };
+    }
+    throw new Error(`No email template found (tried ${candidates.join(', ')}) in ${getTemplateDirectory()}`);
+}
+
+function renderEmailTemplate(template, context) {
+    const greeting = context.customerName
+        ? renderTemplate(template.greeting, context)
+        : template.fallbackGreeting;
+    const commitments = context.commitments?.length ? context.commitments : [template.noCommitments].filter(Boolean);
+    const bodyContext = {
+        ...context,
+        commitments,
+        // Older custom templates still say {{nextActions}}
+        nextActions: commitments,
+        greeting,
+        priority: template.priorities?.[context.priority] || context.priority
+    };
+    return {
+        subject: renderTemplate(template.subject, bodyContext),
+        text: renderTemplate(template.body, bodyContext, LIST_SEPARATOR)
+    };
+}
+
+module.exports = {
+    findTemplate,
+    renderEmailTemplate
+};
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const { analyzeTranscription, PROMPT_VERSION } = require('./analysis');
+const { getLLMProvider } = require('./llm');
+const scenarios = require('../data/scenarios.json');
+
+// Runs the scenarios in data/scenarios.json through the configured model and
+// scores the result against each scenario's expectedOutcome. Enum fields must
+// match exactly; primaryIntent is matched fuzzily because models phrase it
+// freely ("Billing dispute - duplicate charge" vs "billing_dispute").
+const EXACT_FIELDS = ['sentiment', 'escalationRisk'];
+const INTENT_MATCH_THRESHOLD = 0.75;
+const HISTORY_FILE = 'evaluation-history.jsonl';
+// The mock provider's keyword rules were written against these scenarios, so a
+// run against it checks the pipeline end to end and says nothing about quality
+const MOCK_PROVIDER_CAVEAT = 'Scored with the mock provider, whose keyword rules are tuned to these scenarios. '
+    + 'This checks the pipeline, not analysis quality; evaluate against a real model for that.';
+
+function getReportDirectory() {
+    return process.env.EVALUATION_REPORT_DIR || path.join(__dirname, '..', 'reports');
+}
+
+function normalizeTokens(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        // Crude stemming so "defects"/"defective"/"defect" line up
+        .map(token => token.replace(/(ive|ing|ed|es|s)$/, ''));
+}
+
+function bigrams(text) {
+    const grams = [];
+    for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+    return grams;
+}
+
+function diceCoefficient(a, b) {
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    if (!gramsA.length || !gramsB.length) return a === b ? 1 : 0;
+
+    const remaining = [...gramsB];
+    let shared = 0;
+    gramsA.forEach(gram => {
+        const index = remaining.indexOf(gram);
+        if (index !== -1) {
+            shared++;
+            remaining.splice(index, 1);
+        }
+    });
+    return (2 * shared) / (gramsA.length + gramsB.length);
+}
+
+// Share of the expected intent's words found in the model's intent, or the
+// character-level similarity for typos and joined words, whichever is higher
+function scoreIntent(expected, actual) {
+    const expectedTokens = normalizeTokens(expected);
+    const actualTokens = normalizeTokens(actual);
+    if (!expectedTokens.length || !actualTokens.length) return 0;
+
+    const tokenRecall = expectedTokens.filter(token => actualTokens.includes(token)).length / expectedTokens.length;
+    const characterSimilarity = diceCoefficient(expectedTokens.join(''), actualTokens.join(''));
+    return Math.round(Math.max(tokenRecall, characterSimilarity) * 100) / 100;
+}
+
+function scoreField(field, expected, actual) {
+    if (field === 'primaryIntent') {
+        const score = scoreIntent(expected, actual);
+        return { expected, actual, score, match: score >= INTENT_MATCH_THRESHOLD };
+    }
+    const match = String(expected).toLowerCase() === String(actual ?? '').toLowerCase();
+    return { expected, actual, score: match ? 1 : 0, match };
+}
+
+async function evaluateScenario(scenario) {
+    const startedAt = Date.now();
+    try {
+        const { analysis } = await analyzeTranscription(scenario.transcription, { schemaId: scenario.schemaId });
+        const fields = {};
+        Object.entries(scenario.expectedOutcome || {}).forEach(([field, expected]) => {
+            fields[field] = scoreField(field, expected, analysis[field]);
+        });
+        return { scenarioId: scenario.id, schemaId: scenario.schemaId || null, durationMs: Date.now() - startedAt, fields, error: null };
+    } catch (error) {
+        return { scenarioId: scenario.id, schemaId: scenario.schemaId || null, durationMs: Date.now() - startedAt, fields: {}, error: error.message };
+    }
+}
+
+function ratio(numerator, denominator) {
+    return denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+// Accuracy per field, plus precision/recall per label for the enum fields so
+// a model that over-predicts "frustrated" shows up even when accuracy looks fine
+function summarizeField(field, results) {
+    const scored = results.filter(result => !result.error && result.fields[field]);
+    const attempted = results.filter(result => result.error || result.fields[field]);
+    const correct = scored.filter(result => result.fields[field].match).length;
+    const summary = { correct, total: attempted.length, accuracy: ratio(correct, attempted.length) };
+
+    if (EXACT_FIELDS.includes(field)) {
+        const labels = new Set(scored.flatMap(result => [result.fields[field].expected, result.fields[field].actual]));
+        summary.labels = {};
+        labels.forEach(label => {
+            const truePositives = scored.filter(r => r.fields[field].expected === label && r.fields[field].actual === label).length;
+            const predicted = scored.filter(r => r.fields[field].actual === label).length;
+            const actual = scored.filter(r => r.fields[field].expected === label).length;
+            summary.labels[label] = {
+                precision: ratio(truePositives, predicted),
+                recall: ratio(truePositives, actual),
+                support: actual
+            };
+        });
+    }
+    return summary;
+}
+
+async function evaluateScenarios({ scenarioIds } = {}) {
+    const selected = scenarioIds && scenarioIds.length
+        ? scenarios.filter(scenario => scenarioIds.includes(scenario.id))
+        : scenarios;
+    const evaluated = selected.filter(scenario => scenario.expectedOutcome);
+    if (!evaluated.length) {
+        const err = new Error('No scenarios with an expectedOutcome matched the request');
+        err.code = 'NO_SCENARIOS';
+        throw err;
+    }
+
+    const provider = getLLMProvider();
+    const startedAt = new Date().toISOString();
+    // One at a time keeps the run within model rate limits and timings comparable
+    const results = [];
+    for (const scenario of evaluated) {
+        results.push(await evaluateScenario(scenario));
+    }
+
+    const fieldNames = [...new Set(evaluated.flatMap(scenario => Object.keys(scenario.expectedOutcome)))];
+    const fields = {};
+    fieldNames.forEach(field => {
+        fields[field] = summarizeField(field, results);
+    });
+    const checks = results.flatMap(result => fieldNames
+        .filter(field => result.error || result.fields[field])
+        .map(field => Boolean(result.fields[field]?.match)));
+
+    return {
+        startedAt,
+        completedAt: new Date().toISOString(),
+        provider: provider.name,
+        model: provider.model,
+        promptVersion: PROMPT_VERSION,
+        qualitySignal: provider.name !== 'mock',
+        caveat: provider.name === 'mock' ? MOCK_PROVIDER_CAVEAT : null,
+        intentMatchThreshold: INTENT_MATCH_THRESHOLD,
+        scenarioCount: results.length,
+        errorCount: results.filter(result => result.error).length,
+        accuracy: ratio(checks.filter(Boolean).length, checks.length),
+        fields,
+        results
+    };
+}
+
+function summarizeForHistory(report) {
+    const fieldAccuracy = {};
+    Object.entries(report.fields).forEach(([field, summary]) => {
+        fieldAccuracy[field] = summary.accuracy;
+    });
+    return {
+        startedAt: report.startedAt,
+        provider: report.provider,
+        model: report.model,
+        promptVersion: report.promptVersion,
+        scenarioCount: report.scenarioCount,
+        accuracy: report.accuracy,
+        fields: fieldAccuracy
+    };
+}
+
+function readHistory(directory) {
+    const historyPath = path.join(directory, HISTORY_FILE);
+    if (!fs.existsSync(historyPath)) return [];
+    return fs.readFileSync(historyPath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatPercent(value) {
+    return value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`;
+}
+
+function renderHtmlReport(report, history) {
+    const fieldNames = Object.keys(report.fields);
+    const resultRows = report.results.map(result => `
+        <tr>
+            <td>${escapeHtml(result.scenarioId)}</td>
+            <td>${escapeHtml(result.schemaId)}</td>
+            ${fieldNames.map(field => {
+                const scored = result.fields[field];
+                if (!scored) return `<td class="miss">${result.error ? 'error' : '–'}</td>`;
+                return `<td class="${scored.match ? 'hit' : 'miss'}">${escapeHtml(scored.actual)}<br><small>expected ${escapeHtml(scored.expected)}${field === 'primaryIntent' ? ` · score ${scored.score}` : ''}</small></td>`;
+            }).join('')}
+            <td>${result.durationMs} ms${result.error ? `<br><small class="miss">${escapeHtml(result.error)}</small>` : ''}</td>
+        </tr>`).join('');
+
+    const labelRows = Object.entries(report.fields)
+        .filter(([, summary]) => summary.labels)
+        .flatMap(([field, summary]) => Object.entries(summary.labels).map(([label, stats]) => `
+        <tr><td>${escapeHtml(field)}</td><td>${escapeHtml(label)}</td><td>${formatPercent(stats.precision)}</td><td>${formatPercent(stats.recall)}</td><td>${stats.support}</td></tr>`))
+        .join('');
+
+    const historyRows = history.slice(-20).reverse().map(entry => `
+        <tr>
+            <td>${escapeHtml(entry.startedAt)}</td>
+            <td>${escapeHtml(entry.provider)} / ${escapeHtml(entry.model)}</td>
+            <td>${escapeHtml(entry.promptVersion)}</td>
+            <td>${formatPercent(entry.accuracy)}</td>
+            ${fieldNames.map(field => `<td>${formatPercent(entry.fields?.[field])}</td>`).join('')}
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Scenario evaluation - ${escapeHtml(report.model)} - prompt v${escapeHtml(report.promptVersion)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 30px; color: #333; }
+    table { border-collapse: collapse; margin-bottom: 30px; }
+    th, td { border: 1px solid #dee2e6; padding: 6px 10px; text-align: left; vertical-align: top; }
+    th { background: #f8f9fa; }
+    .hit { background: #e8f5e9; }
+    .miss { background: #fdecea; }
+    small { color: #6c757d; }
+</style>
+</head>
+<body>
+<h1>Scenario evaluation</h1>
+<p>
+    Provider <strong>${escapeHtml(report.provider)}</strong>, model/deployment <strong>${escapeHtml(report.model)}</strong>,
+    prompt version <strong>${escapeHtml(report.promptVersion)}</strong> &middot; ${report.scenarioCount} scenarios &middot;
+    overall accuracy <strong>${formatPercent(report.accuracy)}</strong> &middot; ${escapeHtml(report.startedAt)}
+</p>
+${report.caveat ? `<p class="miss"><strong>Not a quality signal:</strong> ${escapeHtml(report.caveat)}</p>\n` : ''}
+<h2>Accuracy per field</h2>
+<table>
+    <tr><th>Field</th><th>Correct</th><th>Accuracy</th></tr>
+    ${Object.entries(report.fields).map(([field, summary]) => `<tr><td>${escapeHtml(field)}</td><td>${summary.correct} / ${summary.total}</td><td>${formatPercent(summary.accuracy)}</td></tr>`).join('')}
+</table>
+
+<h2>Precision and recall per label</h2>
+<table>
+    <tr><th>Field</th><th>Label</th><th>Precision</th><th>Recall</th><th>Support</th></tr>
+    ${labelRows}
+</table>
+
+<h2>Scenarios</h2>
+<table>
+    <tr><th>Scenario</th><th>Schema</th>${fieldNames.map(field => `<th>${escapeHtml(field)}</th>`).join('')}<th>Time</th></tr>
+    ${resultRows}
+</table>
+
+<h2>Previous runs</h2>
+<table>
+    <tr><th>Run</th><th>Model</th><th>Prompt</th><th>Accuracy</th>${fieldNames.map(field => `<th>${escapeHtml(field)}</th>`).join('')}</tr>
+    ${historyRows}
+</table>
+</body>
+</html>
+`;
+}
+
+// Writes evaluation-<timestamp>.json/.html and appends the run to
+// evaluation-history.jsonl so accuracy can be tracked across models and
+// prompt versions
+function writeEvaluationReport(report, { directory = getReportDirectory() } = {}) {
+    fs.mkdirSync(directory, { recursive: true });
+    const baseName = `evaluation-${report.startedAt.replace(/[:.]/g, '-')}`;
+    const jsonPath = path.join(directory, `${baseName}.json`);
+    const htmlPath = path.join(directory, `${baseName}.html`);
+
+    fs.appendFileSync(path.join(directory, HISTORY_FILE), `${JSON.stringify(summarizeForHistory(report))}\n`);
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(htmlPath, renderHtmlReport(report, readHistory(directory)));
+
+    return { json: jsonPath, html: htmlPath };
+}
+
+module.exports = {
+    evaluateScenarios,
+    writeEvaluationReport,
+    scoreIntent
+};
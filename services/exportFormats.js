@@ -0,0 +1,25 @@
+// CSV and JSONL downloads (review edits, batch results). CSV values are quoted
+// only when they need it; JSONL is one JSON document per line.
+//
+// Transcripts and model output are untrusted, so a value a spreadsheet would
+// run as a formula (=, +, -, @, or a leading tab or carriage return) gets a
+// leading apostrophe.
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const raw = String(value);
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows, columns) {
+    return [columns.join(','), ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))].join('\n') + '\n';
+}
+
+function formatJsonl(rows) {
+    return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+}
+
+module.exports = {
+    formatCsv,
+    formatJsonl
+};
@@ -0,0 +1,219 @@
+const { parseTranscription } = require('./transcript');
+
+// Checks every keyInformation value and commitment the model returned against
+// the transcript. Each one gets the turn index and character span (within
+// that turn's text, matching the chat view) where it was found, and a status:
+//   grounded   - found verbatim, or with different separators ("555 123 4567")
+//   partial    - all of its words appear in one sentence, or (commitments)
+//                most of them do
+//   ungrounded - not found; nulled (keyInformation) or dropped (commitments)
+//   empty      - null or a placeholder such as "N/A"
+//
+// GROUNDING_MODE=enforce (default) removes ungrounded values, "flag" only
+// annotates them, "off" skips the check.
+const MODES = ['enforce', 'flag', 'off'];
+const PLACEHOLDER_VALUES = ['', 'n/a', 'na', 'none', 'null', 'unknown', 'not provided', 'not mentioned', 'not stated', 'not available', '-'];
+const STOPWORDS = new Set(['the', 'and', 'for', 'you', 'your', 'will', 'with', 'that', 'this', 'have', 'has', 'are', 'our', 'can', 'get', 'make', 'sure', 'within', 'from', 'into', 'customer', 'agent']);
+const COMMITMENT_GROUNDED_SCORE = 0.6;
+const COMMITMENT_PARTIAL_SCORE = 0.35;
+
+function getGroundingMode() {
+    const mode = (process.env.GROUNDING_MODE || 'enforce').trim().toLowerCase();
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown GROUNDING_MODE '${mode}'. Expected one of: ${MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+function isPlaceholder(value) {
+    return value === null || value === undefined || PLACEHOLDER_VALUES.includes(String(value).trim().toLowerCase());
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function sentenceSpans(content) {
+    const spans = [];
+    const pattern = /[^.!?]+(?:[.!?]+|$)/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+        const leading = match[0].length - match[0].trimStart().length;
+        const text = match[0].trim();
+        if (text) spans.push({ start: match.index + leading, end: match.index + leading + text.length, text });
+    }
+    return spans;
+}
+
+function tokenize(text) {
+    return (String(text).toLowerCase().match(/[a-z0-9]+/g) || []);
+}
+
+function contentTokens(text) {
+    return tokenize(text).filter(token => token.length > 2 && !STOPWORDS.has(token));
+}
+
+// Matches must start and end on a word boundary, so "CON-4523" is not found
+// inside "CON-45231"
+function boundedPattern(source, value) {
+    const before = /^[a-z0-9]/i.test(value) ? '(?<![a-z0-9])' : '';
+    const after = /[a-z0-9]$/i.test(value) ? '(?![a-z0-9])' : '';
+    return new RegExp(`${before}${source}${after}`, 'i');
+}
+
+function findVerbatim(value, turns) {
+    const exact = boundedPattern(escapeRegExp(value), value);
+    for (let turnIndex = 0; turnIndex < turns.length; turnIndex++) {
+        const match = turns[turnIndex].content.match(exact);
+        if (match) return { turnIndex, span: { start: match.index, end: match.index + match[0].length } };
+    }
+
+    // Same characters with different separators: "CON 45231", "(555) 123-4567"
+    const characters = value.replace(/[^a-z0-9]/gi, '');
+    if (characters.length < 4) return null;
+    const flexible = boundedPattern(characters.split('').map(escapeRegExp).join('[^a-z0-9]{0,3}'), characters);
+    for (let turnIndex = 0; turnIndex < turns.length; turnIndex++) {
+        const match = turns[turnIndex].content.match(flexible);
+        if (match) return { turnIndex, span: { start: match.index, end: match.index + match[0].length } };
+    }
+    return null;
+}
+
+// Words may match as a prefix ("deliver" finds "delivery") and numbers may
+// take an ordinal suffix ("15" finds "15th"); anything else with a digit in it
+// is an identifier and must match a whole token
+function matchesToken(token, candidate) {
+    if (candidate === token) return true;
+    if (!candidate.startsWith(token)) return false;
+    if (/^\d+$/.test(token)) return /^(st|nd|rd|th)$/.test(candidate.slice(token.length));
+    return !/\d/.test(token);
+}
+
+// Every word of the value appears in a single sentence
+function findInSentence(value, turns) {
+    const valueTokens = tokenize(value);
+    if (!valueTokens.length) return null;
+
+    for (let turnIndex = 0; turnIndex < turns.length; turnIndex++) {
+        for (const sentence of sentenceSpans(turns[turnIndex].content)) {
+            const sentenceTokens = tokenize(sentence.text);
+            if (valueTokens.every(token => sentenceTokens.some(candidate => matchesToken(token, candidate)))) {
+                return { turnIndex, span: { start: sentence.start, end: sentence.end } };
+            }
+        }
+    }
+    return null;
+}
+
+function locateValue(value, turns) {
+    const verbatim = findVerbatim(value, turns);
+    if (verbatim) return { status: 'grounded', ...verbatim };
+    const partial = findInSentence(value, turns);
+    if (partial) return { status: 'partial', ...partial };
+    return { status: 'ungrounded', turnIndex: null, span: null };
+}
+
+// Commitments are usually paraphrased, so the best-overlapping agent sentence
+// is taken as the source
+function locateCommitment(commitment, turns) {
+    const verbatim = findVerbatim(commitment, turns);
+    if (verbatim) return { status: 'grounded', score: 1, ...verbatim };
+
+    const commitmentTokens = [...new Set(contentTokens(commitment))];
+    let best = { status: 'ungrounded', score: 0, turnIndex: null, span: null };
+    if (!commitmentTokens.length) return best;
+
+    turns.forEach((turn, turnIndex) => {
+        if (turn.type !== 'agent') return;
+        sentenceSpans(turn.content).forEach(sentence => {
+            const sentenceTokens = contentTokens(sentence.text);
+            const shared = commitmentTokens.filter(token => sentenceTokens.some(candidate => candidate.startsWith(token) || token.startsWith(candidate)));
+            const score = Math.round((shared.length / commitmentTokens.length) * 100) / 100;
+            if (score > best.score) {
+                best = { score, turnIndex, span: { start: sentence.start, end: sentence.end } };
+            }
+        });
+    });
+
+    if (best.score >= COMMITMENT_GROUNDED_SCORE) return { ...best, status: 'grounded' };
+    if (best.score >= COMMITMENT_PARTIAL_SCORE) return { ...best, status: 'partial' };
+    return { status: 'ungrounded', score: best.score, turnIndex: null, span: null };
+}
+
+// Keeps the per-field evidence in step with what enforce removed
+function pruneEvidence(evidence, removedFields, removedCommitments) {
+    const keyInformation = { ...(evidence.keyInformation || {}) };
+    removedFields.forEach(field => {
+        keyInformation[field] = { confidence: 0, quote: null };
+    });
+    return {
+        ...evidence,
+        keyInformation,
+        commitments: (evidence.commitments || []).filter(entry => !removedCommitments.includes(entry.text))
+    };
+}
+
+// normalizeValue maps an analysis value onto the transcript's form, e.g. a
+// re-hydrated email back to its redaction token when the stored transcript is
+// redacted.
+function groundAnalysis(analysis, transcription, { normalizeValue = value => value } = {}) {
+    const mode = getGroundingMode();
+    if (mode === 'off' || !analysis) {
+        return { analysis, grounding: null };
+    }
+
+    const turns = parseTranscription(transcription);
+    const enforce = mode === 'enforce';
+    const keyInformation = { ...(analysis.keyInformation || {}) };
+    const keyInformationGrounding = {};
+    const removedFields = [];
+
+    Object.entries(keyInformation).forEach(([field, value]) => {
+        if (isPlaceholder(value)) {
+            keyInformationGrounding[field] = { status: 'empty', turnIndex: null, span: null };
+            keyInformation[field] = null;
+            return;
+        }
+
+        const located = locateValue(normalizeValue(String(value)), turns);
+        keyInformationGrounding[field] = located;
+        if (located.status === 'ungrounded') {
+            removedFields.push(field);
+            if (enforce) keyInformation[field] = null;
+        }
+    });
+
+    const commitmentGrounding = (analysis.commitments || []).map(commitment => ({
+        text: commitment,
+        ...locateCommitment(normalizeValue(String(commitment)), turns)
+    }));
+    const removedCommitments = commitmentGrounding
+        .filter(entry => entry.status === 'ungrounded')
+        .map(entry => entry.text);
+    const commitments = enforce
+        ? (analysis.commitments || []).filter(commitment => !removedCommitments.includes(commitment))
+        : analysis.commitments;
+
+    const evidence = enforce && analysis.evidence
+        ? pruneEvidence(analysis.evidence, removedFields, removedCommitments)
+        : analysis.evidence;
+
+    const statuses = [...Object.values(keyInformationGrounding), ...commitmentGrounding].map(entry => entry.status);
+    return {
+        analysis: { ...analysis, keyInformation, commitments, ...(evidence && { evidence }) },
+        grounding: {
+            mode,
+            checkedAt: new Date().toISOString(),
+            groundedCount: statuses.filter(status => status === 'grounded' || status === 'partial').length,
+            ungroundedCount: statuses.filter(status => status === 'ungrounded').length,
+            keyInformation: keyInformationGrounding,
+            commitments: commitmentGrounding,
+            // Under "flag" these are still in the analysis, just marked
+            ungrounded: { keyInformation: removedFields, commitments: removedCommitments }
+        }
+    };
+}
+
+module.exports = {
+    groundAnalysis
+};
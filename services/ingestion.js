@@ -0,0 +1,121 @@
+const caseStore = require('./caseStore');
+const { analyzeTranscription, PROMPT_VERSION } = require('./analysis');
+const { getLLMProvider } = require('./llm');
+const { transcribeRecording } = require('./speech');
+const { downloadRecording } = require('./acs/recordings');
+const { downloadFromAcs } = require('./acs/downloads');
+const { normalizeTranscript } = require('./transcriptFormats');
+const { registerJobHandler, submitJob } = require('./jobs/queue');
+const { getAnalysisSchema } = require('./analysisSchemas');
+
+const DEFAULT_MAX_TRANSCRIPT_BYTES = 1024 * 1024;
+
+// Calls that arrive without a person clicking "Analyze" (ACS webhooks) are
+// saved as a queued case straight away, analyzed in the background, and then
+// wait in the review queue (status "pending_review") for human approval before
+// anything is sent to the CRM. When config/review-thresholds.json enables
+// autoApprove, analyses with every value above its threshold are sent to the
+// CRM without waiting; if that fails they stay in the queue.
+//
+// The case carries an `ingest` payload describing where the transcript comes
+// from: { kind: 'transcript', transcription, turns }, { kind: 'transcriptUrl',
+// url } or { kind: 'recording', contentLocations }.
+registerJobHandler('ingest-call', ({ caseId }) => processIngestedCall(caseId), {
+    onDeadLetter: ({ caseId }, error) => caseStore.updateCase(caseId, { status: 'failed', error: error.message })
+});
+
+function queueCallForAnalysis({ source, call, ingest }) {
+    const queued = caseStore.createCase({
+        source,
+        call,
+        status: 'queued',
+        // ACS_ANALYSIS_SCHEMA picks the line of business for webhook calls
+        schemaId: getAnalysisSchema(process.env.ACS_ANALYSIS_SCHEMA).id,
+        transcription: ingest.kind === 'transcript' ? ingest.transcription : null,
+        turns: ingest.kind === 'transcript' ? ingest.turns : null
+    });
+    const job = submitJob('ingest-call', { caseId: queued.id });
+    return caseStore.updateCase(queued.id, { ingest, jobId: job.id });
+}
+
+async function loadTranscript(ingest) {
+    if (ingest.kind === 'transcript') {
+        return { transcription: ingest.transcription, turns: ingest.turns };
+    }
+
+    if (ingest.kind === 'transcriptUrl') {
+        const body = await downloadFromAcs(ingest.url, {
+            maxBytes: Number(process.env.ACS_TRANSCRIPT_MAX_BYTES) || DEFAULT_MAX_TRANSCRIPT_BYTES,
+            label: 'Transcript'
+        });
+        const { transcription, turns } = normalizeTranscript(body.toString('utf8'));
+        return { transcription, turns };
+    }
+
+    if (ingest.kind === 'recording') {
+        // Long calls are split into chunks; stitch their turns back together
+        let turns = [];
+        let offset = 0;
+        for (const contentLocation of ingest.contentLocations) {
+            const recording = await transcribeRecording({ audio: await downloadRecording(contentLocation) });
+            turns = turns.concat(recording.turns.map(turn => ({
+                ...turn,
+                start: turn.start + offset,
+                end: turn.end + offset
+            })));
+            offset = turns.length ? turns[turns.length - 1].end : offset;
+        }
+        return {
+            transcription: turns.map(turn => `${turn.role}: ${turn.text}`).join('\n\n'),
+            turns
+        };
+    }
+
+    throw new Error(`Unknown ingest kind '${ingest.kind}'`);
+}
+
+// Errors propagate so the job queue can retry transient failures; the case is
+// only marked failed once the job is dead-lettered.
+async function processIngestedCall(caseId) {
+    const queued = caseStore.getCase(caseId);
+    if (!queued) {
+        throw new Error(`Case ${caseId} no longer exists`);
+    }
+
+    const loaded = await loadTranscript(queued.ingest);
+    const { analysis, transcription, turns, redaction, grounding, sentimentTimeline, scorecard, review, language } = await analyzeTranscription(loaded.transcription, {
+        schemaId: queued.schemaId,
+        turns: loaded.turns
+    });
+    const provider = getLLMProvider();
+
+    caseStore.updateCase(caseId, {
+        status: 'pending_review',
+        transcription,
+        turns: turns || null,
+        aiAnalysis: analysis,
+        provider: { name: provider.name, model: provider.model },
+        promptVersion: PROMPT_VERSION,
+        redaction,
+        grounding,
+        sentimentTimeline,
+        scorecard,
+        review,
+        language,
+        // Under REDACTION_POLICY=all the raw transcript must not outlive the analysis
+        ingest: redaction?.policy === 'all' ? { kind: queued.ingest.kind } : queued.ingest,
+        error: null
+    });
+
+    // Handled by caseWorkflow, which finalizes the case on success
+    if (review.autoApprove) {
+        const job = submitJob('crm-finalize', { analysis, caseId, schemaId: queued.schemaId, reviewer: 'auto-approval' });
+        caseStore.updateCase(caseId, { autoApprovalJobId: job.id });
+    }
+    return { caseId };
+}
+
+module.exports = {
+    queueCallForAnalysis,
+    processIngestedCall
+};
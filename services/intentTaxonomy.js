@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+// The intent taxonomy (config/intent-taxonomy.json, or the file named by
+// INTENT_TAXONOMY_FILE) is the closed list of primaryIntent values. Intents
+// sit in categories, which may nest, and carry a label and synonyms. The
+// analysis schema only accepts taxonomy ids, routing rules
+// (services/routing.js) match an intent or any category above it, and
+// free-text intents from older cases or providers without strict structured
+// outputs are mapped back onto the taxonomy through the synonyms.
+let cachedTaxonomy = null;
+
+function getTaxonomyPath() {
+    return process.env.INTENT_TAXONOMY_FILE || path.join(__dirname, '..', 'config', 'intent-taxonomy.json');
+}
+
+function normalizeText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Flattens the category tree into intents that remember their categories,
+// outermost first
+function collectIntents(categories, ancestors, intents) {
+    categories.forEach(category => {
+        if (!category.id || !category.label) {
+            throw new Error(`Intent taxonomy categories need an id and a label (${getTaxonomyPath()})`);
+        }
+        const categoryPath = [...ancestors, { id: category.id, label: category.label }];
+        (category.intents || []).forEach(intent => {
+            if (intents.some(existing => existing.id === intent.id)) {
+                throw new Error(`Intent '${intent.id}' appears more than once in the intent taxonomy`);
+            }
+            intents.push({
+                id: intent.id,
+                label: intent.label || intent.id,
+                synonyms: intent.synonyms || [],
+                categories: categoryPath
+            });
+        });
+        collectIntents(category.categories || [], categoryPath, intents);
+    });
+    return intents;
+}
+
+function getIntentTaxonomy() {
+    if (!cachedTaxonomy) {
+        const config = JSON.parse(fs.readFileSync(getTaxonomyPath(), 'utf8'));
+        const intents = collectIntents(config.categories || [], [], []);
+        if (!intents.some(intent => intent.id === config.fallbackIntent)) {
+            throw new Error(`The intent taxonomy's fallbackIntent '${config.fallbackIntent}' must be one of its intents`);
+        }
+        cachedTaxonomy = {
+            fallbackIntent: config.fallbackIntent,
+            categories: config.categories,
+            intents
+        };
+    }
+    return cachedTaxonomy;
+}
+
+function listIntentIds() {
+    return getIntentTaxonomy().intents.map(intent => intent.id);
+}
+
+function getTaxonomyIntent(intentId) {
+    return getIntentTaxonomy().intents.find(intent => intent.id === intentId) || null;
+}
+
+// The taxonomy id a free-text intent stands for, or null. An id, label or
+// synonym written differently ("Billing dispute", "billing-dispute") wins;
+// otherwise the intent whose label or synonyms appear most often as whole
+// words ("passenger on a delayed flight").
+function resolveIntent(text) {
+    if (typeof text !== 'string' || !normalizeText(text)) return null;
+    const normalized = normalizeText(text);
+    const { intents } = getIntentTaxonomy();
+
+    const exact = intents.find(intent => [intent.id, intent.label, ...intent.synonyms]
+        .some(name => normalizeText(name) === normalized));
+    if (exact) return exact.id;
+
+    const padded = ` ${normalized} `;
+    const best = intents
+        .map(intent => ({
+            id: intent.id,
+            hits: [intent.label, ...intent.synonyms].filter(name => padded.includes(` ${normalizeText(name)} `)).length
+        }))
+        .sort((a, b) => b.hits - a.hits)[0];
+    return best && best.hits ? best.id : null;
+}
+
+module.exports = {
+    getIntentTaxonomy,
+    listIntentIds,
+    getTaxonomyIntent,
+    resolveIntent
+};
@@ -0,0 +1,95 @@
+const { getAnalysisSchema } = require('./analysisSchemas');
+const { scoreIntent } = require('./evaluation');
+const { getIntentTaxonomy, getTaxonomyIntent, resolveIntent } = require('./intentTaxonomy');
+
+// New analyses use the intent taxonomy's ids, but cases analyzed before it
+// existed, or edited through the API, may phrase primaryIntent freely
+// ("Billing issue", "Customer disputes a charge"), so intents are grouped
+// before they are counted. A free-text intent maps to a taxonomy intent when
+// it matches its label or synonyms, reads like its id (the fuzzy match the
+// evaluation uses) or mentions one of its schema's keywords for it; anything
+// else becomes a snake_case label, and labels that read alike are merged into
+// one cluster.
+const INTENT_MATCH_THRESHOLD = 0.75;
+const UNKNOWN_INTENT = 'unknown';
+
+function toLabel(intent) {
+    return String(intent)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '_')
+        .replace(/^_+|_+$/g, '') || UNKNOWN_INTENT;
+}
+
+function getSchemaIntents(schemaId) {
+    try {
+        return getAnalysisSchema(schemaId || undefined).intents || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// The taxonomy intent id for a free-text intent, or its snake_case label
+function normalizeIntent(intent, { schemaId } = {}) {
+    if (!intent || !String(intent).trim()) return UNKNOWN_INTENT;
+    const fromTaxonomy = resolveIntent(String(intent));
+    if (fromTaxonomy) return fromTaxonomy;
+
+    const byName = getIntentTaxonomy().intents
+        .map(candidate => ({ id: candidate.id, score: scoreIntent(candidate.id, intent) }))
+        .sort((a, b) => b.score - a.score)[0];
+    if (byName && byName.score >= INTENT_MATCH_THRESHOLD) return byName.id;
+
+    const text = String(intent).toLowerCase().replace(/_/g, ' ');
+    const byKeyword = getSchemaIntents(schemaId)
+        .map(candidate => ({ id: candidate.id, hits: (candidate.keywords || []).filter(keyword => text.includes(keyword.toLowerCase())).length }))
+        .sort((a, b) => b.hits - a.hits)[0];
+    if (byKeyword && byKeyword.hits) return byKeyword.id;
+
+    return toLabel(intent);
+}
+
+// entries: [{ intent, schemaId }] -> { clusters, assignments }. clusters is
+// [{ intent, category, count, variants: [{ label, count }] }], biggest first,
+// with the taxonomy category path (null for labels outside the taxonomy);
+// assignments[i] is the cluster intent of entries[i].
+function clusterIntents(entries) {
+    const clusters = [];
+    const assignments = entries.map(({ intent, schemaId }) => {
+        const normalized = normalizeIntent(intent, { schemaId });
+        let cluster = clusters.find(existing => existing.intent === normalized) ||
+            clusters.find(existing => !existing.configured && scoreIntent(existing.intent, normalized) >= INTENT_MATCH_THRESHOLD);
+        if (!cluster) {
+            cluster = {
+                intent: normalized,
+                configured: Boolean(getTaxonomyIntent(normalized)),
+                count: 0,
+                variants: new Map()
+            };
+            clusters.push(cluster);
+        }
+
+        const variant = intent ? String(intent) : UNKNOWN_INTENT;
+        cluster.count++;
+        cluster.variants.set(variant, (cluster.variants.get(variant) || 0) + 1);
+        return cluster.intent;
+    });
+
+    return {
+        clusters: clusters
+            .map(({ intent, count, variants }) => ({
+                intent,
+                category: getTaxonomyIntent(intent)?.categories.map(category => category.label).join(' / ') || null,
+                count,
+                variants: [...variants.entries()]
+                    .map(([label, variantCount]) => ({ label, count: variantCount }))
+                    .sort((a, b) => b.count - a.count)
+            }))
+            .sort((a, b) => b.count - a.count),
+        assignments
+    };
+}
+
+module.exports = {
+    normalizeIntent,
+    clusterIntents
+};
@@ -0,0 +1,268 @@
+const { EventEmitter } = require('events');
+const { getCollection } = require('../store/jsonFileStore');
+const { createMemoryCollection } = require('../store/memoryStore');
+
+// In-process job queue. Jobs move queued -> running -> succeeded, or back to
+// "retrying" with exponential backoff when the failure looks transient
+// (429, 5xx, timeouts). Once maxAttempts is used up a job is dead-lettered and
+// stays inspectable until someone re-runs it.
+//
+// JOB_STORE=file keeps jobs in the JSON-file store so queued and dead jobs
+// survive a restart; the default "memory" store forgets them. Either way,
+// finished jobs are dropped after JOB_RETENTION_MS, and beyond the newest
+// JOB_MAX_FINISHED.
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_FINISHED = 1000;
+const TERMINAL_STATUSES = ['succeeded', 'dead'];
+const RETRYABLE_CODES = ['CRM_TIMEOUT', 'CRM_UNREACHABLE', 'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'];
+
+const handlers = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let jobs = null;
+let running = 0;
+let wakeTimer = null;
+let started = false;
+
+function getJobCollection() {
+    if (!jobs) {
+        jobs = process.env.JOB_STORE === 'file' ? getCollection('jobs') : createMemoryCollection();
+    }
+    return jobs;
+}
+
+function getConcurrency() {
+    return Number(process.env.JOB_CONCURRENCY) || 2;
+}
+
+function registerJobHandler(type, handler, { onDeadLetter } = {}) {
+    handlers.set(type, { handler, onDeadLetter });
+}
+
+// Errors can opt out with `retryable = false`, e.g. a CRM create that may
+// already have gone through
+function isRetryable(error) {
+    if (error?.retryable === false) return false;
+    const status = error?.status || error?.response?.status;
+    if (status === 408 || status === 429 || (status >= 500 && status < 600)) return true;
+    return RETRYABLE_CODES.includes(error?.code);
+}
+
+function getRetryAfterMs(error) {
+    const headers = error?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+function getBackoffMs(attempt, error) {
+    const baseMs = Number(process.env.JOB_RETRY_BASE_MS) || 1000;
+    const maxMs = Number(process.env.JOB_RETRY_MAX_MS) || 60000;
+    const exponential = baseMs * 2 ** (attempt - 1);
+    const jitter = Math.random() * baseMs;
+    return Math.min(maxMs, Math.max(getRetryAfterMs(error) || 0, exponential + jitter));
+}
+
+function describeError(error) {
+    return {
+        message: error.message,
+        code: error.code,
+        status: error.status || error?.response?.status,
+        retryable: isRetryable(error)
+    };
+}
+
+function publicJob(job) {
+    return job && {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.nextAttemptAt,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        completedAt: job.completedAt,
+        result: job.result,
+        lastError: job.lastError,
+        errors: job.errors
+    };
+}
+
+function updateJob(id, patch) {
+    const job = getJobCollection().update(id, patch);
+    events.emit(id, publicJob(job));
+    events.emit('job', publicJob(job));
+    return job;
+}
+
+function submitJob(type, payload, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+    if (!handlers.has(type)) {
+        const err = new Error(`Unknown job type '${type}'. Expected one of: ${[...handlers.keys()].join(', ')}`);
+        err.code = 'UNKNOWN_JOB_TYPE';
+        throw err;
+    }
+
+    const job = getJobCollection().insert({
+        type,
+        status: 'queued',
+        payload,
+        attempts: 0,
+        maxAttempts,
+        nextAttemptAt: null,
+        result: null,
+        lastError: null,
+        errors: [],
+        completedAt: null
+    });
+    setImmediate(pump);
+    return publicJob(job);
+}
+
+function getJob(id) {
+    return publicJob(getJobCollection().get(id));
+}
+
+function listJobs({ status, type } = {}) {
+    return getJobCollection()
+        .list(job => (!status || job.status === status) && (!type || job.type === type))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(publicJob);
+}
+
+// Re-runs a dead job from scratch with a fresh attempt budget, optionally with
+// a corrected payload
+function retryJob(id, { payload } = {}) {
+    const job = getJobCollection().get(id);
+    if (!job) return null;
+    if (job.status !== 'dead') {
+        const err = new Error(`Only dead-lettered jobs can be re-run (job is ${job.status})`);
+        err.code = 'JOB_NOT_RETRYABLE';
+        throw err;
+    }
+
+    const requeued = updateJob(id, {
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: null,
+        completedAt: null,
+        ...(payload ? { payload } : {})
+    });
+    setImmediate(pump);
+    return publicJob(requeued);
+}
+
+function pruneFinishedJobs() {
+    const retentionMs = Number(process.env.JOB_RETENTION_MS) || DEFAULT_RETENTION_MS;
+    const maxFinished = Number(process.env.JOB_MAX_FINISHED) || DEFAULT_MAX_FINISHED;
+    const cutoff = new Date(Date.now() - retentionMs).toISOString();
+    const collection = getJobCollection();
+
+    collection
+        .list(job => TERMINAL_STATUSES.includes(job.status))
+        .sort((a, b) => String(b.completedAt).localeCompare(String(a.completedAt)))
+        .filter((job, index) => index >= maxFinished || String(job.completedAt) < cutoff)
+        .forEach(job => collection.remove(job.id));
+}
+
+function subscribeToJob(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+}
+
+function isReady(job, now) {
+    if (job.status === 'queued') return true;
+    return job.status === 'retrying' && new Date(job.nextAttemptAt).getTime() <= now;
+}
+
+function scheduleWake() {
+    clearTimeout(wakeTimer);
+    const waiting = getJobCollection().list(job => job.status === 'retrying');
+    if (!waiting.length) return;
+
+    const nextAt = Math.min(...waiting.map(job => new Date(job.nextAttemptAt).getTime()));
+    wakeTimer = setTimeout(pump, Math.max(0, nextAt - Date.now()));
+    wakeTimer.unref();
+}
+
+function pump() {
+    const now = Date.now();
+    const ready = getJobCollection()
+        .list(job => isReady(job, now))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    while (running < getConcurrency() && ready.length) {
+        const job = ready.shift();
+        runJob(job).catch(error => console.error(`Job ${job.id} (${job.type}) could not be updated:`, error.message));
+    }
+    scheduleWake();
+}
+
+async function runJob(job) {
+    const { handler, onDeadLetter } = handlers.get(job.type) || {};
+    running++;
+    const attempt = job.attempts + 1;
+    updateJob(job.id, { status: 'running', attempts: attempt, nextAttemptAt: null });
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler registered for job type '${job.type}'`);
+        }
+        const result = await handler(job.payload, { jobId: job.id, attempt });
+        updateJob(job.id, { status: 'succeeded', result, lastError: null, completedAt: new Date().toISOString() });
+    } catch (error) {
+        const lastError = { ...describeError(error), attempt, at: new Date().toISOString() };
+        const errors = [...(job.errors || []), lastError];
+
+        if (lastError.retryable && attempt < job.maxAttempts) {
+            const delay = getBackoffMs(attempt, error);
+            console.warn(`Job ${job.id} (${job.type}) attempt ${attempt} failed, retrying in ${Math.round(delay)}ms: ${error.message}`);
+            updateJob(job.id, {
+                status: 'retrying',
+                lastError,
+                errors,
+                nextAttemptAt: new Date(Date.now() + delay).toISOString()
+            });
+        } else {
+            console.error(`Job ${job.id} (${job.type}) dead-lettered after ${attempt} attempt(s): ${error.message}`);
+            const dead = updateJob(job.id, { status: 'dead', lastError, errors, completedAt: new Date().toISOString() });
+            if (onDeadLetter) {
+                try {
+                    await onDeadLetter(dead.payload, error);
+                } catch (hookError) {
+                    console.error(`Dead-letter hook for job ${job.id} failed:`, hookError.message);
+                }
+            }
+        }
+    } finally {
+        running--;
+        pruneFinishedJobs();
+        setImmediate(pump);
+    }
+}
+
+// Picks up work left behind by a previous process when the durable store is used
+function startJobWorkers() {
+    if (started) return;
+    started = true;
+
+    getJobCollection()
+        .list(job => job.status === 'running')
+        .forEach(job => updateJob(job.id, { status: 'queued' }));
+    pump();
+}
+
+module.exports = {
+    registerJobHandler,
+    submitJob,
+    getJob,
+    listJobs,
+    retryJob,
+    subscribeToJob,
+    startJobWorkers,
+    isRetryable,
+    getBackoffMs,
+    isTerminalStatus: status => TERMINAL_STATUSES.includes(status)
+};
@@ -0,0 +1,81 @@
+const { parseTranscription } = require('./transcript');
+
+// Call language detection. Transcripts keep their "Agent:"/"Customer:" labels
+// whatever language the call is in, so only the turn contents are scored:
+// each supported language has a list of frequent function words, and the
+// language whose words make up most of the matches wins. Calls are analyzed
+// in that language; summaries and actions are additionally written in the
+// agent-desk language (AGENT_DESK_LANGUAGE, English by default).
+const LANGUAGES = {
+    en: {
+        name: 'English',
+        words: ['the', 'and', 'you', 'is', 'to', 'my', 'it', 'that', 'for', 'this', 'have', 'with', 'can', 'was', 'what', 'your', 'thank', 'please']
+    },
+    es: {
+        name: 'Spanish',
+        words: ['el', 'los', 'las', 'que', 'y', 'es', 'en', 'una', 'por', 'para', 'con', 'mi', 'pero', 'muy', 'su', 'usted', 'gracias', 'está', 'del', 'hola']
+    },
+    fr: {
+        name: 'French',
+        words: ['le', 'les', 'des', 'est', 'et', 'je', 'vous', 'pour', 'une', 'pas', 'mon', 'avec', 'sur', 'ce', 'dans', 'merci', 'bonjour', 'votre', 'mais', 'au']
+    },
+    de: {
+        name: 'German',
+        words: ['der', 'die', 'das', 'und', 'ist', 'ich', 'sie', 'nicht', 'ein', 'eine', 'mit', 'für', 'auf', 'mein', 'zu', 'den', 'wir', 'ihre', 'danke', 'bitte']
+    }
+};
+
+const DEFAULT_DESK_LANGUAGE = 'en';
+
+function getSupportedLanguages() {
+    return Object.keys(LANGUAGES);
+}
+
+function getLanguageName(code) {
+    return LANGUAGES[code]?.name || code;
+}
+
+function getAgentDeskLanguage() {
+    const configured = (process.env.AGENT_DESK_LANGUAGE || DEFAULT_DESK_LANGUAGE).trim().toLowerCase();
+    if (!LANGUAGES[configured]) {
+        throw new Error(`Unsupported AGENT_DESK_LANGUAGE '${configured}'. Expected one of: ${getSupportedLanguages().join(', ')}`);
+    }
+    return configured;
+}
+
+function tokenize(text) {
+    return text.toLowerCase().match(/\p{L}+/gu) || [];
+}
+
+// Returns { code, name, confidence, deskLanguage }. Transcripts without any
+// recognizable words are assumed to be in the agent-desk language.
+function detectLanguage(transcription) {
+    const deskLanguage = getAgentDeskLanguage();
+    const turns = parseTranscription(transcription);
+    const text = turns.length ? turns.map(turn => turn.content).join(' ') : String(transcription || '');
+    const counts = Object.fromEntries(getSupportedLanguages().map(code => [code, 0]));
+
+    tokenize(text).forEach(token => {
+        Object.entries(LANGUAGES).forEach(([code, { words }]) => {
+            if (words.includes(token)) counts[code]++;
+        });
+    });
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const [code, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    const detected = total ? code : deskLanguage;
+
+    return {
+        code: detected,
+        name: getLanguageName(detected),
+        confidence: total ? Math.round((count / total) * 100) / 100 : 0,
+        deskLanguage
+    };
+}
+
+module.exports = {
+    detectLanguage,
+    getAgentDeskLanguage,
+    getLanguageName,
+    getSupportedLanguages
+};
@@ -0,0 +1,59 @@
+const { OpenAI } = require('openai');
+const { createChatCompletionsProvider } = require('./chatCompletionsProvider');
+
+const AZURE_API_VERSION = '2024-08-01-preview';
+
+function isConfigured() {
+    return Boolean(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_KEY);
+}
+
+function createAzureOpenAIProvider() {
+    let openaiClient = null;
+
+    function getClient() {
+        if (!openaiClient && isConfigured()) {
+            const cleanEndpoint = process.env.AZURE_OPENAI_ENDPOINT.replace(/\/$/, '');
+            openaiClient = new OpenAI({
+                apiKey: process.env.AZURE_OPENAI_KEY,
+                baseURL: `${cleanEndpoint}/openai/deployments/${process.env.AZURE_OPENAI_DEPLOYMENT}`,
+                defaultQuery: { 'api-version': AZURE_API_VERSION },
+                defaultHeaders: {
+                    'api-key': process.env.AZURE_OPENAI_KEY,
+                }
+            });
+        }
+        if (!openaiClient) {
+            const msg = 'Azure OpenAI client not configured. Please set AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_KEY and AZURE_OPENAI_DEPLOYMENT.';
+            const err = new Error(msg);
+            err.code = 'OPENAI_NOT_CONFIGURED';
+            throw err;
+        }
+        return openaiClient;
+    }
+
+    function describeError(error) {
+        if (error.code === 'OPENAI_NOT_CONFIGURED') {
+            return error;
+        }
+
+        const status = error?.response?.status || error?.status;
+        if (status === 404) {
+            return new Error(`Deployment '${process.env.AZURE_OPENAI_DEPLOYMENT}' not found. Check your deployment name.`);
+        } else if (status === 401) {
+            return new Error(`Authentication failed. Check your API key.`);
+        }
+        return null;
+    }
+
+    return createChatCompletionsProvider({
+        name: 'azure',
+        model: process.env.AZURE_OPENAI_DEPLOYMENT,
+        getClient,
+        describeError
+    });
+}
+
+module.exports = {
+    createAzureOpenAIProvider,
+    isConfigured
+};
@@ -0,0 +1,113 @@
+// Shared structured-output logic for any backend that speaks the OpenAI
+// chat completions API (Azure OpenAI deployments, OpenAI, local servers).
+function createChatCompletionsProvider({ name, model, getClient, responseFormat = 'json_schema', describeError }) {
+    function buildParams({ messages, schemaName, schema }) {
+        return {
+            model,
+            messages: responseFormat === 'json_schema' ? messages : withInlineSchema(messages, schema),
+            response_format: responseFormat === 'json_schema'
+                ? {
+                    type: "json_schema",
+                    json_schema: {
+                        name: schemaName,
+                        strict: true,
+                        schema
+                    }
+                }
+                : { type: "json_object" }
+        };
+    }
+
+    // Try GPT-4 parameters first, fallback to GPT-5 if needed
+    async function createCompletion(client, baseParams, requestOptions) {
+        try {
+            return await client.chat.completions.create({
+                ...baseParams,
+                temperature: 0.1,
+                max_tokens: 1000
+            }, requestOptions);
+        } catch (gpt4Error) {
+            if (gpt4Error.status === 400 &&
+                (gpt4Error.message?.includes('max_tokens') || gpt4Error.message?.includes('temperature'))) {
+                // Retry with GPT-5 compatible parameters
+                return client.chat.completions.create({
+                    ...baseParams,
+                    max_completion_tokens: 2000
+                }, requestOptions);
+            }
+            throw gpt4Error;
+        }
+    }
+
+    function parseContent(rawContent, finishReason) {
+        if (finishReason === 'length') {
+            throw new Error('Response was truncated due to token limit. The analysis may be incomplete.');
+        }
+        if (!rawContent) {
+            throw new Error(`Unexpected ${name} response format: missing content`);
+        }
+
+        try {
+            return JSON.parse(rawContent);
+        } catch (parseErr) {
+            throw new Error('Failed to parse AI response. Response was not valid JSON.');
+        }
+    }
+
+    async function createStructuredCompletion(request) {
+        try {
+            const response = await createCompletion(getClient(), buildParams(request));
+            return parseContent(response?.choices?.[0]?.message?.content, response?.choices?.[0]?.finish_reason);
+        } catch (error) {
+            const described = describeError ? describeError(error) : null;
+            throw described || error;
+        }
+    }
+
+    // Same request with stream: true. onDelta receives the raw JSON text as it
+    // arrives; the parsed object is returned once the stream ends.
+    async function streamStructuredCompletion({ onDelta, signal, ...request }) {
+        try {
+            const stream = await createCompletion(getClient(), { ...buildParams(request), stream: true }, { signal });
+            let rawContent = '';
+            let finishReason = null;
+
+            for await (const chunk of stream) {
+                const choice = chunk.choices?.[0];
+                const delta = choice?.delta?.content;
+                if (delta) {
+                    rawContent += delta;
+                    if (onDelta) onDelta(delta);
+                }
+                if (choice?.finish_reason) finishReason = choice.finish_reason;
+            }
+
+            return parseContent(rawContent, finishReason);
+        } catch (error) {
+            const described = describeError ? describeError(error) : null;
+            throw described || error;
+        }
+    }
+
+    return {
+        name,
+        model,
+        createStructuredCompletion,
+        streamStructuredCompletion
+    };
+}
+
+// Servers without json_schema support only get json_object mode, so the schema
+// travels in the system prompt instead.
+function withInlineSchema(messages, schema) {
+    const schemaInstruction = `Respond with a single JSON object that matches this JSON schema exactly:\n${JSON.stringify(schema)}`;
+    const [first, ...rest] = messages;
+    if (first && first.role === 'system') {
+        return [{ ...first, content: `${first.content}\n\n${schemaInstruction}` }, ...rest];
+    }
+    return [{ role: 'system', content: schemaInstruction }, ...messages];
+}
+
+module.exports = {
+    createChatCompletionsProvider
+};
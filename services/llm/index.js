@@ -0,0 +1,37 @@
+const azure = require('./azureOpenAIProvider');
+const openaiCompatible = require('./openAICompatibleProvider');
+const { createMockProvider } = require('./mockProvider');
+
+const providerFactories = {
+    azure: azure.createAzureOpenAIProvider,
+    openai: openaiCompatible.createOpenAICompatibleProvider,
+    mock: createMockProvider
+};
+
+let llmProvider = null;
+
+// LLM_PROVIDER picks the backend explicitly. When unset we keep the original
+// behaviour (Azure OpenAI) if credentials exist and fall back to the offline
+// mock otherwise, so the demo runs end-to-end without any keys.
+function resolveProviderName() {
+    const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+    if (configured) {
+        if (!providerFactories[configured]) {
+            throw new Error(`Unknown LLM_PROVIDER '${configured}'. Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+        }
+        return configured;
+    }
+    return azure.isConfigured() ? 'azure' : 'mock';
+}
+
+function getLLMProvider() {
+    if (!llmProvider) {
+        llmProvider = providerFactories[resolveProviderName()]();
+    }
+    return llmProvider;
+}
+
+module.exports = {
+    getLLMProvider,
+    resolveProviderName
+};
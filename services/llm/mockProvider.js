@@ -0,0 +1,46 @@
+// Deterministic offline provider. Instead of calling a model it dispatches on
+// the structured-output schema name to a rule-based handler that derives the
+// result from the transcript passed in `context`.
+const handlers = new Map();
+const STREAM_CHUNK_SIZE = 24;
+
+function registerMockHandler(schemaName, handler) {
+    handlers.set(schemaName, handler);
+}
+
+function createMockProvider() {
+    async function createStructuredCompletion({ schemaName, schema, context = {} }) {
+        const handler = handlers.get(schemaName);
+        if (!handler) {
+            throw new Error(`Mock provider has no handler for schema '${schemaName}'`);
+        }
+        return handler(context, schema);
+    }
+
+    // Replays the finished result as a chunked JSON stream so streaming
+    // clients behave the same as against a real model
+    async function streamStructuredCompletion({ onDelta, signal, ...request }) {
+        const result = await createStructuredCompletion(request);
+        const rawContent = JSON.stringify(result);
+        const delayMs = Number(process.env.MOCK_STREAM_DELAY_MS ?? 30);
+
+        for (let offset = 0; offset < rawContent.length; offset += STREAM_CHUNK_SIZE) {
+            if (signal?.aborted) break;
+            if (onDelta) onDelta(rawContent.slice(offset, offset + STREAM_CHUNK_SIZE));
+            if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+        return result;
+    }
+
+    return {
+        name: 'mock',
+        model: 'rule-based',
+        createStructuredCompletion,
+        streamStructuredCompletion
+    };
+}
+
+module.exports = {
+    createMockProvider,
+    registerMockHandler
+};
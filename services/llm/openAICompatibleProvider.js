@@ -0,0 +1,55 @@
+const { OpenAI } = require('openai');
+const { createChatCompletionsProvider } = require('./chatCompletionsProvider');
+
+// Works with api.openai.com as well as local OpenAI-compatible servers
+// (Ollama, LM Studio, vLLM, llama.cpp server).
+function isConfigured() {
+    return Boolean(process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY);
+}
+
+function createOpenAICompatibleProvider() {
+    let openaiClient = null;
+
+    function getClient() {
+        if (!openaiClient && isConfigured()) {
+            openaiClient = new OpenAI({
+                // Local servers usually ignore the key, but the SDK requires one
+                apiKey: process.env.OPENAI_API_KEY || 'not-needed',
+                baseURL: process.env.OPENAI_BASE_URL || undefined
+            });
+        }
+        if (!openaiClient) {
+            const err = new Error('OpenAI-compatible client not configured. Please set OPENAI_BASE_URL and/or OPENAI_API_KEY.');
+            err.code = 'OPENAI_NOT_CONFIGURED';
+            throw err;
+        }
+        return openaiClient;
+    }
+
+    function describeError(error) {
+        if (error.code === 'OPENAI_NOT_CONFIGURED') {
+            return error;
+        }
+
+        const status = error?.response?.status || error?.status;
+        if (status === 404) {
+            return new Error(`Model '${process.env.OPENAI_MODEL}' not found at ${process.env.OPENAI_BASE_URL || 'api.openai.com'}. Check OPENAI_MODEL.`);
+        } else if (status === 401) {
+            return new Error(`Authentication failed. Check your API key.`);
+        }
+        return null;
+    }
+
+    return createChatCompletionsProvider({
+        name: 'openai',
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        getClient,
+        responseFormat: process.env.OPENAI_RESPONSE_FORMAT === 'json_object' ? 'json_object' : 'json_schema',
+        describeError
+    });
+}
+
+module.exports = {
+    createOpenAICompatibleProvider,
+    isConfigured
+};
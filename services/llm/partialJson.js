@@ -0,0 +1,57 @@
+// Incremental reader for a streamed JSON object. Text is fed in as it arrives
+// and onField fires for each top-level property as soon as its value is
+// complete, so callers can act on "sentiment" long before "summary" arrives.
+function createPartialJsonParser(onField) {
+    let buffer = '';
+    let position = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let fieldStart = -1;
+
+    function emitField(end) {
+        const member = buffer.slice(fieldStart, end).trim();
+        fieldStart = end + 1;
+        if (!member) return;
+
+        try {
+            const [[name, value]] = Object.entries(JSON.parse(`{${member}}`));
+            onField(name, value);
+        } catch (parseErr) {
+            // Malformed member; the final JSON.parse of the whole response reports it
+        }
+    }
+
+    function push(text) {
+        buffer += text;
+
+        for (; position < buffer.length; position++) {
+            const char = buffer[position];
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                depth++;
+                if (depth === 1) fieldStart = position + 1;
+            } else if (char === '}' || char === ']') {
+                if (depth === 1) emitField(position);
+                depth--;
+            } else if (char === ',' && depth === 1) {
+                emitField(position);
+            }
+        }
+    }
+
+    return { push };
+}
+
+module.exports = {
+    createPartialJsonParser
+};
@@ -0,0 +1,184 @@
+// PII redaction for transcripts. Detected values are replaced with stable
+// tokens ("[EMAIL_1]") so the model can still refer to them, and the token
+// vault maps them back afterwards.
+//
+// REDACTION_POLICY:
+//   off   - transcripts reach the model and the case store unchanged (default)
+//   model - the model only sees tokens; its output is re-hydrated so reviewers
+//           and the CRM get the real values
+//   all   - as "model", but the stored transcript stays redacted and only the
+//           keyInformation fields in REDACTION_REHYDRATE_FIELDS get real values
+//           back; everything else reaches the CRM as tokens
+//
+// REDACTION_ENTITIES limits which entity types are detected (comma-separated,
+// default all). Audits record types, tokens and counts, never the values.
+const POLICIES = ['off', 'model', 'all'];
+
+// Order matters: card numbers are masked before the phone pattern can claim
+// part of them
+const ENTITY_DETECTORS = [
+    {
+        type: 'email',
+        patterns: [/[\w.+-]+@[\w-]+\.[\w.-]+\w/g]
+    },
+    {
+        type: 'payment_card',
+        patterns: [
+            /\b\d(?:[ -]?\d){12,18}\b/g,
+            /(?<=\b(?:card|account)\s+(?:number\s+)?)ending\s+in\s+\d{4}\b/gi
+        ],
+        accept: value => /ending/i.test(value) || passesLuhnCheck(value)
+    },
+    {
+        type: 'ssn',
+        patterns: [
+            /\b\d{3}-\d{2}-\d{4}\b/g,
+            /\b(?:social security|SSN|tax id)(?:\s+number)?(?:\s+is)?[:\s]+(\d{9})\b/gi
+        ]
+    },
+    {
+        type: 'phone',
+        patterns: [
+            /(?:\+\d{1,2}[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g,
+            /(?<=\bnumber\s+)ending\s+in\s+\d{4}\b/gi
+        ]
+    },
+    {
+        type: 'address',
+        patterns: [/\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl)\b\.?/g]
+    }
+];
+
+const TOKEN_PATTERN = /\[[A-Z_]+_\d+\]/g;
+
+// A value the model only ever saw as a token ("[EMAIL_1]"); tokens are per
+// call, so two of them say nothing about being the same customer
+function isRedactionToken(value) {
+    return typeof value === 'string' && /^\[[A-Z_]+_\d+\]$/.test(value.trim());
+}
+
+// Placeholders left in a text, e.g. a summary stored under the "all" policy
+function findRedactionTokens(text) {
+    return [...new Set(String(text || '').match(TOKEN_PATTERN) || [])];
+}
+
+function passesLuhnCheck(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+function getRedactionPolicy() {
+    const policy = (process.env.REDACTION_POLICY || 'off').trim().toLowerCase();
+    if (!POLICIES.includes(policy)) {
+        throw new Error(`Unknown REDACTION_POLICY '${policy}'. Expected one of: ${POLICIES.join(', ')}`);
+    }
+    return policy;
+}
+
+function getEnabledEntityTypes() {
+    const configured = (process.env.REDACTION_ENTITIES || '').split(',').map(type => type.trim()).filter(Boolean);
+    const known = ENTITY_DETECTORS.map(detector => detector.type);
+    const unknown = configured.filter(type => !known.includes(type));
+    if (unknown.length) {
+        throw new Error(`Unknown REDACTION_ENTITIES ${unknown.join(', ')}. Expected any of: ${known.join(', ')}`);
+    }
+    return configured.length ? configured : known;
+}
+
+function getRehydrateFields() {
+    return (process.env.REDACTION_REHYDRATE_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean);
+}
+
+// One vault per call so the same value always gets the same token across the
+// transcript and its turns
+function createRedactor({ entityTypes = getEnabledEntityTypes() } = {}) {
+    const tokensByValue = new Map();
+    const entities = new Map();
+    const counters = {};
+
+    function tokenFor(type, value) {
+        const key = `${type}:${value}`;
+        if (!tokensByValue.has(key)) {
+            counters[type] = (counters[type] || 0) + 1;
+            const token = `[${type.toUpperCase()}_${counters[type]}]`;
+            tokensByValue.set(key, token);
+            entities.set(token, { type, value, occurrences: 0 });
+        }
+        const token = tokensByValue.get(key);
+        entities.get(token).occurrences++;
+        return token;
+    }
+
+    function redact(text) {
+        if (typeof text !== 'string' || !text) return text;
+
+        return ENTITY_DETECTORS
+            .filter(detector => entityTypes.includes(detector.type))
+            .reduce((current, detector) => detector.patterns.reduce((partial, pattern) =>
+                partial.replace(pattern, (match, group) => {
+                    // Patterns with a capture group only mask the captured id
+                    const value = typeof group === 'string' ? group : match;
+                    if (detector.accept && !detector.accept(value)) return match;
+                    return match.replace(value, tokenFor(detector.type, value));
+                }), current), text);
+    }
+
+    function rehydrate(value) {
+        if (typeof value === 'string') {
+            return value.replace(TOKEN_PATTERN, token => (entities.has(token) ? entities.get(token).value : token));
+        }
+        if (Array.isArray(value)) return value.map(rehydrate);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, rehydrate(item)]));
+        }
+        return value;
+    }
+
+    function audit(policy) {
+        const counts = {};
+        const tokens = [...entities.entries()].map(([token, entity]) => {
+            counts[entity.type] = (counts[entity.type] || 0) + entity.occurrences;
+            return { token, type: entity.type, occurrences: entity.occurrences };
+        });
+        return {
+            policy,
+            entityTypes,
+            redactedAt: new Date().toISOString(),
+            totalRedactions: tokens.reduce((total, entry) => total + entry.occurrences, 0),
+            counts,
+            tokens
+        };
+    }
+
+    return { redact, rehydrate, audit };
+}
+
+// Re-hydrates a model analysis according to the policy. Under "all" only the
+// allow-listed keyInformation fields get their real values back.
+function rehydrateAnalysis(redactor, analysis, policy) {
+    if (policy !== 'all') return redactor.rehydrate(analysis);
+
+    const allowedFields = getRehydrateFields();
+    const keyInformation = { ...(analysis.keyInformation || {}) };
+    allowedFields.forEach(field => {
+        if (field in keyInformation) keyInformation[field] = redactor.rehydrate(keyInformation[field]);
+    });
+    return { ...analysis, keyInformation };
+}
+
+module.exports = {
+    createRedactor,
+    getRedactionPolicy,
+    isRedactionToken,
+    findRedactionTokens,
+    rehydrateAnalysis
+};
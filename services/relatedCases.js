@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const caseStore = require('./caseStore');
+const { isRedactionToken } = require('./redaction');
+
+// Repeat-caller detection (config/related-cases.json, or the file named by
+// RELATED_CASES_FILE). "identifiers" names the keyInformation fields that
+// identify a customer and how each is compared: "email" ignores case, "phone"
+// compares the last ten digits (partial numbers such as "ending in 4578" are
+// skipped) and "reference" (order and booking numbers) ignores case, spaces
+// and dashes. Earlier cases within "lookbackDays" that share an identifier of
+// the same kind are related, whether they are in the local case store or only
+// in the CRM (connectors may implement findRelatedCases). Local cases count
+// once finalized, and once per call: re-analyses of a call, and of the call
+// being looked at, are not prior contacts. More than
+// repeatContacts.maxPriorContacts of them raise the escalation risk the case
+// is routed with to repeatContacts.escalationRisk.
+const ESCALATION_LEVELS = ['low', 'medium', 'high'];
+const MIN_PHONE_DIGITS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+let cachedConfig = null;
+
+const normalizers = {
+    email: value => value.toLowerCase(),
+    phone: value => {
+        const digits = value.replace(/\D/g, '');
+        return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-10) : null;
+    },
+    reference: value => value.replace(/[\s-]/g, '').toUpperCase()
+};
+
+function getConfigPath() {
+    return process.env.RELATED_CASES_FILE || path.join(__dirname, '..', 'config', 'related-cases.json');
+}
+
+function getRelatedCasesConfig() {
+    if (!cachedConfig) {
+        const config = JSON.parse(fs.readFileSync(getConfigPath(), 'utf8'));
+        Object.entries(config.identifiers || {}).forEach(([field, type]) => {
+            if (!normalizers[type]) {
+                throw new Error(`Related cases identifier '${field}': unknown type '${type}'. Expected one of: ${Object.keys(normalizers).join(', ')}`);
+            }
+        });
+
+        const repeatContacts = config.repeatContacts || {};
+        if (!ESCALATION_LEVELS.includes(repeatContacts.escalationRisk)) {
+            throw new Error(`Related cases repeatContacts.escalationRisk must be one of: ${ESCALATION_LEVELS.join(', ')}`);
+        }
+
+        cachedConfig = {
+            lookbackDays: Number(config.lookbackDays) || 90,
+            maxResults: Number(config.maxResults) || 10,
+            identifiers: config.identifiers || {},
+            repeatContacts: {
+                maxPriorContacts: Number(repeatContacts.maxPriorContacts) || 0,
+                escalationRisk: repeatContacts.escalationRisk
+            }
+        };
+    }
+    return cachedConfig;
+}
+
+// [{ field, type, value, normalized }] for the identifier fields the analysis
+// filled in
+function extractIdentifiers(analysis) {
+    const keyInformation = analysis?.keyInformation || {};
+    return Object.entries(getRelatedCasesConfig().identifiers).flatMap(([field, type]) => {
+        const value = keyInformation[field] === null || keyInformation[field] === undefined ? '' : String(keyInformation[field]).trim();
+        if (!value || isRedactionToken(value)) return [];
+        const normalized = normalizers[type](value);
+        return normalized ? [{ field, type, value, normalized }] : [];
+    });
+}
+
+function findMatchingFields(identifiers, candidates) {
+    return identifiers
+        .filter(identifier => candidates.some(candidate => candidate.type === identifier.type && candidate.normalized === identifier.normalized))
+        .map(identifier => identifier.field);
+}
+
+function findLocalCases(identifiers, { caseId, callKey, since, before }) {
+    return caseStore.dedupeByCall(caseStore.listCases({ from: since, status: 'finalized' }))
+        .filter(candidate => candidate.id !== caseId && caseStore.getCallKey(candidate) !== callKey &&
+            (!before || candidate.createdAt < before))
+        .map(candidate => {
+            const analysis = caseStore.getEffectiveAnalysis(candidate) || {};
+            const matchedOn = findMatchingFields(identifiers, extractIdentifiers(analysis));
+            if (!matchedOn.length) return null;
+            return {
+                caseId: candidate.id,
+                crmCaseId: candidate.crmRecord?.caseId || null,
+                externalId: candidate.crmRecord?.externalId || null,
+                connector: candidate.crmRecord?.connector || null,
+                title: candidate.crmRecord?.title || null,
+                intent: analysis.primaryIntent || null,
+                summary: analysis.summary || null,
+                status: candidate.status,
+                createdAt: candidate.createdAt,
+                url: candidate.crmRecord?.recordUrl || null,
+                matchedOn,
+                sources: ['local']
+            };
+        })
+        .filter(Boolean);
+}
+
+// CRM records already known locally (same connector and case number) are
+// merged into the local entry
+async function addCrmCases(related, identifiers, connector, { since, before, limit }) {
+    const found = await connector.findRelatedCases({ identifiers, since, limit });
+    found
+        .filter(item => !before || !item.createdAt || item.createdAt < before)
+        .forEach(item => {
+            const known = related.find(entry => entry.connector === connector.name && entry.crmCaseId === item.caseId);
+            if (known) {
+                known.sources.push('crm');
+                known.matchedOn = [...new Set([...known.matchedOn, ...(item.matchedOn || [])])];
+                return;
+            }
+            related.push({
+                caseId: null,
+                crmCaseId: item.caseId,
+                externalId: item.externalId || null,
+                connector: connector.name,
+                title: item.title || null,
+                intent: null,
+                summary: null,
+                status: item.status || null,
+                createdAt: item.createdAt || null,
+                url: item.url || null,
+                matchedOn: item.matchedOn || [],
+                sources: ['crm']
+            });
+        });
+}
+
+function assessRepeatContacts(analysis, priorContacts) {
+    const { lookbackDays, repeatContacts } = getRelatedCasesConfig();
+    if (priorContacts <= repeatContacts.maxPriorContacts) return null;
+
+    const from = analysis?.escalationRisk || null;
+    if (ESCALATION_LEVELS.indexOf(from) >= ESCALATION_LEVELS.indexOf(repeatContacts.escalationRisk)) return null;
+    return {
+        from,
+        to: repeatContacts.escalationRisk,
+        reason: `escalation risk raised from ${from || 'unset'} to ${repeatContacts.escalationRisk} after ${priorContacts} prior contacts in ${lookbackDays} days`
+    };
+}
+
+// Prior cases of the same customer, newest first. `caseId` is the case being
+// looked at: it is left out, and so is anything created after it. A CRM
+// lookup that fails is reported as lookupError rather than thrown, so it
+// never holds up the case. parentCase is the newest related case the
+// connector knows by its own id, for connectors that link cases.
+async function findRelatedCases({ analysis, caseId, connector } = {}) {
+    const { lookbackDays, maxResults, repeatContacts } = getRelatedCasesConfig();
+    const identifiers = extractIdentifiers(analysis);
+    const since = new Date(Date.now() - lookbackDays * DAY_MS).toISOString();
+    const currentCase = caseId ? caseStore.getCase(caseId) : null;
+    const before = currentCase?.createdAt;
+    const callKey = currentCase ? caseStore.getCallKey(currentCase) : null;
+    const related = identifiers.length ? findLocalCases(identifiers, { caseId, callKey, since, before }) : [];
+
+    let lookupError = null;
+    if (identifiers.length && typeof connector?.findRelatedCases === 'function') {
+        try {
+            await addCrmCases(related, identifiers, connector, { since, before, limit: maxResults });
+        } catch (error) {
+            console.warn(`Related case lookup in ${connector.label} failed: ${error.message}`);
+            lookupError = error.message;
+        }
+    }
+
+    related.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+    const priorContacts = related.length;
+    return {
+        identifiers: identifiers.map(({ field, type, value }) => ({ field, type, value })),
+        lookbackDays,
+        priorContacts,
+        repeatCaller: priorContacts > repeatContacts.maxPriorContacts,
+        escalation: assessRepeatContacts(analysis, priorContacts),
+        parentCase: related.find(entry => connector && entry.connector === connector.name && entry.externalId) || null,
+        cases: related.slice(0, maxResults),
+        lookupError
+    };
+}
+
+// The analysis as the CRM should see it
+function applyRepeatContactEscalation(analysis, related) {
+    return related?.escalation ? { ...analysis, escalationRisk: related.escalation.to } : analysis;
+}
+
+module.exports = {
+    getRelatedCasesConfig,
+    extractIdentifiers,
+    findRelatedCases,
+    applyRepeatContactEscalation
+};
@@ -0,0 +1,112 @@
+const { getCollection } = require('./store/jsonFileStore');
+const { endOfDayIfDateOnly } = require('./caseStore');
+const { formatCsv, formatJsonl } = require('./exportFormats');
+
+// What reviewers changed before a case went to the CRM: one document per
+// finalized review with every edited field, the AI value and the human value.
+// Exported as labeled examples (GET /api/review-edits/export) for prompt tuning.
+// confidenceScore and evidence are model metadata and not compared.
+const reviews = () => getCollection('reviewEdits');
+
+const SCALAR_FIELDS = ['sentiment', 'escalationRisk', 'primaryIntent', 'summary'];
+const LIST_FIELDS = ['suggestedActions', 'commitments'];
+const CSV_COLUMNS = ['caseId', 'schemaId', 'reviewer', 'reviewedAt', 'field', 'changeType', 'aiValue', 'humanValue', 'provider', 'model', 'promptVersion'];
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function classifyChange(aiValue, humanValue) {
+    if (isBlank(aiValue)) return 'added';
+    if (isBlank(humanValue)) return 'removed';
+    return 'changed';
+}
+
+// Lists are compared as sets: reordering is not an edit
+function diffAnalyses(aiAnalysis, humanAnalysis) {
+    const ai = aiAnalysis || {};
+    const human = humanAnalysis || {};
+    const edits = [];
+
+    SCALAR_FIELDS.forEach(field => {
+        if ((ai[field] ?? null) !== (human[field] ?? null)) {
+            edits.push({ field, changeType: classifyChange(ai[field], human[field]), aiValue: ai[field] ?? null, humanValue: human[field] ?? null });
+        }
+    });
+
+    const keyInformationFields = new Set([...Object.keys(ai.keyInformation || {}), ...Object.keys(human.keyInformation || {})]);
+    keyInformationFields.forEach(name => {
+        const aiValue = isBlank(ai.keyInformation?.[name]) ? null : ai.keyInformation[name];
+        const humanValue = isBlank(human.keyInformation?.[name]) ? null : human.keyInformation[name];
+        if (aiValue !== humanValue) {
+            edits.push({ field: `keyInformation.${name}`, changeType: classifyChange(aiValue, humanValue), aiValue, humanValue });
+        }
+    });
+
+    LIST_FIELDS.forEach(field => {
+        const aiItems = ai[field] || [];
+        const humanItems = human[field] || [];
+        aiItems.filter(item => !humanItems.includes(item))
+            .forEach(item => edits.push({ field, changeType: 'removed', aiValue: item, humanValue: null }));
+        humanItems.filter(item => !aiItems.includes(item))
+            .forEach(item => edits.push({ field, changeType: 'added', aiValue: null, humanValue: item }));
+    });
+
+    return edits;
+}
+
+function recordReview({ caseRecord, reviewedAnalysis, reviewer }) {
+    return reviews().insert({
+        caseId: caseRecord.id,
+        schemaId: caseRecord.schemaId,
+        scenarioId: caseRecord.scenarioId,
+        reviewer: reviewer || null,
+        reviewedAt: new Date().toISOString(),
+        provider: caseRecord.provider,
+        // The prompt that produced the AI values, which may predate a prompt change
+        promptVersion: caseRecord.promptVersion || null,
+        edits: diffAnalyses(caseRecord.aiAnalysis, reviewedAnalysis)
+    });
+}
+
+function listReviews({ caseId, reviewer, from, to } = {}) {
+    return reviews()
+        .list(review => (!caseId || review.caseId === caseId) &&
+            (!reviewer || review.reviewer === reviewer) &&
+            (!from || review.reviewedAt >= new Date(from).toISOString()) &&
+            (!to || review.reviewedAt <= endOfDayIfDateOnly(to).toISOString()))
+        .sort((a, b) => b.reviewedAt.localeCompare(a.reviewedAt));
+}
+
+// One row per edited field. With a transcript lookup each row also carries
+// the call it was labeled from.
+function flattenReviews(reviewList, { field, getTranscript } = {}) {
+    return reviewList.flatMap(review => review.edits
+        .filter(edit => !field || edit.field === field || edit.field.startsWith(`${field}.`))
+        .map(edit => ({
+            caseId: review.caseId,
+            schemaId: review.schemaId,
+            reviewer: review.reviewer,
+            reviewedAt: review.reviewedAt,
+            ...edit,
+            provider: review.provider?.name || null,
+            model: review.provider?.model || null,
+            promptVersion: review.promptVersion,
+            ...(getTranscript && { transcription: getTranscript(review.caseId) })
+        })));
+}
+
+function formatRows(rows, format) {
+    if (format === 'csv') {
+        return formatCsv(rows, rows.some(row => 'transcription' in row) ? [...CSV_COLUMNS, 'transcription'] : CSV_COLUMNS);
+    }
+    return formatJsonl(rows);
+}
+
+module.exports = {
+    diffAnalyses,
+    recordReview,
+    listReviews,
+    flattenReviews,
+    formatRows
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// Per-field confidence thresholds (config/review-thresholds.json, or the file
+// named by REVIEW_THRESHOLDS_FILE). A field's threshold is looked up by its
+// full path ("keyInformation.customerEmail", "commitments.0"), then by its
+// top-level name ("keyInformation", "commitments"), then "default".
+//
+// Values below their threshold are flagged for the reviewer. An analysis with
+// no flagged values and nothing ungrounded is eligible for automatic approval,
+// which only happens when "autoApprove" is true. A call where the customer
+// ends unhappy also flags a "low" escalationRisk, whatever its confidence.
+let cachedThresholds = null;
+
+function getThresholdsPath() {
+    return process.env.REVIEW_THRESHOLDS_FILE || path.join(__dirname, '..', 'config', 'review-thresholds.json');
+}
+
+function getReviewThresholds() {
+    if (!cachedThresholds) {
+        const config = JSON.parse(fs.readFileSync(getThresholdsPath(), 'utf8'));
+        cachedThresholds = {
+            autoApprove: config.autoApprove === true,
+            default: typeof config.default === 'number' ? config.default : 0.7,
+            fields: config.fields || {}
+        };
+    }
+    return cachedThresholds;
+}
+
+function getFieldThreshold(fieldPath, thresholds) {
+    const topLevel = fieldPath.split('.')[0];
+    return thresholds.fields[fieldPath] ?? thresholds.fields[topLevel] ?? thresholds.default;
+}
+
+function assessReview(analysis, { grounding, sentimentTimeline } = {}) {
+    const thresholds = getReviewThresholds();
+    const evidence = analysis?.evidence || {};
+    const lowConfidence = [];
+
+    function check(fieldPath, entry) {
+        const threshold = getFieldThreshold(fieldPath, thresholds);
+        const confidence = typeof entry?.confidence === 'number' ? entry.confidence : null;
+        if (confidence === null || confidence < threshold) {
+            lowConfidence.push({ field: fieldPath, confidence, threshold });
+        }
+    }
+
+    ['sentiment', 'escalationRisk', 'primaryIntent'].forEach(field => check(field, evidence[field]));
+    const trajectory = sentimentTimeline?.trajectory;
+    const endsUnhappy = trajectory && ['negative', 'frustrated'].includes(trajectory.end.sentiment) && trajectory.trend !== 'improving';
+    if (endsUnhappy && analysis?.escalationRisk === 'low' && !lowConfidence.some(entry => entry.field === 'escalationRisk')) {
+        lowConfidence.push({
+            field: 'escalationRisk',
+            confidence: evidence.escalationRisk?.confidence ?? null,
+            threshold: getFieldThreshold('escalationRisk', thresholds),
+            reason: `Customer ended the call ${trajectory.end.sentiment}`
+        });
+    }
+    // Empty fields have nothing to approve
+    Object.entries(analysis?.keyInformation || {})
+        .filter(([, value]) => value !== null && value !== '')
+        .forEach(([name]) => check(`keyInformation.${name}`, evidence.keyInformation?.[name]));
+    (analysis?.commitments || []).forEach((commitment, index) => {
+        check(`commitments.${index}`, (evidence.commitments || []).find(entry => entry.text === commitment));
+    });
+
+    const ungroundedCount = grounding?.ungroundedCount || 0;
+    const eligible = lowConfidence.length === 0 && ungroundedCount === 0;
+    return {
+        eligible,
+        autoApprove: eligible && thresholds.autoApprove,
+        lowConfidence,
+        ungroundedCount,
+        assessedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    assessReview,
+    getReviewThresholds
+};
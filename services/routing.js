@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { getIntentTaxonomy, getTaxonomyIntent, resolveIntent } = require('./intentTaxonomy');
+const { getSlaConfig } = require('./sla');
+
+// Case routing rules (config/routing-rules.json, or the file named by
+// ROUTING_RULES_FILE) pick the team, queue, priority and business-hours
+// calendar of the CRM case; the SLA deadlines follow from the priority and
+// calendar (services/sla.js). Rules are tried in order and the first one
+// whose conditions all hold wins; its route fields override "default". A
+// condition names a field of the routing context and the value, or list of
+// values, it accepts. "category" matches any category above the intent in the
+// taxonomy, so "product" also covers the intents of its subcategories.
+const CONDITION_FIELDS = ['intent', 'category', 'sentiment', 'escalationRisk', 'customerTier', 'lineOfBusiness'];
+const ROUTE_FIELDS = ['team', 'queue', 'priority'];
+const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+let cachedRules = null;
+
+function getRulesPath() {
+    return process.env.ROUTING_RULES_FILE || path.join(__dirname, '..', 'config', 'routing-rules.json');
+}
+
+function createRoutingError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_REQUEST';
+    return err;
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+// Typos in a rule would otherwise just never match, so they fail at load
+function findConfigProblems(config) {
+    const categoryIds = new Set(getIntentTaxonomy().intents.flatMap(intent => intent.categories.map(category => category.id)));
+    const slaConfig = getSlaConfig();
+    const problems = [];
+
+    function checkRoute(route, where) {
+        if (route.priority !== undefined && !PRIORITIES.includes(route.priority)) {
+            problems.push(`${where}: priority must be one of ${PRIORITIES.join(', ')}`);
+        }
+        if (route.priority !== undefined && !slaConfig.targets[route.priority]) {
+            problems.push(`${where}: priority '${route.priority}' has no SLA target`);
+        }
+        if (route.calendar !== undefined && !slaConfig.calendars[route.calendar]) {
+            problems.push(`${where}: unknown SLA calendar '${route.calendar}'`);
+        }
+    }
+
+    ROUTE_FIELDS.filter(field => !config.default?.[field]).forEach(field => problems.push(`default: ${field} is required`));
+    checkRoute(config.default || {}, 'default');
+    if (!(config.customerTiers || []).includes(config.defaultCustomerTier)) {
+        problems.push(`defaultCustomerTier '${config.defaultCustomerTier}' is not one of customerTiers`);
+    }
+
+    (config.rules || []).forEach((rule, index) => {
+        const where = `rule '${rule.id || index + 1}'`;
+        if (!rule.id) problems.push(`${where}: id is required`);
+        Object.entries(rule.when || {}).forEach(([field, expected]) => {
+            const values = toList(expected);
+            if (!CONDITION_FIELDS.includes(field)) {
+                problems.push(`${where}: unknown condition '${field}'. Expected one of: ${CONDITION_FIELDS.join(', ')}`);
+            } else if (field === 'intent') {
+                values.filter(id => !getTaxonomyIntent(id)).forEach(id => problems.push(`${where}: intent '${id}' is not in the intent taxonomy`));
+            } else if (field === 'category') {
+                values.filter(id => !categoryIds.has(id)).forEach(id => problems.push(`${where}: category '${id}' is not in the intent taxonomy`));
+            } else if (field === 'customerTier') {
+                values.filter(tier => !config.customerTiers.includes(tier)).forEach(tier => problems.push(`${where}: unknown customer tier '${tier}'`));
+            }
+        });
+        checkRoute(rule.route || {}, where);
+    });
+    return problems;
+}
+
+function getRoutingRules() {
+    if (!cachedRules) {
+        const config = JSON.parse(fs.readFileSync(getRulesPath(), 'utf8'));
+        const problems = findConfigProblems(config);
+        if (problems.length) {
+            throw new Error(`Invalid routing rules (${getRulesPath()}): ${problems.join('; ')}`);
+        }
+        cachedRules = {
+            customerTiers: config.customerTiers,
+            defaultCustomerTier: config.defaultCustomerTier,
+            default: config.default,
+            rules: config.rules || []
+        };
+    }
+    return cachedRules;
+}
+
+// An explicit tier must be a configured one; a tier the schema extracted as
+// keyInformation.customerTier is only used when it is
+function resolveCustomerTier(customerTier, analysis) {
+    const { customerTiers, defaultCustomerTier } = getRoutingRules();
+    if (customerTier !== undefined && customerTier !== null && customerTier !== '') {
+        if (!customerTiers.includes(customerTier)) {
+            throw createRoutingError(`Unknown customer tier '${customerTier}'. Expected one of: ${customerTiers.join(', ')}`);
+        }
+        return customerTier;
+    }
+    const extracted = String(analysis?.keyInformation?.customerTier || '').trim().toLowerCase();
+    return customerTiers.includes(extracted) ? extracted : defaultCustomerTier;
+}
+
+// What the rules see. An intent outside the taxonomy (cases analyzed before
+// it existed) is mapped onto it, or routed as the fallback intent.
+function buildRoutingContext({ analysis, schemaId, customerTier } = {}) {
+    const intent = getTaxonomyIntent(resolveIntent(analysis?.primaryIntent) || getIntentTaxonomy().fallbackIntent);
+    return {
+        intent: intent.id,
+        category: intent.categories.map(category => category.id),
+        sentiment: analysis?.sentiment ?? null,
+        escalationRisk: analysis?.escalationRisk ?? null,
+        customerTier: resolveCustomerTier(customerTier, analysis),
+        lineOfBusiness: schemaId || null
+    };
+}
+
+function checkCondition(field, expected, context) {
+    const accepted = toList(expected);
+    const actual = context[field];
+    const matched = Array.isArray(actual) ? actual.some(value => accepted.includes(value)) : accepted.includes(actual);
+    return { field, expected: accepted, actual, matched };
+}
+
+function explainRoute(rule, conditions) {
+    if (!rule) return 'No rule matched; the default route applies';
+    const reasons = conditions.map(({ field, expected, actual }) => `${field} is ${toList(actual).filter(value => expected.includes(value)).join(', ')}`);
+    const description = rule.description ? ` (${rule.description})` : '';
+    return `Rule '${rule.id}'${description} matched: ${reasons.join(', ') || 'it has no conditions'}`;
+}
+
+// Returns the route (team, queue, priority, SLA calendar, intent label and
+// category), the rule that chose it (null for the default) with a readable
+// explanation, the context the rules saw, and every rule tried with the
+// outcome of each of its conditions. `escalation` ({ to, reason }, from
+// services/relatedCases.js) raises the escalation risk the rules see for
+// repeat callers.
+function routeCase({ analysis, schemaId, customerTier, escalation } = {}) {
+    const rules = getRoutingRules();
+    const routedAnalysis = escalation ? { ...analysis, escalationRisk: escalation.to } : analysis;
+    const context = buildRoutingContext({ analysis: routedAnalysis, schemaId, customerTier });
+    const trace = [];
+    const matchedRule = rules.rules.find(rule => {
+        const conditions = Object.entries(rule.when || {}).map(([field, expected]) => checkCondition(field, expected, context));
+        const matched = conditions.every(condition => condition.matched);
+        trace.push({ rule: rule.id, matched, conditions });
+        return matched;
+    });
+
+    const route = { ...rules.default, ...(matchedRule?.route || {}) };
+    const intent = getTaxonomyIntent(context.intent);
+    return {
+        team: route.team,
+        queue: route.queue,
+        priority: route.priority,
+        calendar: route.calendar || getSlaConfig().defaultCalendar,
+        intent: intent.id,
+        intentLabel: intent.label,
+        category: intent.categories.map(category => category.label).join(' / '),
+        customerTier: context.customerTier,
+        rule: matchedRule ? { id: matchedRule.id, description: matchedRule.description || null } : null,
+        explanation: [explainRoute(matchedRule, matchedRule ? trace[trace.length - 1].conditions : []), escalation?.reason]
+            .filter(Boolean)
+            .join('; '),
+        context,
+        trace
+    };
+}
+
+module.exports = {
+    getRoutingRules,
+    resolveCustomerTier,
+    routeCase
+};
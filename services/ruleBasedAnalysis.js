@@ -0,0 +1,220 @@
+const { parseTranscription, splitSentences } = require('./transcript');
+const { getAgentDeskLanguage } = require('./language');
+
+// Keyword heuristics used by the offline mock provider. They are intentionally
+// simple: the goal is a plausible, schema-valid analysis derived from the
+// transcript, not a replacement for the model. Each list has the English cues
+// first, then Spanish, French and German ones.
+const SENTIMENT_CUES = {
+    frustrated: ['frustrat', 'third time', 'keep calling', 'shouldn\'t have to', 'unacceptable', 'ridiculous', 'switching to another', 'fed up',
+        'frustrad', 'tercera vez', 'inaceptable', 'harto', 'harta', 'marre', 'inacceptable', 'troisième fois', 'inakzeptabel', 'unverschämt', 'dritte mal'],
+    negative: ['issue', 'problem', 'cutting out', 'error', 'locked out', 'defective', 'not working', 'disappointed', 'never selected',
+        'no funciona', 'cancelado', 'problème', 'annulé', 'inquiet', 'ne fonctionne pas', 'defekt', 'kaputt', 'funktioniert nicht', 'lässt sich nicht'],
+    positive: ['happy', 'love', 'fantastic', 'wonderful', 'excellent', 'great', 'appreciate', 'perfect', 'exactly what i need',
+        'perfecto', 'muchas gracias', 'genial', 'parfait', 'merci beaucoup', 'génial', 'wunderbar', 'hilfreich', 'vielen dank']
+};
+
+const ESCALATION_CUES = ['third time', 'switching', 'cancel', 'supervisor', 'manager', 'lawyer', 'complaint', 'consider switching', 'shouldn\'t have to',
+    'tercera vez', 'otra compañía', 'abogado', 'reclamación', 'troisième fois', 'responsable', 'avocat', 'plainte', 'dritte mal', 'vorgesetzt', 'anwalt', 'beschwerde'];
+
+// Intent keywords, their follow-up actions and the keyInformation patterns
+// come from the analysis schema definition (config/schemas)
+const FALLBACK_INTENT = { id: 'general_inquiry', actions: ['Review call notes', 'Follow up with customer'] };
+
+const COMMITMENT_PATTERN = /\b(I'll|I will|I'm going to|we'll|we will|you'll|you should receive|will call|will send|voy a|vamos a|le llamar|je vais|nous allons|vous recevrez|ich werde|wir werden|Sie erhalten)\b/i;
+
+// The mock does not translate: summaries come from these sentence templates
+// with the customer's opening words quoted as said, and suggested actions are
+// the configured (English) ones in both languages.
+const SUMMARY_TEMPLATES = {
+    en: {
+        opening: intent => `Customer contacted support regarding ${intent}.`,
+        commitments: count => `Agent made ${count} commitment${count === 1 ? '' : 's'} to the customer.`
+    },
+    es: {
+        opening: intent => `El cliente contactó con soporte por ${intent}.`,
+        commitments: count => `El agente asumió ${count} compromiso${count === 1 ? '' : 's'} con el cliente.`
+    },
+    fr: {
+        opening: intent => `Le client a contacté le support au sujet de ${intent}.`,
+        commitments: count => `L'agent a pris ${count} engagement${count === 1 ? '' : 's'} envers le client.`
+    },
+    de: {
+        opening: intent => `Der Kunde hat den Support wegen ${intent} kontaktiert.`,
+        commitments: count => `Der Mitarbeiter hat dem Kunden ${count} Zusage${count === 1 ? '' : 'n'} gemacht.`
+    }
+};
+
+function countCues(text, cues) {
+    return cues.reduce((count, cue) => count + (text.includes(cue) ? 1 : 0), 0);
+}
+
+function countOccurrences(text, keyword) {
+    return text.split(keyword).length - 1;
+}
+
+function detectSentiment(customerText) {
+    const frustration = countCues(customerText, SENTIMENT_CUES.frustrated);
+    if (frustration > 0) return 'frustrated';
+
+    const score = countCues(customerText, SENTIMENT_CUES.positive) - countCues(customerText, SENTIMENT_CUES.negative);
+    if (score >= 3) return 'positive';
+    if (score <= -2) return 'negative';
+    return 'neutral';
+}
+
+function findSentenceWith(sentences, cues) {
+    return sentences.find(sentence => cues.some(cue => sentence.toLowerCase().includes(cue))) || null;
+}
+
+function roundConfidence(value) {
+    return Math.round(Math.min(0.95, Math.max(0.2, value)) * 100) / 100;
+}
+
+// Schemas may use a narrower sentiment scale than the heuristics
+function fitSentiment(sentiment, allowed) {
+    if (!allowed || allowed.includes(sentiment)) return sentiment;
+    if (sentiment === 'frustrated' && allowed.includes('negative')) return 'negative';
+    return allowed.includes('neutral') ? 'neutral' : allowed[0];
+}
+
+function detectEscalationRisk(customerText, sentiment) {
+    const signals = countCues(customerText, ESCALATION_CUES);
+    if (signals >= 2 || (sentiment === 'frustrated' && signals >= 1)) return 'high';
+    if (signals === 1 || sentiment === 'frustrated' || sentiment === 'negative') return 'medium';
+    return 'low';
+}
+
+function detectIntent(customerText, intents) {
+    let best = { intent: FALLBACK_INTENT, score: 0 };
+    intents.forEach(intent => {
+        const score = intent.keywords.reduce((total, keyword) => total + countOccurrences(customerText, keyword), 0);
+        if (score > best.score) {
+            best = { intent, score };
+        }
+    });
+    return best.intent;
+}
+
+// Later patterns in a field's list are the looser fallbacks, so the index of
+// the matching pattern doubles as a confidence signal
+function firstMatch(text, patterns) {
+    for (let patternIndex = 0; patternIndex < patterns.length; patternIndex++) {
+        const { regex, flags } = patterns[patternIndex];
+        const match = text.match(new RegExp(regex, flags));
+        if (match) return { value: (match[1] || match[0]).trim(), patternIndex };
+    }
+    return null;
+}
+
+function extractKeyInformation(transcription, fields) {
+    const sentences = parseTranscription(transcription).flatMap(turn => splitSentences(turn.content));
+    const keyInformation = {};
+    const evidence = {};
+    fields.forEach(field => {
+        const match = firstMatch(transcription, field.patterns || []);
+        keyInformation[field.name] = match ? match.value : null;
+        evidence[field.name] = match
+            ? { confidence: roundConfidence(0.92 - match.patternIndex * 0.15), quote: sentences.find(sentence => sentence.includes(match.value)) || match.value }
+            : { confidence: 0.6, quote: null };
+    });
+    return { keyInformation, evidence };
+}
+
+function extractCommitments(turns) {
+    return turns
+        .filter(turn => turn.type === 'agent')
+        .flatMap(turn => splitSentences(turn.content))
+        .filter(sentence => COMMITMENT_PATTERN.test(sentence) && !sentence.endsWith('?') && !/\bI'll need\b/i.test(sentence));
+}
+
+function buildSummary(turns, intent, commitments, language = 'en') {
+    const templates = SUMMARY_TEMPLATES[language] || SUMMARY_TEMPLATES.en;
+    const firstCustomerTurn = turns.find(turn => turn.type === 'customer');
+    const opening = firstCustomerTurn ? splitSentences(firstCustomerTurn.content).slice(0, 2).join(' ') : '';
+    const intentLabel = intent.replace(/_/g, ' ');
+    const commitmentNote = commitments.length ? ` ${templates.commitments(commitments.length)}` : '';
+    return `${templates.opening(intentLabel)} ${opening}${commitmentNote}`.trim();
+}
+
+function estimateConfidence(turns, keyInformation, intent) {
+    const extractedFields = Object.values(keyInformation).filter(Boolean).length;
+    let confidence = 0.55 + extractedFields * 0.05;
+    if (intent !== FALLBACK_INTENT.id) confidence += 0.1;
+    if (turns.length < 2) confidence -= 0.2;
+    return Math.round(Math.min(0.95, Math.max(0.2, confidence)) * 100) / 100;
+}
+
+// Confidence grows with the number of cues behind a value; the quote is the
+// first customer sentence containing one of them
+function buildEvidence(turns, customerText, { sentiment, intent, keyInformationEvidence, commitments }) {
+    const customerSentences = turns
+        .filter(turn => turn.type === 'customer')
+        .flatMap(turn => splitSentences(turn.content));
+    const sentimentCues = SENTIMENT_CUES[sentiment] || [];
+    const sentimentSignals = countCues(customerText, sentimentCues);
+    const escalationSignals = countCues(customerText, ESCALATION_CUES);
+    const intentKeywords = intent.keywords || [];
+    const intentSignals = intentKeywords.reduce((total, keyword) => total + countOccurrences(customerText, keyword), 0);
+
+    return {
+        sentiment: {
+            confidence: roundConfidence(sentimentCues.length ? 0.55 + sentimentSignals * 0.1 : 0.6),
+            quote: findSentenceWith(customerSentences, sentimentCues)
+        },
+        escalationRisk: {
+            confidence: roundConfidence(escalationSignals ? 0.65 + escalationSignals * 0.1 : 0.8),
+            quote: findSentenceWith(customerSentences, ESCALATION_CUES)
+        },
+        primaryIntent: {
+            confidence: roundConfidence(intentSignals ? 0.5 + intentSignals * 0.1 : 0.35),
+            quote: findSentenceWith(customerSentences, intentKeywords)
+        },
+        keyInformation: keyInformationEvidence,
+        commitments: commitments.map(commitment => ({ text: commitment, confidence: 0.85, quote: commitment }))
+    };
+}
+
+// `language` is the detected call language ({ code, deskLanguage })
+function analyzeTranscriptWithRules(transcription, definition, { language } = {}) {
+    const turns = parseTranscription(transcription);
+    const customerText = turns
+        .filter(turn => turn.type === 'customer')
+        .map(turn => turn.content)
+        .join(' ')
+        .toLowerCase();
+
+    const sentiment = fitSentiment(detectSentiment(customerText), definition.sentiments);
+    const escalationRisk = detectEscalationRisk(customerText, sentiment);
+    const intent = detectIntent(customerText, definition.intents || []);
+    const primaryIntent = intent.id;
+    const { keyInformation, evidence: keyInformationEvidence } = extractKeyInformation(transcription, definition.keyInformation);
+    const commitments = extractCommitments(turns);
+    const suggestedActions = [...(intent.actions || FALLBACK_INTENT.actions)];
+    if (escalationRisk === 'high') {
+        suggestedActions.unshift('Escalate to senior support');
+    }
+    const deskLanguage = language?.deskLanguage || getAgentDeskLanguage();
+    const callLanguage = language?.code || deskLanguage;
+
+    return {
+        sentiment,
+        escalationRisk,
+        primaryIntent,
+        keyInformation,
+        suggestedActions,
+        commitments,
+        confidenceScore: estimateConfidence(turns, keyInformation, primaryIntent),
+        summary: buildSummary(turns, primaryIntent, commitments, deskLanguage),
+        customerLanguage: {
+            language: callLanguage,
+            summary: buildSummary(turns, primaryIntent, commitments, callLanguage),
+            suggestedActions: [...suggestedActions]
+        },
+        evidence: buildEvidence(turns, customerText, { sentiment, intent, keyInformationEvidence, commitments })
+    };
+}
+
+module.exports = {
+    analyzeTranscriptWithRules
+};
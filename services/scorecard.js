@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { parseTranscription, splitSentences } = require('./transcript');
+
+// Agent QA scorecards. Rubrics live in config/scorecards/<id>.json; each
+// criterion is checked against the agent turns only:
+//   type  - "required" passes when a pattern matches, "prohibited" when none does
+//   scope - "first" (opening agent turn), "last" (last two agent turns) or "any"
+//   weight - share of the overall score
+// The agent's name is taken from the greeting with the rubric's
+// agentNamePattern, so scores can be aggregated per agent.
+const DEFAULT_RUBRIC_ID = 'default';
+const LAST_SCOPE_TURNS = 2;
+const rubricCache = new Map();
+
+function getRubricDirectory() {
+    return process.env.SCORECARD_DIR || path.join(__dirname, '..', 'config', 'scorecards');
+}
+
+function getScorecardRubric(rubricId) {
+    const resolvedId = rubricId || process.env.DEFAULT_SCORECARD || DEFAULT_RUBRIC_ID;
+    if (!rubricCache.has(resolvedId)) {
+        const rubricPath = path.join(getRubricDirectory(), `${resolvedId}.json`);
+        if (!/^[\w-]+$/.test(resolvedId) || !fs.existsSync(rubricPath)) {
+            const err = new Error(`Unknown scorecard rubric '${resolvedId}'`);
+            err.code = 'UNKNOWN_SCORECARD';
+            throw err;
+        }
+        rubricCache.set(resolvedId, { ...JSON.parse(fs.readFileSync(rubricPath, 'utf8')), id: resolvedId });
+    }
+    return rubricCache.get(resolvedId);
+}
+
+function selectTurns(agentTurns, scope) {
+    if (scope === 'first') return agentTurns.slice(0, 1);
+    if (scope === 'last') return agentTurns.slice(-LAST_SCOPE_TURNS);
+    return agentTurns;
+}
+
+function findEvidence(turns, patterns) {
+    for (const { turnIndex, content } of turns) {
+        for (const { regex, flags } of patterns) {
+            const match = content.match(new RegExp(regex, flags));
+            if (match) {
+                const quote = splitSentences(content).find(sentence => sentence.includes(match[0])) || match[0];
+                return { turnIndex, quote };
+            }
+        }
+    }
+    return null;
+}
+
+function evaluateCriterion(criterion, agentTurns) {
+    const evidence = findEvidence(selectTurns(agentTurns, criterion.scope), criterion.patterns || []);
+    const passed = criterion.type === 'prohibited' ? !evidence : Boolean(evidence);
+    return {
+        id: criterion.id,
+        label: criterion.label,
+        type: criterion.type,
+        weight: criterion.weight ?? 1,
+        passed,
+        // For prohibited phrases the evidence is the offending sentence
+        evidence
+    };
+}
+
+function extractAgentName(agentTurns, rubric) {
+    if (!rubric.agentNamePattern || !agentTurns.length) return null;
+    const { regex, flags } = rubric.agentNamePattern;
+    const match = agentTurns[0].content.match(new RegExp(regex, flags));
+    return match ? match[1] : null;
+}
+
+function evaluateScorecard(transcription, rubric = getScorecardRubric()) {
+    const agentTurns = parseTranscription(transcription)
+        .map((turn, turnIndex) => ({ ...turn, turnIndex }))
+        .filter(turn => turn.type === 'agent');
+    if (!agentTurns.length) return null;
+
+    const criteria = rubric.criteria.map(criterion => evaluateCriterion(criterion, agentTurns));
+    const totalWeight = criteria.reduce((total, criterion) => total + criterion.weight, 0);
+    const passedWeight = criteria.filter(criterion => criterion.passed).reduce((total, criterion) => total + criterion.weight, 0);
+
+    return {
+        rubricId: rubric.id,
+        rubricName: rubric.name,
+        agentName: extractAgentName(agentTurns, rubric),
+        score: totalWeight ? Math.round((passedWeight / totalWeight) * 100) : 0,
+        passedCount: criteria.filter(criterion => criterion.passed).length,
+        failedCount: criteria.filter(criterion => !criterion.passed).length,
+        criteria,
+        evaluatedAt: new Date().toISOString()
+    };
+}
+
+// Averages stored scorecards per agent name; calls without a recognizable
+// greeting are grouped under "Unknown"
+function aggregateAgentScores(caseRecords) {
+    const agents = new Map();
+    caseRecords
+        .filter(caseRecord => caseRecord.scorecard)
+        .forEach(({ scorecard }) => {
+            const agentName = scorecard.agentName || 'Unknown';
+            if (!agents.has(agentName)) {
+                agents.set(agentName, { agentName, calls: 0, totalScore: 0, criteria: {} });
+            }
+            const agent = agents.get(agentName);
+            agent.calls++;
+            agent.totalScore += scorecard.score;
+            scorecard.criteria.forEach(criterion => {
+                const stats = agent.criteria[criterion.id] || (agent.criteria[criterion.id] = { label: criterion.label, passed: 0, evaluated: 0 });
+                stats.evaluated++;
+                if (criterion.passed) stats.passed++;
+            });
+        });
+
+    return [...agents.values()]
+        .map(({ totalScore, criteria, ...agent }) => ({
+            ...agent,
+            averageScore: Math.round(totalScore / agent.calls),
+            criteria: Object.fromEntries(Object.entries(criteria).map(([id, stats]) => [id, {
+                ...stats,
+                passRate: Math.round((stats.passed / stats.evaluated) * 100) / 100
+            }]))
+        }))
+        .sort((a, b) => b.averageScore - a.averageScore);
+}
+
+module.exports = {
+    evaluateScorecard,
+    aggregateAgentScores,
+    getScorecardRubric
+};
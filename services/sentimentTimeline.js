@@ -0,0 +1,206 @@
+const { getLLMProvider } = require('./llm');
+const { registerMockHandler } = require('./llm/mockProvider');
+const { parseTranscription } = require('./transcript');
+const { assertValid } = require('./validation');
+
+// Scores each customer turn (as split by parseTranscription, so indices match
+// the chat view), then summarizes how the call went: where the customer
+// started and ended, the lowest point and how far they recovered from it.
+// Agent turns are not scored; apologies and empathy ("sorry to hear about this
+// frustration") would read as negative.
+//
+// The turns are scored by the configured model, so the timeline reads the
+// call the same way as the overall sentiment. The mock provider answers with
+// a lexicon of emotion cues instead. Cues match whole words; a trailing "*"
+// marks a stem ("frustrat*" for frustrated, frustrating). English cues come
+// first, then Spanish, French and German ones.
+const EMOTION_CUES = {
+    frustration: {
+        weight: -2,
+        cues: ['frustrat*', 'annoy*', 'fed up', 'ridiculous', 'unacceptable', 'third time', 'keep calling', 'shouldn\'t have to', 'angry', 'furious', 'switching to another',
+            'frustrad*', 'harto', 'harta', 'inaceptable', 'tercera vez', 'otra compañía', 'marre', 'inacceptable', 'troisième fois', 'unverschämt', 'inakzeptabel', 'ärgerlich']
+    },
+    anxiety: {
+        weight: -1,
+        cues: ['worried', 'worry', 'concerned', 'stuck', 'urgent', 'can\'t miss', 'need it for work', 'nervous', 'locked out', 'cutting it close',
+            'preocupad*', 'urgente', 'inquiet*', 'besorgt', 'dringend']
+    },
+    disappointment: {
+        weight: -1,
+        cues: ['disappoint*', 'not working', 'stopped working', 'won\'t turn on', 'defective', 'broken', 'issue*', 'problem*', 'cancelled', 'error*', 'cutting out', 'never selected',
+            'no funciona', 'cancelado', 'nunca contraté', 'annulé', 'annulation', 'problème', 'ne fonctionne pas', 'defekt', 'kaputt', 'funktioniert nicht', 'lassen sich nicht']
+    },
+    gratitude: {
+        weight: 1.5,
+        cues: ['thank*', 'appreciat*', 'helpful', 'that works', 'it works', 'sounds good', 'sounds better', 'makes sense', 'great', 'perfect', 'excellent',
+            'gracias', 'perfecto', 'me conviene', 'merci', 'parfait', 'ça me convient', 'danke', 'hilfreich', 'wunderbar']
+    },
+    joy: {
+        weight: 2,
+        cues: ['happy', 'love', 'fantastic', 'wonderful', 'amazing', 'exactly what i need', 'let\'s do it',
+            'encantad*', 'fantástico', 'génial', 'enchanté', 'fantastisch']
+    }
+};
+
+const CUE_PATTERNS = Object.fromEntries(Object.entries(EMOTION_CUES).map(([emotion, { cues }]) => [emotion, cues.map(toCuePattern)]));
+const EMOTIONS = [...Object.keys(EMOTION_CUES), 'neutral'];
+const SENTIMENTS = ['positive', 'neutral', 'negative', 'frustrated'];
+const NEGATION_PATTERN = /\b(?:not|never|no)\s+(?:\w+\s+)?$|n't\s+(?:\w+\s+)?$/;
+const SENTIMENT_BAND = 0.15;
+const TREND_BAND = 0.3;
+
+const TIMELINE_SCHEMA_NAME = 'sentiment_timeline';
+const TIMELINE_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['turns'],
+    properties: {
+        turns: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['turnIndex', 'score', 'emotion', 'sentiment'],
+                properties: {
+                    turnIndex: { type: 'integer' },
+                    score: { type: 'number', minimum: -1, maximum: 1 },
+                    emotion: { type: 'string', enum: EMOTIONS },
+                    sentiment: { type: 'string', enum: SENTIMENTS }
+                }
+            }
+        }
+    }
+};
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// \b only knows ASCII letters, so edges are spelled out for "é" or "ä"
+function toCuePattern(cue) {
+    const stem = cue.endsWith('*');
+    const body = escapeRegExp(stem ? cue.slice(0, -1) : cue);
+    return new RegExp(`(?<![\\p{L}\\d])${body}${stem ? '' : '(?![\\p{L}\\d])'}`, 'giu');
+}
+
+// A cue preceded by "not"/"n't" within a word counts against its emotion
+function scoreTurn(content) {
+    const text = content.toLowerCase();
+    const emotionScores = {};
+    let total = 0;
+
+    Object.entries(EMOTION_CUES).forEach(([emotion, { weight }]) => {
+        CUE_PATTERNS[emotion].forEach(pattern => {
+            for (const match of text.matchAll(pattern)) {
+                const negated = NEGATION_PATTERN.test(text.slice(Math.max(0, match.index - 20), match.index));
+                const contribution = negated ? -weight / 2 : weight;
+                total += contribution;
+                if (!negated) emotionScores[emotion] = (emotionScores[emotion] || 0) + Math.abs(weight);
+            }
+        });
+    });
+
+    const score = Math.round(Math.max(-1, Math.min(1, total / 3)) * 100) / 100;
+    const emotion = Object.entries(emotionScores).sort((a, b) => b[1] - a[1])[0]?.[0] || 'neutral';
+    return { score, emotion, sentiment: toSentiment(score, emotion) };
+}
+
+function toSentiment(score, emotion) {
+    if (score <= -0.5 && emotion === 'frustration') return 'frustrated';
+    if (score < -SENTIMENT_BAND) return 'negative';
+    if (score > SENTIMENT_BAND) return 'positive';
+    return 'neutral';
+}
+
+function describePoint(point) {
+    return { turnIndex: point.turnIndex, sentiment: point.sentiment, score: point.score };
+}
+
+function summarizeTrajectory(points) {
+    if (!points.length) return null;
+
+    const start = points[0];
+    const end = points[points.length - 1];
+    const lowest = points.reduce((low, point) => (point.score < low.score ? point : low), start);
+    const change = end.score - start.score;
+    const trend = change > TREND_BAND ? 'improving' : change < -TREND_BAND ? 'worsening' : 'steady';
+    const recovered = lowest.score < -SENTIMENT_BAND && lowest !== end && (end.sentiment === 'neutral' || end.sentiment === 'positive');
+
+    // Turn numbers in the summary are 1-based, as a reader would count them
+    const parts = [`Started ${start.sentiment}`];
+    if (lowest !== start && lowest !== end && lowest.score < start.score) parts.push(`lowest at turn ${lowest.turnIndex + 1} (${lowest.sentiment})`);
+    parts.push(`ended ${end.sentiment}`);
+
+    return {
+        start: describePoint(start),
+        end: describePoint(end),
+        lowest: describePoint(lowest),
+        recovery: Math.round((end.score - lowest.score) * 100) / 100,
+        recovered,
+        trend,
+        summary: `${parts.join(', ')}${recovered ? ' after recovering' : ''}.`
+    };
+}
+
+function getCustomerTurns(transcription) {
+    return parseTranscription(transcription)
+        .map((turn, turnIndex) => ({ turnIndex, content: turn.content, type: turn.type }))
+        .filter(turn => turn.type === 'customer');
+}
+
+function scoreWithLexicon({ transcription }) {
+    return { turns: getCustomerTurns(transcription).map(({ turnIndex, content }) => ({ turnIndex, ...scoreTurn(content) })) };
+}
+
+registerMockHandler(TIMELINE_SCHEMA_NAME, scoreWithLexicon);
+
+function buildTimelineMessages(customerTurns, transcription) {
+    return [
+        {
+            role: 'system',
+            content: 'You rate how a customer feels, turn by turn, in a customer service call.'
+        },
+        {
+            role: 'user',
+            content: `Score every customer turn listed below from -1 (very negative) to 1 (very positive), in the context of the whole call. Give the strongest emotion (${EMOTIONS.join(', ')}) and a sentiment: ${SENTIMENTS.join(', ')}. "frustrated" is for a customer who is angry or fed up. Return one entry per turn, with its turnIndex.
+
+CALL:
+${transcription}
+
+CUSTOMER TURNS:
+${customerTurns.map(turn => `[${turn.turnIndex}] ${turn.content}`).join('\n')}`
+        }
+    ];
+}
+
+// `transcription` is what the model may see (redacted under a redaction
+// policy); the turn split is the same as the stored transcript's. A model
+// answer naming turns that are not customer turns is rejected.
+async function buildSentimentTimeline(transcription) {
+    const customerTurns = getCustomerTurns(transcription);
+    const provider = getLLMProvider();
+    const result = assertValid(await provider.createStructuredCompletion({
+        messages: buildTimelineMessages(customerTurns, transcription),
+        schemaName: TIMELINE_SCHEMA_NAME,
+        schema: TIMELINE_SCHEMA,
+        context: { transcription }
+    }), TIMELINE_SCHEMA, { code: 'INVALID_MODEL_OUTPUT', message: 'Model output does not match the sentiment timeline schema' });
+
+    const scored = new Map(result.turns.map(turn => [turn.turnIndex, turn]));
+    const turns = customerTurns
+        .filter(turn => scored.has(turn.turnIndex))
+        .map(({ turnIndex, type }) => {
+            const { score, emotion, sentiment } = scored.get(turnIndex);
+            return { turnIndex, speaker: type, score: Math.round(score * 100) / 100, emotion, sentiment };
+        });
+
+    return {
+        source: provider.name === 'mock' ? 'lexicon' : 'model',
+        turns,
+        trajectory: summarizeTrajectory(turns)
+    };
+}
+
+module.exports = {
+    buildSentimentTimeline
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+
+// Service-level targets (config/sla.json, or the file named by
+// SLA_CONFIG_FILE). Each priority has a first-response and a resolution
+// target in minutes, counted in the business hours of a calendar unless the
+// target sets "businessHours": false (around the clock). A calendar has a
+// time zone, opening hours per weekday ("mon": "08:00-18:00"; days left out
+// are closed) and holidays. The routing rules pick the calendar
+// (services/routing.js). Escalation checkpoints fall at a percentage of the
+// resolution target, counted the same way. A business-hours deadline in a year
+// after a calendar's last listed holiday is logged once per calendar and year,
+// as holidays for that year are likely missing.
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTE_MS = 60 * 1000;
+const MAX_SEARCH_DAYS = 366;
+const formatters = new Map();
+const warnedHolidayYears = new Set();
+let cachedConfig = null;
+
+function getConfigPath() {
+    return process.env.SLA_CONFIG_FILE || path.join(__dirname, '..', 'config', 'sla.json');
+}
+
+function parseOpeningHours(range, where) {
+    const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(range || '');
+    const open = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    const close = match ? Number(match[3]) * 60 + Number(match[4]) : NaN;
+    if (!(open < close && close <= 24 * 60)) {
+        throw new Error(`${where}: opening hours must look like "08:00-18:00", got '${range}'`);
+    }
+    return { open, close };
+}
+
+function loadCalendar(id, calendar) {
+    try {
+        getFormatter(calendar.timeZone);
+    } catch (error) {
+        throw new Error(`SLA calendar '${id}': unknown time zone '${calendar.timeZone}'`);
+    }
+
+    const hours = {};
+    Object.entries(calendar.hours || {}).forEach(([day, range]) => {
+        if (!WEEKDAYS.includes(day)) {
+            throw new Error(`SLA calendar '${id}': unknown weekday '${day}'. Expected one of: ${WEEKDAYS.join(', ')}`);
+        }
+        hours[day] = parseOpeningHours(range, `SLA calendar '${id}' ${day}`);
+    });
+    if (!Object.keys(hours).length) {
+        throw new Error(`SLA calendar '${id}' has no opening hours`);
+    }
+
+    return {
+        id,
+        label: calendar.label || id,
+        timeZone: calendar.timeZone,
+        hours,
+        holidays: new Map((calendar.holidays || []).map(holiday => [holiday.date, holiday.name || 'Holiday'])),
+        lastHolidayYear: (calendar.holidays || []).reduce((last, holiday) => Math.max(last, Number(String(holiday.date).slice(0, 4)) || 0), 0) || null
+    };
+}
+
+function getSlaConfig() {
+    if (!cachedConfig) {
+        const config = JSON.parse(fs.readFileSync(getConfigPath(), 'utf8'));
+        const calendars = Object.fromEntries(Object.entries(config.calendars || {}).map(([id, calendar]) => [id, loadCalendar(id, calendar)]));
+        if (!calendars[config.defaultCalendar]) {
+            throw new Error(`SLA defaultCalendar '${config.defaultCalendar}' is not one of the configured calendars`);
+        }
+
+        const targets = {};
+        Object.entries(config.targets || {}).forEach(([priority, target]) => {
+            if (!(target.firstResponseMinutes > 0 && target.resolutionMinutes > 0)) {
+                throw new Error(`SLA target '${priority}' needs positive firstResponseMinutes and resolutionMinutes`);
+            }
+            targets[priority] = { ...target, businessHours: target.businessHours !== false };
+        });
+
+        const escalations = (config.escalations || []).slice().sort((a, b) => a.percent - b.percent);
+        escalations.forEach(({ percent }) => {
+            if (!(percent > 0)) throw new Error(`SLA escalation checkpoints need a positive percent, got '${percent}'`);
+        });
+
+        cachedConfig = { defaultCalendar: config.defaultCalendar, calendars, targets, escalations, source: config };
+    }
+    return cachedConfig;
+}
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// Wall-clock date and time of an instant in a time zone
+function getZonedParts(instant, timeZone) {
+    const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(new Date(instant))
+        .map(part => [part.type, Number(part.value)]));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+function getOffsetMs(instant, timeZone) {
+    const parts = getZonedParts(instant, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(instant / 1000) * 1000;
+}
+
+// The instant a wall-clock time stands for. The offset is looked up again at
+// the first guess so times next to a daylight-saving change come out right.
+function fromZonedTime({ year, month, day }, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day) + minutes * MINUTE_MS;
+    const guess = wallClock - getOffsetMs(wallClock, timeZone);
+    return new Date(wallClock - getOffsetMs(guess, timeZone));
+}
+
+function toDateKey({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function getWeekday({ year, month, day }) {
+    return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+function getNextDay({ year, month, day }) {
+    const next = new Date(Date.UTC(year, month - 1, day + 1));
+    return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+}
+
+// Walks the calendar day by day from `start`, spending the minutes only while
+// the desk is open
+function addBusinessMinutes(start, minutes, calendar) {
+    const local = getZonedParts(start.getTime(), calendar.timeZone);
+    let date = { year: local.year, month: local.month, day: local.day };
+    let cursor = local.hour * 60 + local.minute + local.second / 60;
+    let remaining = minutes;
+
+    for (let day = 0; day < MAX_SEARCH_DAYS; day++) {
+        const hours = calendar.holidays.has(toDateKey(date)) ? null : calendar.hours[getWeekday(date)];
+        if (hours && cursor < hours.close) {
+            const from = Math.max(cursor, hours.open);
+            if (remaining <= hours.close - from) {
+                return fromZonedTime(date, from + remaining, calendar.timeZone);
+            }
+            remaining -= hours.close - from;
+        }
+        date = getNextDay(date);
+        cursor = 0;
+    }
+    throw new Error(`SLA calendar '${calendar.id}' has no opening hours in the next ${MAX_SEARCH_DAYS} days`);
+}
+
+function warnIfPastHolidays(due, calendar) {
+    if (!calendar.lastHolidayYear) return;
+    const { year } = getZonedParts(due.getTime(), calendar.timeZone);
+    const key = `${calendar.id}:${year}`;
+    if (year > calendar.lastHolidayYear && !warnedHolidayYears.has(key)) {
+        warnedHolidayYears.add(key);
+        console.warn(`SLA calendar '${calendar.id}' lists holidays up to ${calendar.lastHolidayYear}; deadlines in ${year} skip no holidays. Add them to ${getConfigPath()}.`);
+    }
+}
+
+// Deadlines for a case of `priority` opened at `openedAt` (default now) under
+// `calendar` (default defaultCalendar)
+function computeSla({ priority, calendar, openedAt } = {}) {
+    const config = getSlaConfig();
+    const target = config.targets[priority];
+    if (!target) {
+        throw new Error(`No SLA target for priority '${priority}'. Expected one of: ${Object.keys(config.targets).join(', ')}`);
+    }
+    const selectedCalendar = config.calendars[calendar || config.defaultCalendar];
+    if (!selectedCalendar) {
+        throw new Error(`Unknown SLA calendar '${calendar}'. Expected one of: ${Object.keys(config.calendars).join(', ')}`);
+    }
+
+    const start = openedAt ? new Date(openedAt) : new Date();
+    const deadline = minutes => {
+        if (!target.businessHours) return new Date(start.getTime() + minutes * MINUTE_MS).toISOString();
+        const due = addBusinessMinutes(start, minutes, selectedCalendar);
+        warnIfPastHolidays(due, selectedCalendar);
+        return due.toISOString();
+    };
+
+    return {
+        priority,
+        calendar: selectedCalendar.id,
+        calendarLabel: selectedCalendar.label,
+        timeZone: selectedCalendar.timeZone,
+        businessHours: target.businessHours,
+        firstResponseMinutes: target.firstResponseMinutes,
+        resolutionMinutes: target.resolutionMinutes,
+        startedAt: start.toISOString(),
+        firstResponseDue: deadline(target.firstResponseMinutes),
+        resolutionDue: deadline(target.resolutionMinutes),
+        escalations: config.escalations.map(({ percent, action }) => ({
+            percent,
+            action,
+            dueAt: deadline(Math.round(target.resolutionMinutes * percent / 100))
+        }))
+    };
+}
+
+module.exports = {
+    getSlaConfig,
+    computeSla,
+    getZonedParts,
+    fromZonedTime
+};
@@ -0,0 +1,72 @@
+const { createSpeechError } = require('./errors');
+
+const FAST_TRANSCRIPTION_API_VERSION = '2024-11-15';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+function isConfigured() {
+    return Boolean(process.env.AZURE_SPEECH_KEY && (process.env.AZURE_SPEECH_REGION || process.env.AZURE_SPEECH_ENDPOINT));
+}
+
+// Azure AI Speech fast transcription with diarization enabled, so segments come
+// back already labelled by speaker.
+function createAzureSpeechBackend() {
+    function getEndpoint() {
+        const base = process.env.AZURE_SPEECH_ENDPOINT
+            ? process.env.AZURE_SPEECH_ENDPOINT.replace(/\/$/, '')
+            : `https://${process.env.AZURE_SPEECH_REGION}.api.cognitive.microsoft.com`;
+        return `${base}/speechtotext/transcriptions:transcribe?api-version=${FAST_TRANSCRIPTION_API_VERSION}`;
+    }
+
+    async function transcribe({ audio, contentType, fileName }) {
+        if (!isConfigured()) {
+            throw createSpeechError('SPEECH_NOT_CONFIGURED', 'Azure Speech not configured. Please set AZURE_SPEECH_KEY and AZURE_SPEECH_REGION (or AZURE_SPEECH_ENDPOINT).');
+        }
+
+        const form = new FormData();
+        form.append('audio', new Blob([audio], { type: contentType }), fileName || 'recording');
+        form.append('definition', JSON.stringify({
+            locales: (process.env.AZURE_SPEECH_LOCALES || 'en-US').split(',').map(locale => locale.trim()),
+            diarization: { enabled: true, maxSpeakers: 2 }
+        }));
+
+        const timeoutMs = Number(process.env.SPEECH_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+        let response;
+        try {
+            response = await fetch(getEndpoint(), {
+                method: 'POST',
+                headers: { 'Ocp-Apim-Subscription-Key': process.env.AZURE_SPEECH_KEY },
+                body: form,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (error) {
+            throw createSpeechError('SPEECH_FAILED', error.name === 'TimeoutError'
+                ? `Azure Speech did not respond within ${timeoutMs}ms`
+                : `Could not reach Azure Speech: ${error.message}`);
+        }
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            const detail = body?.error?.message || body?.message || `HTTP ${response.status}`;
+            throw createSpeechError('SPEECH_FAILED', `Azure Speech transcription failed: ${detail}`, { status: response.status });
+        }
+
+        return {
+            language: body.phrases?.[0]?.locale,
+            segments: (body.phrases || []).map(phrase => ({
+                speaker: phrase.speaker !== undefined ? `Speaker ${phrase.speaker}` : undefined,
+                text: phrase.text,
+                start: phrase.offsetMilliseconds / 1000,
+                end: (phrase.offsetMilliseconds + phrase.durationMilliseconds) / 1000
+            }))
+        };
+    }
+
+    return {
+        name: 'azure',
+        transcribe
+    };
+}
+
+module.exports = {
+    createAzureSpeechBackend,
+    isConfigured
+};
@@ -0,0 +1,35 @@
+const { assignSpeakerRoles, mergeConsecutiveTurns } = require('../transcriptFormats');
+
+// Pause (in seconds) treated as a change of speaker when the speech backend
+// returns no speaker labels, e.g. Whisper-compatible endpoints.
+const DEFAULT_TURN_GAP_SECONDS = 0.7;
+
+function labelSpeakersByPauses(segments) {
+    const gap = Number(process.env.SPEECH_TURN_GAP_SECONDS) || DEFAULT_TURN_GAP_SECONDS;
+    let speaker = 0;
+    return segments.map((segment, index) => {
+        const previous = segments[index - 1];
+        if (previous && (segment.start - previous.end > gap || /\?\s*$/.test(previous.text))) {
+            speaker = 1 - speaker;
+        }
+        return { ...segment, speaker: `Speaker ${speaker + 1}` };
+    });
+}
+
+// Turns speech-to-text segments into Agent/Customer turns with timestamps.
+function diarizeSegments(segments) {
+    const cleaned = segments
+        .map(segment => ({ ...segment, text: String(segment.text || '').trim() }))
+        .filter(segment => segment.text);
+    const hasSpeakerLabels = cleaned.some(segment => segment.speaker !== undefined && segment.speaker !== null);
+    const labelled = hasSpeakerLabels
+        ? cleaned.map(segment => ({ ...segment, speaker: String(segment.speaker) }))
+        : labelSpeakersByPauses(cleaned);
+
+    return mergeConsecutiveTurns(assignSpeakerRoles(labelled))
+        .map(({ role, text, start, end }) => ({ role, text, start, end }));
+}
+
+module.exports = {
+    diarizeSegments
+};
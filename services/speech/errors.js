@@ -0,0 +1,10 @@
+function createSpeechError(code, message, { status } = {}) {
+    const err = new Error(message);
+    err.code = code;
+    if (status !== undefined) err.status = status;
+    return err;
+}
+
+module.exports = {
+    createSpeechError
+};
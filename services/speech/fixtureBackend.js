@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+// Offline stand-in for tests and demos: returns canned diarized segments from
+// data/fixtures/speech instead of transcribing the audio. The fixture is
+// chosen by the uploaded file name (billing-dispute.wav -> billing-dispute.json),
+// then SPEECH_FIXTURE, then billing-dispute.
+const DEFAULT_FIXTURE = 'billing-dispute';
+
+function getFixtureDirectory() {
+    return process.env.SPEECH_FIXTURE_DIR || path.join(__dirname, '..', '..', 'data', 'fixtures', 'speech');
+}
+
+function createFixtureBackend() {
+    async function transcribe({ fileName }) {
+        const directory = getFixtureDirectory();
+        const candidates = [
+            fileName ? path.basename(fileName, path.extname(fileName)) : null,
+            process.env.SPEECH_FIXTURE,
+            DEFAULT_FIXTURE
+        ].filter(Boolean);
+
+        const fixtureName = candidates.find(name => fs.existsSync(path.join(directory, `${name}.json`)));
+        if (!fixtureName) {
+            throw new Error(`No speech fixture found in ${directory} (tried ${candidates.join(', ')})`);
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(path.join(directory, `${fixtureName}.json`), 'utf8'));
+        return {
+            language: fixture.language,
+            segments: fixture.segments,
+            fixture: fixtureName
+        };
+    }
+
+    return {
+        name: 'fixture',
+        transcribe
+    };
+}
+
+module.exports = {
+    createFixtureBackend
+};
@@ -0,0 +1,77 @@
+const azureSpeech = require('./azureSpeechBackend');
+const { createWhisperBackend } = require('./whisperBackend');
+const { createFixtureBackend } = require('./fixtureBackend');
+const { diarizeSegments } = require('./diarization');
+const { createSpeechError } = require('./errors');
+const { formatTranscription } = require('../transcriptFormats');
+
+const backendFactories = {
+    azure: azureSpeech.createAzureSpeechBackend,
+    whisper: createWhisperBackend,
+    fixture: createFixtureBackend
+};
+
+let speechBackend = null;
+
+function resolveSpeechBackendName() {
+    const configured = (process.env.SPEECH_PROVIDER || '').trim().toLowerCase();
+    if (configured) {
+        if (!backendFactories[configured]) {
+            throw new Error(`Unknown SPEECH_PROVIDER '${configured}'. Expected one of: ${Object.keys(backendFactories).join(', ')}`);
+        }
+        return configured;
+    }
+    return azureSpeech.isConfigured() ? 'azure' : 'fixture';
+}
+
+function getSpeechBackend() {
+    if (!speechBackend) {
+        speechBackend = backendFactories[resolveSpeechBackendName()]();
+    }
+    return speechBackend;
+}
+
+function detectAudioType(audio) {
+    if (audio.length >= 12 && audio.toString('ascii', 0, 4) === 'RIFF' && audio.toString('ascii', 8, 12) === 'WAVE') {
+        return 'audio/wav';
+    }
+    if (audio.length >= 3 && audio.toString('ascii', 0, 3) === 'ID3') {
+        return 'audio/mpeg';
+    }
+    // Bare MPEG audio frame sync
+    if (audio.length >= 2 && audio[0] === 0xff && (audio[1] & 0xe0) === 0xe0) {
+        return 'audio/mpeg';
+    }
+    return null;
+}
+
+// Recording in, Agent/Customer transcript out
+async function transcribeRecording({ audio, fileName }) {
+    if (!Buffer.isBuffer(audio) || audio.length === 0) {
+        throw createSpeechError('UNSUPPORTED_AUDIO', 'Request body must contain a WAV or MP3 recording');
+    }
+    const contentType = detectAudioType(audio);
+    if (!contentType) {
+        throw createSpeechError('UNSUPPORTED_AUDIO', 'Unsupported audio format. Upload a WAV or MP3 recording.');
+    }
+
+    const backend = getSpeechBackend();
+    const result = await backend.transcribe({ audio, contentType, fileName });
+    const turns = diarizeSegments(result.segments || []);
+    if (!turns.length) {
+        throw createSpeechError('SPEECH_FAILED', 'No speech was recognized in the recording');
+    }
+
+    return {
+        backend: backend.name,
+        fixture: result.fixture,
+        language: result.language,
+        turns,
+        transcription: formatTranscription(turns)
+    };
+}
+
+module.exports = {
+    transcribeRecording,
+    resolveSpeechBackendName
+};
@@ -0,0 +1,57 @@
+const { OpenAI, toFile } = require('openai');
+const { createSpeechError } = require('./errors');
+
+function isConfigured() {
+    return Boolean(process.env.WHISPER_BASE_URL || process.env.WHISPER_API_KEY || process.env.OPENAI_API_KEY);
+}
+
+// Any Whisper-compatible /audio/transcriptions endpoint (OpenAI, faster-whisper
+// servers, LocalAI). These return timed segments without speaker labels, so
+// diarization falls back to pause detection.
+function createWhisperBackend() {
+    let client = null;
+
+    function getClient() {
+        if (!client && isConfigured()) {
+            client = new OpenAI({
+                apiKey: process.env.WHISPER_API_KEY || process.env.OPENAI_API_KEY || 'not-needed',
+                baseURL: process.env.WHISPER_BASE_URL || process.env.OPENAI_BASE_URL || undefined,
+                timeout: Number(process.env.SPEECH_TIMEOUT_MS) || 120000
+            });
+        }
+        if (!client) {
+            throw createSpeechError('SPEECH_NOT_CONFIGURED', 'Whisper backend not configured. Please set WHISPER_BASE_URL and/or WHISPER_API_KEY.');
+        }
+        return client;
+    }
+
+    async function transcribe({ audio, contentType, fileName }) {
+        let result;
+        try {
+            result = await getClient().audio.transcriptions.create({
+                file: await toFile(audio, fileName || 'recording', { type: contentType }),
+                model: process.env.WHISPER_MODEL || 'whisper-1',
+                response_format: 'verbose_json'
+            });
+        } catch (error) {
+            if (error.code === 'SPEECH_NOT_CONFIGURED') throw error;
+            throw createSpeechError('SPEECH_FAILED', `Whisper transcription failed: ${error.message}`, { status: error.status });
+        }
+
+        return {
+            language: result.language,
+            segments: (result.segments || [{ start: 0, end: result.duration, text: result.text }])
+                .map(({ start, end, text }) => ({ start, end, text }))
+        };
+    }
+
+    return {
+        name: 'whisper',
+        transcribe
+    };
+}
+
+module.exports = {
+    createWhisperBackend,
+    isConfigured
+};
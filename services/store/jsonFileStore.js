@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Minimal JSON-file persistence: one file per collection under DATA_STORE_DIR
+// (data/store by default), kept in memory and rewritten atomically on every
+// change. Plenty for a single-process demo; swap for a database in production.
+const collections = new Map();
+
+function getStoreDirectory() {
+    return process.env.DATA_STORE_DIR || path.join(__dirname, '..', '..', 'data', 'store');
+}
+
+function createCollection(name) {
+    const filePath = path.join(getStoreDirectory(), `${name}.json`);
+    let documents = null;
+
+    function load() {
+        if (documents) return documents;
+        documents = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : [];
+        return documents;
+    }
+
+    function persist() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(documents, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    function insert(document) {
+        const now = new Date().toISOString();
+        const stored = {
+            id: document.id || crypto.randomUUID(),
+            createdAt: document.createdAt || now,
+            updatedAt: now,
+            ...document
+        };
+        load().push(stored);
+        persist();
+        return stored;
+    }
+
+    function get(id) {
+        return load().find(document => document.id === id) || null;
+    }
+
+    function update(id, patch) {
+        const index = load().findIndex(document => document.id === id);
+        if (index === -1) return null;
+
+        const current = documents[index];
+        const changes = typeof patch === 'function' ? patch(current) : patch;
+        documents[index] = { ...current, ...changes, id, updatedAt: new Date().toISOString() };
+        persist();
+        return documents[index];
+    }
+
+    function remove(id) {
+        const index = load().findIndex(document => document.id === id);
+        if (index === -1) return false;
+        documents.splice(index, 1);
+        persist();
+        return true;
+    }
+
+    function list(predicate) {
+        const all = load();
+        return predicate ? all.filter(predicate) : [...all];
+    }
+
+    return { insert, get, update, remove, list };
+}
+
+function getCollection(name) {
+    if (!collections.has(name)) {
+        collections.set(name, createCollection(name));
+    }
+    return collections.get(name);
+}
+
+module.exports = {
+    getCollection
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Same interface as the JSON-file collections, without persistence
+function createMemoryCollection() {
+    const documents = new Map();
+
+    function insert(document) {
+        const now = new Date().toISOString();
+        const stored = {
+            id: document.id || crypto.randomUUID(),
+            createdAt: document.createdAt || now,
+            updatedAt: now,
+            ...document
+        };
+        documents.set(stored.id, stored);
+        return stored;
+    }
+
+    function get(id) {
+        return documents.get(id) || null;
+    }
+
+    function update(id, patch) {
+        const current = documents.get(id);
+        if (!current) return null;
+
+        const changes = typeof patch === 'function' ? patch(current) : patch;
+        const updated = { ...current, ...changes, id, updatedAt: new Date().toISOString() };
+        documents.set(id, updated);
+        return updated;
+    }
+
+    function remove(id) {
+        return documents.delete(id);
+    }
+
+    function list(predicate) {
+        const all = [...documents.values()];
+        return predicate ? all.filter(predicate) : all;
+    }
+
+    return { insert, get, update, remove, list };
+}
+
+module.exports = {
+    createMemoryCollection
+};
@@ -0,0 +1,28 @@
+// Server-side counterpart of parseTranscription in public/app.js. Turn indices
+// produced here line up with the chat messages rendered in the browser.
+function parseTranscription(transcription) {
+    return String(transcription || '')
+        .split('\n\n')
+        .filter(line => line.trim())
+        .map(line => {
+            if (line.startsWith('Agent:')) {
+                return { type: 'agent', content: line.replace('Agent:', '').trim() };
+            } else if (line.startsWith('Customer:')) {
+                return { type: 'customer', content: line.replace('Customer:', '').trim() };
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+function splitSentences(text) {
+    return String(text || '')
+        .split(/(?<=[.!?])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    parseTranscription,
+    splitSentences
+};
@@ -0,0 +1,235 @@
+// Normalizes pasted or uploaded transcripts (plain text, WebVTT, SRT, JSON
+// exports) into the "Agent: ...\n\nCustomer: ..." format that
+// parseTranscription expects.
+const AGENT_LABELS = /^(agent|rep|representative|support|advisor|adviser|operator|associate|csr)\b/i;
+const CUSTOMER_LABELS = /^(customer|caller|client|user|member|guest|passenger)\b/i;
+const NUMBERED_SPEAKER = /^(speaker|spk|participant|person|guest)[\s_-]*\d+$/i;
+const AGENT_OPENERS = /(thank you for calling|thanks for calling|how (can|may) I (help|assist)|this is \w+|speaking\.|support,)/i;
+
+const TIMESTAMP_LINE = /^(\d{2}:)?\d{2}:\d{2}[.,]\d{3}\s+-->\s+(\d{2}:)?\d{2}:\d{2}[.,]\d{3}/;
+const SPEAKER_PREFIX = /^\s*([A-Za-z][\w.'-]*(?:\s[\w.'-]+){0,2})\s*:\s+(.*)$/;
+const FIELD_LABEL = /\b(number|no|num|id|ref|reference|code|date|time|email|e-mail|phone|address|amount|total|price|balance|account|order|item|product|model|serial|status|reason|issue|subject|notes?|name)\.?$/i;
+
+function detectFormat(content) {
+    const trimmed = content.trim();
+    if (/^WEBVTT/.test(trimmed)) return 'vtt';
+    if (/^\d+\s*\r?\n(\d{2}:)?\d{2}:\d{2},\d{3}\s+-->/.test(trimmed)) return 'srt';
+    if (/^[[{]/.test(trimmed)) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (parseErr) {
+            return 'text';
+        }
+    }
+    return 'text';
+}
+
+function timestampToSeconds(value) {
+    const parts = String(value).replace(',', '.').split(':').map(Number);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function splitSpeaker(line) {
+    const match = line.match(SPEAKER_PREFIX);
+    if (!match) return { speaker: null, text: line.trim() };
+    return { speaker: match[1].trim(), text: match[2].trim() };
+}
+
+// "Order number: CON-1" looks like a speaker line too, so labels that read
+// like field names never start a turn. Once the file has two or more other
+// labels, each of them is a speaker; with fewer, a label only starts a turn
+// when it names a role ("Agent", "Speaker 2") or recurs in the file. Other
+// colon lines continue the current turn as written.
+function parsePlainText(content) {
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const labelCounts = new Map();
+    lines.forEach(line => {
+        const { speaker } = splitSpeaker(line);
+        if (speaker && !FIELD_LABEL.test(speaker)) {
+            labelCounts.set(speaker.toLowerCase(), (labelCounts.get(speaker.toLowerCase()) || 0) + 1);
+        }
+    });
+    const isSpeakerLabel = label => labelCounts.has(label?.toLowerCase()) && (labelCounts.size > 1 ||
+        classifyLabel(label) !== null || NUMBERED_SPEAKER.test(label) || labelCounts.get(label.toLowerCase()) > 1);
+
+    const turns = [];
+    lines.forEach(line => {
+        const split = splitSpeaker(line);
+        const { speaker, text } = isSpeakerLabel(split.speaker) ? split : { speaker: null, text: line };
+        if (speaker) {
+            turns.push({ speaker, text });
+        } else if (turns.length) {
+            turns[turns.length - 1].text += ` ${text}`;
+        } else {
+            turns.push({ speaker: null, text });
+        }
+    });
+    return turns;
+}
+
+// WebVTT and SRT share the same cue layout once headers and indices are gone
+function parseCaptions(content) {
+    const turns = [];
+    content.split(/\r?\n\r?\n/).forEach(block => {
+        const lines = block.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        const timingIndex = lines.findIndex(line => TIMESTAMP_LINE.test(line));
+        if (timingIndex === -1) return;
+
+        const [startStamp, endStamp] = lines[timingIndex].split(/\s+-->\s+/);
+        const cueText = lines.slice(timingIndex + 1).join(' ');
+        const voice = cueText.match(/<v(?:\.[\w.]+)?\s+([^>]+)>/);
+        const plainText = cueText.replace(/<[^>]+>/g, '').trim();
+        if (!plainText) return;
+
+        const { speaker, text } = voice ? { speaker: voice[1].trim(), text: plainText } : splitSpeaker(plainText);
+        turns.push({
+            speaker,
+            text,
+            start: timestampToSeconds(startStamp),
+            end: timestampToSeconds(endStamp.split(/\s/)[0])
+        });
+    });
+    return turns;
+}
+
+function pick(object, keys) {
+    const key = keys.find(candidate => object[candidate] !== undefined && object[candidate] !== null);
+    return key ? object[key] : undefined;
+}
+
+function toSeconds(value, key) {
+    if (value === undefined) return undefined;
+    if (typeof value === 'string' && value.includes(':')) return timestampToSeconds(value);
+    const number = Number(value);
+    if (isNaN(number)) return undefined;
+    // Azure Speech reports offsets in 100ns ticks, other exports in ms or seconds
+    if (/ticks/i.test(key)) return number / 1e7;
+    if (/ms|millis/i.test(key)) return number / 1000;
+    return number;
+}
+
+function parseJsonEntry(entry) {
+    if (typeof entry === 'string') return splitSpeaker(entry);
+
+    const startKey = ['start', 'startTime', 'offset', 'offsetInTicks', 'offsetMilliseconds', 'timestamp'].find(key => entry[key] !== undefined);
+    const endKey = ['end', 'endTime'].find(key => entry[key] !== undefined);
+    const text = pick(entry, ['text', 'content', 'utterance', 'message', 'display', 'transcript'])
+        ?? entry.nBest?.[0]?.display;
+    let speaker = pick(entry, ['role', 'speaker', 'participant', 'speakerName', 'name', 'channel']);
+    if (speaker && typeof speaker === 'object') speaker = speaker.role || speaker.name || speaker.id;
+
+    return {
+        speaker: speaker === undefined ? null : String(speaker),
+        text: String(text || '').trim(),
+        start: startKey ? toSeconds(entry[startKey], startKey) : undefined,
+        end: endKey ? toSeconds(entry[endKey], endKey) : undefined
+    };
+}
+
+function parseJsonExport(content) {
+    const data = JSON.parse(content);
+    if (typeof data?.transcription === 'string') {
+        return parsePlainText(data.transcription);
+    }
+
+    const entries = Array.isArray(data)
+        ? data
+        : pick(data, ['turns', 'utterances', 'messages', 'transcript', 'phrases', 'recognizedPhrases', 'segments']);
+    if (!Array.isArray(entries)) {
+        throw createFormatError('JSON transcript must be an array of turns or contain a turns/utterances/messages/phrases array');
+    }
+    return entries.map(parseJsonEntry).filter(turn => turn.text);
+}
+
+function classifyLabel(speaker) {
+    if (!speaker) return null;
+    if (AGENT_LABELS.test(speaker)) return 'Agent';
+    if (CUSTOMER_LABELS.test(speaker)) return 'Customer';
+    return null;
+}
+
+// Maps arbitrary speaker labels ("Speaker 1", "Guest-2", agent names) onto the
+// two roles. Explicit role labels win; otherwise whoever opens the call like a
+// support agent is the agent, falling back to the first speaker. Labels are
+// compared ignoring case.
+function assignSpeakerRoles(turns) {
+    const roles = new Map();
+    const keyOf = turn => (turn.speaker === null || turn.speaker === undefined ? turn.speaker : String(turn.speaker).toLowerCase());
+    turns.forEach(turn => {
+        const role = classifyLabel(turn.speaker);
+        if (role) roles.set(keyOf(turn), role);
+    });
+
+    if (![...roles.values()].includes('Agent')) {
+        const opener = turns.find(turn => !roles.has(keyOf(turn)) && AGENT_OPENERS.test(turn.text)) ||
+            turns.find(turn => !roles.has(keyOf(turn)));
+        if (opener) roles.set(keyOf(opener), 'Agent');
+    }
+
+    return turns.map(turn => ({
+        ...turn,
+        role: roles.get(keyOf(turn)) || 'Customer'
+    }));
+}
+
+function mergeConsecutiveTurns(turns) {
+    return turns.reduce((merged, turn) => {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.role === turn.role) {
+            previous.text = `${previous.text} ${turn.text}`;
+            if (turn.end !== undefined) previous.end = turn.end;
+        } else {
+            merged.push({ ...turn });
+        }
+        return merged;
+    }, []);
+}
+
+function formatTranscription(turns) {
+    return turns.map(turn => `${turn.role}: ${turn.text}`).join('\n\n');
+}
+
+function createFormatError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_TRANSCRIPT';
+    return err;
+}
+
+function normalizeTranscript(content, { format = 'auto' } = {}) {
+    if (typeof content !== 'string' || !content.trim()) {
+        throw createFormatError('Transcript content must be a non-empty string');
+    }
+
+    const resolvedFormat = format === 'auto' ? detectFormat(content) : format;
+    const parsers = { text: parsePlainText, vtt: parseCaptions, srt: parseCaptions, json: parseJsonExport };
+    if (!parsers[resolvedFormat]) {
+        throw createFormatError(`Unsupported transcript format '${format}'. Expected one of: auto, ${Object.keys(parsers).join(', ')}`);
+    }
+
+    let rawTurns;
+    try {
+        rawTurns = parsers[resolvedFormat](content);
+    } catch (error) {
+        if (error.code === 'INVALID_TRANSCRIPT') throw error;
+        throw createFormatError(`Could not parse ${resolvedFormat} transcript: ${error.message}`);
+    }
+
+    const turns = mergeConsecutiveTurns(assignSpeakerRoles(rawTurns.filter(turn => turn.text)));
+    if (!turns.length) {
+        throw createFormatError('No conversation turns were found in the transcript');
+    }
+
+    return {
+        format: resolvedFormat,
+        transcription: formatTranscription(turns),
+        turns: turns.map(({ role, text, start, end }) => ({ role, text, start, end }))
+    };
+}
+
+module.exports = {
+    normalizeTranscript,
+    assignSpeakerRoles,
+    mergeConsecutiveTurns,
+    formatTranscription
+};
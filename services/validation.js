@@ -0,0 +1,94 @@
+// A small JSON-schema validator covering the keywords the analysis schemas and
+// request bodies use: type (including ["string", "null"]), enum, properties,
+// required, additionalProperties: false, items, minimum, maximum, minLength and
+// pattern. Errors carry the dotted path of the offending value
+// ("keyInformation.orderNumber", "commitments.2") so API clients can point at
+// the field.
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : String(key);
+}
+
+function validateAgainstSchema(value, schema, path = '') {
+    const errors = [];
+    const fail = message => errors.push({ path: path || '(root)', message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(schema.pattern === '\\S' ? 'must not be blank' : `must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, joinPath(path, index))));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push({ path: joinPath(path, key), message: 'is required' });
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            // Absent in JSON terms
+            if (item === undefined) return;
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(item, properties[key], joinPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+            }
+        });
+    }
+
+    return errors;
+}
+
+function createValidationError(code, message, details) {
+    const err = new Error(`${message}: ${details.map(detail => `${detail.path} ${detail.message}`).join('; ')}`);
+    err.code = code;
+    err.details = details;
+    return err;
+}
+
+// Throws an error with `code` and the list of { path, message } as `details`
+function assertValid(value, schema, { code = 'VALIDATION_FAILED', message = 'Validation failed', path = '' } = {}) {
+    const details = validateAgainstSchema(value, schema, path);
+    if (details.length) {
+        throw createValidationError(code, message, details);
+    }
+    return value;
+}
+
+module.exports = {
+    validateAgainstSchema,
+    assertValid
+};